@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import { loadConfig, loadDocTypes, resolvePath } from './lib/config.js';
+import { isMainModule, parseArgs } from './lib/cli.js';
+import {
+  HttpError, decodePathSegment, parseMultipart, readBody, readJson, sendFile, sendJson
+} from './lib/http.js';
+import { createJobQueue } from './lib/jobs.js';
+import { isSuperseded, loadOrCreateManifest, updateManifest } from './lib/manifest.js';
+import { listStagingDocIds } from './lib/staging.js';
+import { getPipelineStages } from './pipeline.js';
+import { isSupportedPart, listIncomingDocuments, safeDocKey } from './stages/assemble-input.js';
+import { EXTRACTION_FILE } from './stages/extract.js';
+import { exportConfig } from './stages/export.js';
+
+const DEFAULTS = {
+  // Только локально: API без авторизации
+  host: '127.0.0.1',
+  port: 8791,
+  maxUploadMb: 200
+};
+
+export function apiConfig(config) {
+  return { ...DEFAULTS, ...config.api };
+}
+
+/**
+ * Статус стадии по манифесту: failed — упала после последнего успешного прогона,
+ * not-run — стадия ничего не записала (не дошла очередь, пропустила документ или пакетная стадия).
+ */
+function stageStatus(s) {
+  if (!s) return 'not-run';
+  if (s.error && (!s.finishedAt || s.failedAt > s.finishedAt)) return 'failed';
+  if (s.finishedAt) return 'done';
+  return s.startedAt ? 'started' : 'not-run';
+}
+
+/**
+ * Статус документа: стадии из манифеста, активные задания и итог последнего задания
+ * с этим документом (там же причины skipped/blocked).
+ */
+function documentStatus(manifest, stageNames, jobs) {
+  const last = jobs.filter((j) => j.finishedAt && j.documents?.[manifest.docId]).at(-1);
+  return {
+    docId: manifest.docId,
+    docType: manifest.docType ?? null,
+    requestedDocType: manifest.requestedDocType ?? null,
+    stages: Object.fromEntries(stageNames.map((name) => {
+      const s = manifest.stages[name];
+      return [name, {
+        status: stageStatus(s),
+        ...(s?.startedAt ? { startedAt: s.startedAt } : {}),
+        ...(s?.finishedAt ? { finishedAt: s.finishedAt } : {}),
+        ...(s?.error ? { error: s.error, failedAt: s.failedAt } : {})
+      }];
+    })),
+    review: manifest.review ?? null,
+    humanReview: manifest.humanReview
+      ? { status: manifest.humanReview.status, reviewedAt: manifest.humanReview.reviewedAt }
+      : null,
+    ...(manifest.duplicateOf ? { duplicateOf: manifest.duplicateOf } : {}),
+    ...(manifest.split?.children ? { children: manifest.split.children, superseded: isSuperseded(manifest) } : {}),
+    output: manifest.stages.export?.file ?? null,
+    jobs: jobs.filter((j) => !j.finishedAt && j.docs.includes(manifest.docId)).map((j) => j.id),
+    lastRun: last ? { job: last.id, finishedAt: last.finishedAt, stages: last.documents[manifest.docId] } : null
+  };
+}
+
+function listParam(value) {
+  if (value == null) return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((s) => String(s).trim()).filter(Boolean);
+}
+
+/**
+ * Локальный REST API: загрузка документов в incoming, запуск пайплайна заданиями
+ * (те же модули стадий и очереди, что у CLI), статус по манифесту, результаты и файлы выгрузки.
+ */
+export async function startApiServer(options = {}) {
+  const config = options.config ?? await loadConfig();
+  const cfg = { ...apiConfig(config), ...options };
+  const incomingDir = resolvePath(config.paths.incoming);
+  const stagingDir = resolvePath(config.paths.staging);
+  const outputDir = resolvePath(exportConfig(config).outputDir);
+  const log = (msg) => console.log(`[api] ${msg}`);
+  const jobs = createJobQueue({ config, log });
+  const stageNames = getPipelineStages(config, { includeDisabled: true }).map((e) => e.name);
+
+  async function checkDocType(docType) {
+    if (docType == null || docType === '') return null;
+    if (!(await loadDocTypes()).has(docType)) throw new HttpError(400, `Unknown docType "${docType}"`);
+    return docType;
+  }
+
+  function checkStages(list, what) {
+    const unknown = (list ?? []).filter((name) => !stageNames.includes(name));
+    if (unknown.length > 0) throw new HttpError(400, `Unknown ${what}: ${unknown.join(', ')}`);
+    return list;
+  }
+
+  async function findDoc(docId) {
+    if (!(await listStagingDocIds(stagingDir)).includes(docId)) throw new HttpError(404, `Unknown document ${docId}`);
+    const docDir = path.join(stagingDir, docId);
+    return { docDir, manifest: await loadOrCreateManifest(docDir, docId) };
+  }
+
+  async function knownDocIds() {
+    const incoming = await fs.pathExists(incomingDir)
+      ? (await listIncomingDocuments(incomingDir)).map((d) => safeDocKey(d.name))
+      : [];
+    return new Set([...incoming, ...await listStagingDocIds(stagingDir)]);
+  }
+
+  function submitJob({ docs, stages, force }) {
+    return jobs.submit({
+      docs,
+      stages: checkStages(stages, 'stage'),
+      force: force === true ? true : checkStages(listParam(force), 'stage in force')
+    });
+  }
+
+  /**
+   * Загрузка: тело application/pdf или image/* (имя — ?name=) либо multipart/form-data.
+   * Один файл ложится в incoming как есть, несколько — папкой <name>/ с номерами частей
+   * в порядке загрузки. Пишем во временную папку и переносим целиком, чтобы watch не взял недописанное.
+   */
+  async function upload(req, url) {
+    const contentType = req.headers['content-type'] ?? '';
+    const body = await readBody(req, { limit: cfg.maxUploadMb * 1024 * 1024 });
+
+    let files;
+    const fields = Object.fromEntries(url.searchParams);
+    if (contentType.startsWith('multipart/form-data')) {
+      files = [];
+      for (const part of parseMultipart(body, contentType)) {
+        if (part.filename) files.push({ name: path.basename(part.filename), data: part.data });
+        else if (part.name) fields[part.name] = part.data.toString('utf8');
+      }
+    } else {
+      if (!fields.name) throw new HttpError(400, 'File name is required: ?name=scan.pdf');
+      files = [{ name: path.basename(fields.name), data: body }];
+    }
+
+    if (files.length === 0 || files.some((f) => f.data.length === 0)) throw new HttpError(400, 'No file content');
+    const unsupported = files.filter((f) => !isSupportedPart(f.name)).map((f) => f.name);
+    if (unsupported.length > 0) throw new HttpError(415, `Unsupported file type: ${unsupported.join(', ')}`);
+
+    const docType = await checkDocType(fields.docType);
+    const name = path.basename(fields.name ?? (files.length === 1 ? files[0].name : ''));
+    if (!name || name.startsWith('.')) throw new HttpError(400, 'Document name is required for several files: name=...');
+    if (files.length === 1 && !isSupportedPart(name)) throw new HttpError(415, `Unsupported file type: ${name}`);
+
+    const docId = safeDocKey(name);
+    const target = path.join(incomingDir, name);
+    if (await fs.pathExists(target)) throw new HttpError(409, `${name} is already in incoming`);
+
+    const tmpDir = path.join(incomingDir, `.upload-${crypto.randomUUID()}`);
+    try {
+      if (files.length === 1) {
+        await fs.outputFile(path.join(tmpDir, name), files[0].data);
+        await fs.move(path.join(tmpDir, name), target);
+      } else {
+        const width = String(files.length).length;
+        for (const [i, f] of files.entries()) {
+          await fs.outputFile(path.join(tmpDir, name, `${String(i + 1).padStart(width, '0')}_${f.name}`), f.data);
+        }
+        await fs.move(path.join(tmpDir, name), target);
+      }
+    } finally {
+      await fs.remove(tmpDir);
+    }
+
+    // Заданный тип документа: classify его не переопределяет
+    const docDir = path.join(stagingDir, docId);
+    if (docType || await fs.pathExists(docDir)) {
+      await fs.ensureDir(docDir);
+      await updateManifest(docDir, docId, (m) => {
+        if (docType) m.requestedDocType = docType;
+        else delete m.requestedDocType;
+      });
+    }
+
+    log(`Uploaded ${name} (${files.length} file(s))${docType ? ` as ${docType}` : ''}`);
+    const start = ['1', 'true', 'yes'].includes(String(fields.start ?? '').toLowerCase());
+    return {
+      docId,
+      incoming: path.relative(incomingDir, target).replaceAll('\\', '/'),
+      files: files.map((f) => f.name),
+      requestedDocType: docType,
+      ...(start ? { job: submitJob({ docs: [docId] }) } : {})
+    };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodePathSegment);
+    if (parts[0] !== 'api') throw new HttpError(404, `Not found: ${url.pathname}`);
+    const [, resource, id, action] = parts;
+    const route = `${req.method} ${resource ?? ''}${id ? '/:id' : ''}${action ? `/${action}` : ''}`;
+
+    switch (route) {
+      case 'GET doc-types':
+        return sendJson(res, [...(await loadDocTypes()).values()].map((t) => ({ id: t.id, name: t.name ?? t.id })));
+      case 'GET stages':
+        return sendJson(res, getPipelineStages(config, { includeDisabled: true })
+          .map((e) => ({ name: e.name, enabled: e.enabled !== false, priority: e.priority })));
+
+      case 'POST documents':
+        return sendJson(res, await upload(req, url), 201);
+      case 'GET documents': {
+        const list = [];
+        for (const docId of await listStagingDocIds(stagingDir)) {
+          const { manifest } = await findDoc(docId);
+          const status = documentStatus(manifest, stageNames, jobs.list());
+          const failed = Object.entries(status.stages).filter(([, s]) => s.status === 'failed').map(([name]) => name);
+          list.push({ docId, docType: status.docType, output: status.output, failed, jobs: status.jobs });
+        }
+        return sendJson(res, list);
+      }
+      case 'GET documents/:id':
+        return sendJson(res, documentStatus((await findDoc(id)).manifest, stageNames, jobs.list()));
+      case 'GET documents/:id/extraction': {
+        const { docDir } = await findDoc(id);
+        const file = path.join(docDir, EXTRACTION_FILE);
+        if (!await fs.pathExists(file)) throw new HttpError(404, `${id} has no ${EXTRACTION_FILE} yet`);
+        return sendJson(res, await fs.readJson(file));
+      }
+      case 'GET documents/:id/result': {
+        await findDoc(id);
+        const resultsPath = path.join(outputDir, exportConfig(config).resultsFile);
+        const results = await fs.pathExists(resultsPath) ? await fs.readJson(resultsPath) : { documents: [] };
+        const entry = results.documents.find((d) => d.docId === id);
+        if (!entry) throw new HttpError(404, `${id} is not exported yet`);
+        return sendJson(res, entry);
+      }
+      case 'GET documents/:id/output': {
+        const { manifest } = await findDoc(id);
+        if (!manifest.stages.export?.file) throw new HttpError(404, `${id} is not exported yet`);
+        return sendFile(res, outputDir, manifest.stages.export.file);
+      }
+      case 'POST documents/:id/process': {
+        if (!(await knownDocIds()).has(id)) throw new HttpError(404, `Unknown document ${id}`);
+        const body = await readJson(req);
+        return sendJson(res, submitJob({ docs: [id], stages: listParam(body.stages), force: body.force }), 202);
+      }
+
+      case 'GET output/:id':
+        return sendFile(res, outputDir, id);
+
+      case 'GET jobs':
+        return sendJson(res, jobs.list());
+      case 'POST jobs': {
+        const body = await readJson(req);
+        const docs = listParam(body.docs);
+        if (!docs || docs.length === 0) throw new HttpError(400, 'docs is required');
+        const known = await knownDocIds();
+        const unknown = docs.filter((d) => !known.has(d));
+        if (unknown.length > 0) throw new HttpError(404, `Unknown document(s): ${unknown.join(', ')}`);
+        return sendJson(res, submitJob({ docs, stages: listParam(body.stages), force: body.force }), 202);
+      }
+      case 'GET jobs/:id': {
+        const job = jobs.get(id);
+        if (!job) throw new HttpError(404, `Unknown job ${id}`);
+        return sendJson(res, job);
+      }
+      case 'DELETE jobs/:id': {
+        if (!jobs.get(id)) throw new HttpError(404, `Unknown job ${id}`);
+        if (!jobs.cancel(id)) throw new HttpError(409, `Job ${id} has already finished`);
+        return sendJson(res, jobs.get(id), 202);
+      }
+      default:
+        throw new HttpError(404, `Not found: ${req.method} ${url.pathname}`);
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) log(`Error: ${err?.stack ?? err}`);
+      if (!res.headersSent) sendJson(res, { error: err?.message ?? String(err) }, status);
+      else res.destroy();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(cfg.port, cfg.host, resolve);
+  });
+  const { port } = server.address();
+  log(`Listening on http://${cfg.host}:${port}/api`);
+
+  return {
+    port,
+    jobs,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (isMainModule(import.meta.url)) {
+  const args = parseArgs();
+  startApiServer(args.port ? { port: Number(args.port) } : {}).catch((err) => {
+    console.error('[api] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,67 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig, resolvePath } from './lib/config.js';
+import { isMainModule, parseArgs } from './lib/cli.js';
+import { activePages, loadOrCreateManifest } from './lib/manifest.js';
+import { aggregateProfiles, renderBenchmarkMarkdown } from './lib/profiling.js';
+import { listStagingDocIds } from './lib/staging.js';
+import { getPipelineStages } from './pipeline.js';
+
+const DEFAULTS = {
+  reportDir: '_benchmark'
+};
+
+/**
+ * Отчёт о производительности по staging: перцентили времени стадий и страниц в минуту,
+ * растрирование по разрешениям (render / PNG / WebP), вызовы VLM (очередь и инференс), пиковая память.
+ * Источник — manifest.profile, stages.rasterize.timing и записи вызовов VLM в манифестах,
+ * плюс _pipeline_summary.json последнего прогона. Пишет <staging>/_benchmark/benchmark.json и .md.
+ * stagingDir — другой staging (например, прогон эксперимента).
+ */
+export async function runBenchmark(options = {}) {
+  const config = options.config ?? await loadConfig();
+  const cfg = { ...DEFAULTS, ...config.benchmark };
+  const stagingDir = options.stagingDir ?? resolvePath(config.paths.staging);
+  const log = (msg) => console.log(`[benchmark] ${msg}`);
+
+  const docs = [];
+  for (const docId of await listStagingDocIds(stagingDir)) {
+    const manifest = await loadOrCreateManifest(path.join(stagingDir, docId), docId);
+    docs.push({ docId, manifest, pages: activePages(manifest).length });
+  }
+  if (docs.length === 0) {
+    log(`No documents in ${stagingDir}`);
+    return null;
+  }
+
+  const summaryPath = path.join(stagingDir, '_pipeline_summary.json');
+  const lastRun = await fs.pathExists(summaryPath) ? await fs.readJson(summaryPath) : null;
+  const order = getPipelineStages(config, { includeDisabled: true }).map((s) => s.name);
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    stagingDir,
+    ...aggregateProfiles(docs, { order, lastRun })
+  };
+
+  const reportDir = path.join(stagingDir, cfg.reportDir);
+  await fs.ensureDir(reportDir);
+  await fs.writeJson(path.join(reportDir, 'benchmark.json'), report, { spaces: 2 });
+  await fs.writeFile(path.join(reportDir, 'benchmark.md'), renderBenchmarkMarkdown(report));
+
+  log(`Documents: ${report.documents}, pages: ${report.pages}, peak memory: ${report.peakRssMb ?? 'n/a'} MB`);
+  for (const [name, s] of Object.entries(report.stages)) {
+    log(`  ${name}: p50 ${s.durationMs.p50} ms, p95 ${s.durationMs.p95} ms, ${s.pagesPerMinute ?? 'n/a'} pages/min`);
+  }
+  log(`Wrote: ${path.join(reportDir, 'benchmark.md')}`);
+
+  return report;
+}
+
+if (isMainModule(import.meta.url)) {
+  const args = parseArgs();
+  runBenchmark(typeof args.staging === 'string' ? { stagingDir: path.resolve(args.staging) } : {}).catch((err) => {
+    console.error('[benchmark] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,184 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig, resolvePath } from './lib/config.js';
+import { isMainModule, parseArgs } from './lib/cli.js';
+import { renderMarkdown } from './lib/evaluation.js';
+import {
+  buildRunConfig, collectUsage, comparisonRow, expandMatrix, renderComparisonMarkdown, runHash,
+  sampleCombinations, sortRows, sumUsage
+} from './lib/experiments.js';
+import { loadOrCreateManifest } from './lib/manifest.js';
+import { belongsTo, listStagingDocIds } from './lib/staging.js';
+import { getPipelineStages, runPipeline } from './pipeline.js';
+import { listIncomingDocuments, safeDocKey } from './stages/assemble-input.js';
+import { evaluateConfig, evaluateStaging, loadGroundTruth } from './stages/evaluate.js';
+
+const DEFAULTS = {
+  outputDir: './experiments',
+  // На точность не влияют — в прогонах эксперимента не нужны
+  skipStages: ['annotate', 'export', 'evaluate'],
+  // { size, seed } — случайное подмножество комбинаций вместо полной матрицы
+  sample: null
+};
+
+const RUN_FILE = 'run.json';
+
+/**
+ * Исходники для прогонов: файлы и папки из experiment.input, у которых есть эталон
+ * (эталон под-документа `<docId>__…` тоже тянет свой исходник).
+ */
+async function listSources(inputDir, groundTruth) {
+  if (!await fs.pathExists(inputDir)) throw new Error(`Experiment input not found: ${inputDir}`);
+  const ids = groundTruth.map((g) => g.docId);
+  return (await listIncomingDocuments(inputDir))
+    .filter((doc) => ids.some((id) => belongsTo(id, [safeDocKey(doc.name)])));
+}
+
+/**
+ * Один прогон матрицы: чистые папки в runDir, копия исходников в incoming, пайплайн, оценка по эталонам.
+ */
+async function executeRun(combo, { config, stages, sources, groundTruth, runDir, hash, log }) {
+  await fs.remove(runDir);
+  for (const src of sources) {
+    await fs.copy(src.fullPath, path.join(config.paths.incoming, src.name));
+  }
+  await fs.writeJson(path.join(runDir, 'config.json'), config, { spaces: 2 });
+
+  const startedAt = new Date().toISOString();
+  const t0 = Date.now();
+  const summary = await runPipeline({ config, only: stages });
+  const durationMs = Date.now() - t0;
+
+  const stagingDir = config.paths.staging;
+  const evaluation = await evaluateStaging(stagingDir, groundTruth, evaluateConfig(config));
+  await fs.writeJson(path.join(runDir, 'evaluation.json'), evaluation, { spaces: 2 });
+  await fs.writeFile(path.join(runDir, 'evaluation.md'), renderMarkdown(evaluation));
+
+  const usage = [];
+  for (const docId of await listStagingDocIds(stagingDir)) {
+    usage.push(collectUsage(await loadOrCreateManifest(path.join(stagingDir, docId), docId)));
+  }
+
+  const failed = [...summary.values()].filter((s) => Object.values(s).some((r) => r.status === 'failed')).length;
+  log(`${combo.id}: accuracy ${evaluation.metrics.overall.correct}/${evaluation.metrics.overall.total}, `
+    + `${(durationMs / 1000).toFixed(1)} s${failed ? `, failed docs: ${failed}` : ''}`);
+
+  return {
+    id: combo.id,
+    variants: combo.variants,
+    hash,
+    status: 'done',
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    durationMs,
+    documents: sources.length,
+    evaluated: groundTruth.length,
+    failedDocuments: failed,
+    metrics: evaluation.metrics,
+    usage: sumUsage(usage)
+  };
+}
+
+/**
+ * Матрица экспериментов из JSON-файла: декартово произведение осей (модели, DPI, профили
+ * предобработки, промпты) или его выборка. Каждая комбинация — полный прогон пайплайна в своей
+ * папке <outputDir>/<name>/runs/<id>/ и оценка по эталонам; итог — comparison.json и comparison.md.
+ * Прогон с тем же конфигом и эталонами повторно не запускается (options.force — запустить).
+ */
+export async function runExperiment(file, options = {}) {
+  const experiment = await fs.readJson(file);
+  const name = experiment.name ?? path.basename(file, '.json');
+  const cfg = { ...DEFAULTS, ...experiment };
+  const baseConfig = options.config ?? await loadConfig();
+  const log = (msg) => console.log(`[experiment] ${msg}`);
+
+  if (!cfg.input) throw new Error(`${file}: "input" (folder with source documents) is required`);
+
+  const gtDir = resolvePath(cfg.groundTruthDir ?? baseConfig.paths?.testSuite ?? './test_suite');
+  const groundTruth = (await loadGroundTruth(gtDir)).filter((g) => !cfg.docs || cfg.docs.includes(g.docId));
+  if (groundTruth.length === 0) throw new Error(`No ground truth found in ${gtDir}`);
+
+  const sources = await listSources(resolvePath(cfg.input), groundTruth);
+  if (sources.length === 0) throw new Error(`No source documents for the ground truth in ${cfg.input}`);
+
+  const all = expandMatrix(cfg.matrix);
+  const sample = options.sample ?? cfg.sample;
+  const combos = sampleCombinations(all, sample ?? {});
+  const stages = cfg.stages ?? getPipelineStages(baseConfig)
+    .map((s) => s.name)
+    .filter((s) => !cfg.skipStages.includes(s));
+
+  const expDir = resolvePath(path.join(cfg.outputDir, name));
+  log(`${name}: ${combos.length} of ${all.length} combinations, ${sources.length} documents, `
+    + `${groundTruth.length} ground truth → ${expDir}`);
+
+  if (options.dryRun) {
+    for (const combo of combos) log(`  ${combo.id}`);
+    return null;
+  }
+
+  const runs = [];
+  for (const [i, combo] of combos.entries()) {
+    const runDir = path.join(expDir, 'runs', combo.id);
+    const dirs = Object.fromEntries(['incoming', 'staging', 'output', 'archive', 'quarantine']
+      .map((d) => [d, path.join(runDir, d)]));
+    const config = buildRunConfig(baseConfig, cfg.config, combo, dirs);
+    const hash = runHash({ ...config, stages }, groundTruth);
+
+    const runFile = path.join(runDir, RUN_FILE);
+    const previous = await fs.pathExists(runFile) ? await fs.readJson(runFile) : null;
+    if (!options.force && previous?.status === 'done' && previous.hash === hash) {
+      log(`[${i + 1}/${combos.length}] ${combo.id}: unchanged, using previous results`);
+      runs.push(previous);
+      continue;
+    }
+
+    log(`[${i + 1}/${combos.length}] ${combo.id}`);
+    let run;
+    try {
+      run = await executeRun(combo, { config, stages, sources, groundTruth, runDir, hash, log });
+    } catch (err) {
+      log(`${combo.id}: failed: ${err?.message ?? err}`);
+      run = { id: combo.id, variants: combo.variants, hash, status: 'failed', error: err?.message ?? String(err) };
+    }
+    await fs.outputJson(runFile, run, { spaces: 2 });
+    runs.push(run);
+  }
+
+  const report = {
+    name,
+    createdAt: new Date().toISOString(),
+    matrix: Object.fromEntries(Object.keys(cfg.matrix).map((axis) => [
+      axis, [...new Set(all.map((c) => c.variants[axis]))]
+    ])),
+    combinations: all.length,
+    sample: sample?.size ? sample : null,
+    stages,
+    groundTruth: groundTruth.length,
+    runs: sortRows(runs.map(comparisonRow))
+  };
+
+  await fs.outputJson(path.join(expDir, 'comparison.json'), report, { spaces: 2 });
+  await fs.writeFile(path.join(expDir, 'comparison.md'), renderComparisonMarkdown(report));
+  log(`Wrote: ${path.join(expDir, 'comparison.md')}`);
+
+  return report;
+}
+
+if (isMainModule(import.meta.url)) {
+  const args = parseArgs();
+  const file = args._[0];
+  if (!file) {
+    console.error('Usage: npm run experiment -- <experiment.json> [--sample N] [--seed N] [--force] [--dry-run]');
+    process.exitCode = 1;
+  } else {
+    runExperiment(path.resolve(file), {
+      sample: args.sample ? { size: Number(args.sample), seed: Number(args.seed ?? 1) } : undefined,
+      force: args.force === true,
+      dryRun: args['dry-run'] === true
+    }).catch((err) => {
+      console.error('[experiment] Fatal:', err);
+      process.exitCode = 1;
+    });
+  }
+}
@@ -0,0 +1,47 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * true, если модуль запущен напрямую (`node src/stages/x.js`), а не импортирован.
+ */
+export function isMainModule(metaUrl) {
+  if (!process.argv[1]) return false;
+  return path.resolve(process.argv[1]) === fileURLToPath(metaUrl);
+}
+
+/**
+ * Минимальный разбор аргументов: `--flag`, `--key=value`, `--key value`.
+ */
+export function parseArgs(argv = process.argv.slice(2)) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) {
+      args._.push(a);
+      continue;
+    }
+
+    const eq = a.indexOf('=');
+    if (eq !== -1) {
+      args[a.slice(2, eq)] = a.slice(eq + 1);
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[a.slice(2)] = argv[++i];
+    } else {
+      args[a.slice(2)] = true;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * `--force` (все стадии), `--force extract,validate`, `--force-doc a.pdf,b.pdf` → опции runPipeline.
+ */
+export function forceOptions(args = parseArgs()) {
+  const list = (v) => (typeof v === 'string' ? v.split(',').map((s) => s.trim()).filter(Boolean) : undefined);
+  return {
+    force: args.force === true ? true : list(args.force),
+    forceDocs: list(args['force-doc'])
+  };
+}
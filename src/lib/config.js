@@ -0,0 +1,94 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const projectRoot = path.resolve(__dirname, '..', '..');
+
+let cachedConfig = null;
+let cachedDocTypes = null;
+// Исходный текст регулярного выражения из docType → RegExp
+const compiledPatterns = new Map();
+
+/**
+ * Ошибка в файлах config/: сообщение начинается с файла и места в нём.
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Загружает config/root.json (один раз на процесс).
+ */
+export async function loadConfig() {
+  if (!cachedConfig) {
+    cachedConfig = await fs.readJson(path.join(projectRoot, 'config', 'root.json'));
+  }
+  return cachedConfig;
+}
+
+/**
+ * Путь из конфига → абсолютный путь относительно корня проекта.
+ */
+export function resolvePath(p) {
+  return path.resolve(projectRoot, p);
+}
+
+/**
+ * RegExp для pattern/validation поля или pattern cross-check'а. Компилируется один раз;
+ * невалидное выражение — ConfigError с местом where.
+ */
+export function compilePattern(source, where) {
+  let re = compiledPatterns.get(source);
+  if (!re) {
+    try {
+      re = new RegExp(source);
+    } catch (err) {
+      throw new ConfigError(`${where}: invalid pattern ${JSON.stringify(source)}: ${err.message}`);
+    }
+    compiledPatterns.set(source, re);
+  }
+  return re;
+}
+
+/**
+ * Все регулярные выражения docType (поля в обоих форматах и cross_checks) — при загрузке,
+ * чтобы опечатка в конфиге была ошибкой конфига, а не падением валидации документа.
+ */
+function compileDocTypePatterns(docType, file) {
+  const fields = Array.isArray(docType.extraction?.fields)
+    ? docType.extraction.fields
+    : Object.entries(docType.fields ?? {}).map(([id, f]) => ({ id, ...f }));
+  for (const f of fields) {
+    for (const key of ['pattern', 'validation']) {
+      if (typeof f[key] === 'string') compilePattern(f[key], `config/docTypes/${file}: field "${f.id}" ${key}`);
+    }
+  }
+  for (const check of docType.validation?.cross_checks ?? []) {
+    if (typeof check.pattern === 'string') {
+      compilePattern(check.pattern, `config/docTypes/${file}: cross_check "${check.name ?? check.check}" pattern`);
+    }
+  }
+}
+
+/**
+ * Загружает все config/docTypes/*.json в Map: id → docType.
+ */
+export async function loadDocTypes() {
+  if (cachedDocTypes) return cachedDocTypes;
+
+  const dir = path.join(projectRoot, 'config', 'docTypes');
+  const files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json')).sort();
+
+  const docTypes = new Map();
+  for (const f of files) {
+    const docType = await fs.readJson(path.join(dir, f));
+    compileDocTypePatterns(docType, f);
+    docTypes.set(docType.id ?? path.parse(f).name, docType);
+  }
+  cachedDocTypes = docTypes;
+  return cachedDocTypes;
+}
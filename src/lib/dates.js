@@ -0,0 +1,82 @@
+/**
+ * Разбор дат из значений полей. Возвращает { year, month, day } или null.
+ * Поддерживаются ISO (YYYY-MM-DD) и российский формат (DD.MM.YYYY).
+ */
+export function parseDate(value) {
+  if (typeof value !== 'string') return null;
+  const s = value.trim();
+
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return makeDate(+m[1], +m[2], +m[3]);
+
+  m = s.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+  if (m) return makeDate(+m[3], +m[2], +m[1]);
+
+  return null;
+}
+
+function makeDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+export function toIsoDate({ year, month, day }) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function compareDates(a, b) {
+  return toIsoDate(a).localeCompare(toIsoDate(b));
+}
+
+// Все допустимые написания месяца: родительный и именительный падеж, сокращения (с точкой или без)
+const RU_MONTHS = [
+  ['января', 'январь', 'янв'],
+  ['февраля', 'февраль', 'фев', 'февр'],
+  ['марта', 'март', 'мар'],
+  ['апреля', 'апрель', 'апр'],
+  ['мая', 'май'],
+  ['июня', 'июнь', 'июн'],
+  ['июля', 'июль', 'июл'],
+  ['августа', 'август', 'авг'],
+  ['сентября', 'сентябрь', 'сен', 'сент'],
+  ['октября', 'октябрь', 'окт'],
+  ['ноября', 'ноябрь', 'ноя', 'нояб'],
+  ['декабря', 'декабрь', 'дек']
+];
+
+function ruMonthNumber(word) {
+  const w = word.toLowerCase().replace(/\.$/, '');
+  const idx = RU_MONTHS.findIndex((forms) => forms.includes(w));
+  return idx === -1 ? null : idx + 1;
+}
+
+/**
+ * Дата прописью: «12 марта 2001 г.», "«05» мая 2010 года", "1 янв. 2020".
+ */
+export function parseRussianDate(value) {
+  if (typeof value !== 'string') return null;
+  const s = value.replace(/[«»"']/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const m = s.match(/^(\d{1,2})\s+([а-яё]+\.?)\s+(\d{4})(?:\s*(?:г\.?|года?))?$/i);
+  if (!m) return null;
+
+  const month = ruMonthNumber(m[2]);
+  return month ? makeDate(+m[3], month, +m[1]) : null;
+}
+
+/**
+ * Любой поддерживаемый формат: ISO, DD.MM.YYYY или дата прописью.
+ */
+export function parseAnyDate(value) {
+  return parseDate(value) ?? parseRussianDate(value);
+}
+
+export function formatDate(date, format = 'YYYY-MM-DD') {
+  const dd = String(date.day).padStart(2, '0');
+  const mm = String(date.month).padStart(2, '0');
+  const yyyy = String(date.year).padStart(4, '0');
+  return format.replace('YYYY', yyyy).replace('MM', mm).replace('DD', dd);
+}
@@ -0,0 +1,60 @@
+import { loadDocTypes } from './config.js';
+import { PROVENANCE_PROMPT } from './provenance.js';
+
+/**
+ * Единое представление полей docType.
+ * Поддерживает оба формата конфигов:
+ *  - `fields: { id: { type, required, ... } }` (invoice.json)
+ *  - `extraction.fields: [{ id, label, type, ... }]` (passport.json)
+ */
+export function getFieldDefs(docType) {
+  const list = docType?.extraction?.fields;
+  if (Array.isArray(list)) {
+    return list.map((f) => ({ ...f }));
+  }
+
+  const map = docType?.fields;
+  if (map && typeof map === 'object') {
+    return Object.entries(map).map(([id, f]) => ({ id, ...f }));
+  }
+
+  return [];
+}
+
+function describeField(f) {
+  const label = f.label ?? f.description;
+  return label ? `${f.id} (${label})` : f.id;
+}
+
+/**
+ * Промпт извлечения: `extraction.prompt` из docType (или собранный по полям)
+ * + явный список ключей JSON, чтобы модель не придумывала свои названия.
+ * provenance: true — просим у модели страницу, рамку и уверенность для каждого поля.
+ * prompt — текст вместо `extraction.prompt` (вариант промпта из extract.prompt).
+ */
+export function buildExtractionPrompt(docType, { provenance = false, prompt = null } = {}) {
+  const fields = getFieldDefs(docType);
+  const base = prompt ?? docType?.extraction?.prompt
+    ?? `Извлеки данные из документа «${docType?.name ?? docType?.id}».`;
+
+  if (fields.length === 0) {
+    return `${base}\nОтвет — строго JSON, без пояснений.`;
+  }
+
+  return `${base}\n`
+    + `Ответ — строго один JSON-объект без пояснений и markdown. Ключи: ${fields.map(describeField).join(', ')}. `
+    + (provenance ? PROVENANCE_PROMPT : 'Если поле отсутствует или неразборчиво, верни null.');
+}
+
+/**
+ * Входы для хэша стадий, зависящих от конфига docType документа (stage.hashInputs):
+ * правка config/docTypes/<id>.json перезапускает извлечение и проверки.
+ * Настройки выгрузки (export) на них не влияют и в хэш не входят.
+ */
+export async function docTypeHashInputs(doc) {
+  const docTypes = await loadDocTypes();
+  const docType = docTypes.get(doc.manifest.docType);
+  if (!docType) return { docType: doc.manifest.docType ?? null };
+  const { export: _export, ...rest } = docType;
+  return { docType: rest };
+}
@@ -0,0 +1,223 @@
+import { getFieldDefs } from './docTypes.js';
+import { parseAnyDate, formatDate } from './dates.js';
+import { operations } from './normalization.js';
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function isEmpty(v) {
+  return v === null || v === undefined || (typeof v === 'string' && v.trim() === '');
+}
+
+function canon(v) {
+  return String(v).replace(/\s+/g, ' ').trim();
+}
+
+function tryNumber(v) {
+  try {
+    return operations.parse_number(v);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Режимы сравнения значений: exact, fuzzy (расстояние Левенштейна), date, number.
+ * Возвращает { match, ...детали }.
+ */
+export const comparators = {
+  exact(expected, actual) {
+    return { match: canon(expected) === canon(actual) };
+  },
+
+  fuzzy(expected, actual, opts = {}) {
+    const a = canon(expected).toLocaleUpperCase('ru').replaceAll('Ё', 'Е');
+    const b = canon(actual).toLocaleUpperCase('ru').replaceAll('Ё', 'Е');
+    const distance = levenshtein(a, b);
+    const similarity = 1 - distance / Math.max(a.length, b.length, 1);
+    const maxDistance = opts.maxDistance ?? 1;
+    const minSimilarity = opts.minSimilarity ?? 0.9;
+    return { match: distance <= maxDistance || similarity >= minSimilarity, distance, similarity };
+  },
+
+  date(expected, actual) {
+    const e = parseAnyDate(canon(expected));
+    const a = parseAnyDate(canon(actual));
+    if (!e || !a) return comparators.exact(expected, actual);
+    return { match: formatDate(e) === formatDate(a) };
+  },
+
+  number(expected, actual, opts = {}) {
+    const e = tryNumber(expected);
+    const a = tryNumber(actual);
+    if (e === null || a === null) return comparators.exact(expected, actual);
+    return { match: Math.abs(e - a) <= (opts.tolerance ?? 0.005) };
+  }
+};
+
+function defaultMode(def) {
+  if (def?.type === 'date' || def?.format === 'date') return 'date';
+  if (def?.type === 'number' || def?.type === 'integer') return 'number';
+  return 'exact';
+}
+
+/**
+ * Сравнивает поля документа с эталоном. Сравниваются только поля, заданные в эталоне.
+ * cfg.fieldModes: { "<docType>.<field>": "fuzzy" } — режим поля вместо режима по типу.
+ */
+export function compareDocument(expectedFields, actualFields, docType, cfg = {}) {
+  const defs = new Map(getFieldDefs(docType).map((d) => [d.id, d]));
+  const fields = {};
+
+  for (const [id, expected] of Object.entries(expectedFields ?? {})) {
+    const actual = actualFields?.[id] ?? null;
+    const mode = cfg.fieldModes?.[`${docType?.id}.${id}`] ?? cfg.fieldModes?.[id] ?? defaultMode(defs.get(id));
+
+    let result;
+    if (isEmpty(expected) || isEmpty(actual)) {
+      result = { match: isEmpty(expected) && isEmpty(actual) };
+    } else {
+      const compare = comparators[mode] ?? comparators.exact;
+      result = compare(expected, actual, cfg[mode] ?? {});
+    }
+
+    fields[id] = { expected: expected ?? null, actual, mode, ...result };
+  }
+
+  const total = Object.keys(fields).length;
+  const correct = Object.values(fields).filter((f) => f.match).length;
+  return { total, correct, accuracy: total > 0 ? correct / total : null, fields };
+}
+
+function bump(map, key) {
+  if (!map[key]) map[key] = { total: 0, correct: 0, tp: 0, fp: 0, fn: 0 };
+  return map[key];
+}
+
+/**
+ * Поле в терминах precision/recall. Пропущенное (в эталоне есть, модель не вернула) — fn,
+ * лишнее (в эталоне пусто, модель что-то вернула) — fp, неверное значение — и fp, и fn.
+ * Оба пустые — верно, но в precision/recall не входит.
+ */
+function count(counter, f) {
+  const expected = !isEmpty(f.expected);
+  const actual = !isEmpty(f.actual);
+  if (expected && actual && f.match) counter.tp++;
+  else {
+    if (actual) counter.fp++;
+    if (expected) counter.fn++;
+  }
+}
+
+const ratio = (a, b) => (b > 0 ? a / b : null);
+
+function withAccuracy(counter) {
+  const { tp = 0, fp = 0, fn = 0 } = counter;
+  return {
+    ...counter,
+    accuracy: ratio(counter.correct, counter.total),
+    precision: ratio(tp, tp + fp),
+    recall: ratio(tp, tp + fn)
+  };
+}
+
+/**
+ * Сводит результаты документов в метрики: по полям, по docType и общую.
+ */
+export function aggregate(docResults) {
+  const byField = {};
+  const byDocType = {};
+  const overall = { total: 0, correct: 0, tp: 0, fp: 0, fn: 0 };
+  const classification = { total: 0, correct: 0 };
+
+  for (const doc of docResults) {
+    classification.total++;
+    if (doc.classificationCorrect) classification.correct++;
+
+    const t = bump(byDocType, doc.expectedDocType);
+    t.documents = (t.documents ?? 0) + 1;
+    t.fullyCorrect = (t.fullyCorrect ?? 0) + (doc.total > 0 && doc.correct === doc.total ? 1 : 0);
+
+    for (const [id, f] of Object.entries(doc.fields)) {
+      const key = `${doc.expectedDocType}.${id}`;
+      bump(byField, key).total++;
+      t.total++;
+      overall.total++;
+      for (const counter of [byField[key], t, overall]) count(counter, f);
+      if (f.match) {
+        byField[key].correct++;
+        t.correct++;
+        overall.correct++;
+      }
+    }
+  }
+
+  return {
+    overall: withAccuracy(overall),
+    classification: withAccuracy(classification),
+    byDocType: Object.fromEntries(Object.entries(byDocType).map(([k, v]) => [k, withAccuracy(v)])),
+    byField: Object.fromEntries(Object.entries(byField).map(([k, v]) => [k, withAccuracy(v)]))
+  };
+}
+
+export function formatPercent(v) {
+  return v === null || v === undefined ? '—' : `${(v * 100).toFixed(1)}%`;
+}
+
+function cell(v) {
+  return String(v ?? '').replaceAll('|', '\\|');
+}
+
+export function renderMarkdown(report) {
+  const { metrics } = report;
+  const lines = [
+    `# Evaluation report`,
+    '',
+    `- Created: ${report.createdAt}`,
+    `- Documents: ${report.documents.length} (missing predictions: ${report.documents.filter((d) => d.missing).length})`,
+    `- Overall field accuracy: **${formatPercent(metrics.overall.accuracy)}** (${metrics.overall.correct}/${metrics.overall.total}), `
+      + `precision ${formatPercent(metrics.overall.precision)}, recall ${formatPercent(metrics.overall.recall)}`,
+    `- Classification accuracy: ${formatPercent(metrics.classification.accuracy)} (${metrics.classification.correct}/${metrics.classification.total})`,
+    '',
+    '## By docType',
+    '',
+    '| docType | documents | fully correct | field accuracy |',
+    '|---|---:|---:|---:|'
+  ];
+
+  for (const [id, t] of Object.entries(metrics.byDocType)) {
+    lines.push(`| ${id} | ${t.documents} | ${t.fullyCorrect} | ${formatPercent(t.accuracy)} (${t.correct}/${t.total}) |`);
+  }
+
+  lines.push('', '## By field', '', '| field | accuracy | precision | recall |', '|---|---:|---:|---:|');
+  for (const [id, f] of Object.entries(metrics.byField)) {
+    lines.push(`| ${id} | ${formatPercent(f.accuracy)} (${f.correct}/${f.total}) | ${formatPercent(f.precision)} | ${formatPercent(f.recall)} |`);
+  }
+
+  const errors = report.documents.flatMap((d) => Object.entries(d.fields)
+    .filter(([, f]) => !f.match)
+    .map(([id, f]) => `| ${cell(d.docId)} | ${id} | ${cell(f.expected)} | ${cell(f.actual)} | ${f.mode} |`));
+
+  if (errors.length > 0) {
+    lines.push('', '## Mismatches', '', '| docId | field | expected | actual | mode |', '|---|---|---|---|---|', ...errors);
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,228 @@
+import { formatPercent } from './evaluation.js';
+import { sha256Json } from './hash.js';
+import { findVlmCalls } from './profiling.js';
+import { getResolutions } from './resolutions.js';
+
+/**
+ * Оси матрицы со значением-сокращением: строка или число в списке оси → правка конфига.
+ * Для остальных осей (и для сложных вариантов) — объект { id, config }.
+ */
+export const AXES = {
+  // Модель на текущем endpoint'е; другой endpoint — { id, config: { vlm: { baseUrl, model } } }
+  model: (value) => ({ vlm: { model: value } }),
+  // DPI извлечения: 200 или папка "r200"
+  dpi: (value) => ({ extract: { dpi: Number(String(value).replace(/^r/, '')) } }),
+  // Профиль предобработки из quality.profiles для всех документов
+  preprocess: (value) => ({ quality: { profile: value } }),
+  // Текст промпта извлечения: строка для всех docType или { "<docType>": "..." }
+  prompt: (value) => ({ extract: { prompt: value } })
+};
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Глубокое слияние конфигов: объекты сливаются, массивы и значения заменяются целиком.
+ */
+export function mergeConfig(base, patch) {
+  if (!isObject(base) || !isObject(patch)) return patch === undefined ? base : patch;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    out[key] = mergeConfig(base[key], value);
+  }
+  return out;
+}
+
+/**
+ * Вариант оси → { id, config }. Формы: "qwen/qwen3-vl-2b", 200,
+ * { id, value } (value — как сокращение оси), { id, config } или { id, value, config }.
+ */
+export function normalizeVariant(axis, variant) {
+  const shorthand = AXES[axis];
+
+  if (!isObject(variant)) {
+    if (!shorthand) throw new Error(`Axis "${axis}": variant ${JSON.stringify(variant)} needs { id, config }`);
+    return { id: String(variant), config: shorthand(variant) };
+  }
+
+  if (!variant.id) throw new Error(`Axis "${axis}": variant without id`);
+  if (variant.value !== undefined && !shorthand) throw new Error(`Axis "${axis}": "value" is not supported, use "config"`);
+  const fromValue = variant.value !== undefined ? shorthand(variant.value) : {};
+  return { id: String(variant.id), config: mergeConfig(fromValue, variant.config ?? {}) };
+}
+
+/**
+ * Декартово произведение осей: [{ id, variants: { model: 'a', dpi: '200' }, config }].
+ * Правки вариантов сливаются в порядке осей.
+ */
+export function expandMatrix(matrix) {
+  const axes = Object.entries(matrix ?? {});
+  if (axes.length === 0) throw new Error('Experiment has an empty matrix');
+
+  let combos = [{ variants: {}, config: {} }];
+  for (const [axis, list] of axes) {
+    if (!Array.isArray(list) || list.length === 0) throw new Error(`Axis "${axis}" has no variants`);
+    const variants = list.map((v) => normalizeVariant(axis, v));
+    const ids = variants.map((v) => v.id);
+    if (new Set(ids).size !== ids.length) throw new Error(`Axis "${axis}" has duplicate variant ids`);
+
+    combos = combos.flatMap((c) => variants.map((v) => ({
+      variants: { ...c.variants, [axis]: v.id },
+      config: mergeConfig(c.config, v.config)
+    })));
+  }
+
+  return combos.map((c) => ({ id: runId(c.variants), ...c }));
+}
+
+/**
+ * Имя папки прогона: model=qwen3-2b__dpi=200 (символы, недопустимые в именах файлов, → _).
+ */
+function runId(variants) {
+  return Object.entries(variants)
+    .map(([axis, id]) => `${axis}=${id}`)
+    .join('__')
+    .replace(/[<>:"/\\|?*\x00-\x1F\s]/g, '_');
+}
+
+/**
+ * Детерминированная выборка size комбинаций (один seed — одна и та же выборка).
+ */
+export function sampleCombinations(combos, { size, seed = 1 } = {}) {
+  if (!size || size >= combos.length) return combos;
+
+  // mulberry32
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const indexes = combos.map((_, i) => i);
+  for (let i = indexes.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  // Порядок прогонов — как в полной матрице
+  return indexes.slice(0, size).sort((a, b) => a - b).map((i) => combos[i]);
+}
+
+/**
+ * Конфиг прогона: root.json + общие правки эксперимента + правки комбинации,
+ * все папки — внутри runDir. DPI из оси, которого нет в пирамиде, добавляется отдельным уровнем,
+ * чтобы не округляться вверх до ближайшего.
+ */
+export function buildRunConfig(baseConfig, experimentConfig, combo, dirs) {
+  let config = mergeConfig(mergeConfig(baseConfig, experimentConfig ?? {}), combo.config);
+  config = mergeConfig(config, { paths: dirs });
+
+  const dpi = Number(config.extract?.dpi);
+  if (dpi) {
+    const pyramid = getResolutions(config);
+    if (!pyramid.some((r) => r.dpi === dpi)) {
+      const top = pyramid[pyramid.length - 1] ?? {};
+      config = mergeConfig(config, {
+        rasterize: { resolutions: [...pyramid, { ...top, dpi, folder: `r${dpi}` }].sort((a, b) => a.dpi - b.dpi) }
+      });
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Хэш того, от чего зависит результат прогона: конфиг без путей и набор эталонов.
+ */
+export function runHash(config, groundTruth) {
+  const { paths: _paths, ...rest } = config;
+  return sha256Json({ config: rest, groundTruth: groundTruth.map((g) => ({ docId: g.docId, fields: g.fields })) });
+}
+
+/**
+ * Вызовы VLM, записанные в манифест (любой объект с полем usage): число, время и токены.
+ */
+export function collectUsage(manifest) {
+  const total = { calls: 0, durationMs: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  for (const call of findVlmCalls(manifest)) {
+    total.calls++;
+    total.durationMs += call.durationMs ?? 0;
+    total.promptTokens += call.usage?.prompt_tokens ?? 0;
+    total.completionTokens += call.usage?.completion_tokens ?? 0;
+    total.totalTokens += call.usage?.total_tokens ?? 0;
+  }
+  return total;
+}
+
+/**
+ * Сумма collectUsage() по документам.
+ */
+export function sumUsage(list) {
+  const total = { calls: 0, durationMs: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  for (const u of list) {
+    for (const key of Object.keys(total)) total[key] += u[key] ?? 0;
+  }
+  return total;
+}
+
+const perDoc = (value, docs) => (docs > 0 ? Math.round(value / docs) : null);
+
+/**
+ * Строка сравнительной таблицы для прогона.
+ */
+export function comparisonRow(run) {
+  const docs = run.documents ?? 0;
+  return {
+    id: run.id,
+    variants: run.variants,
+    status: run.status,
+    documents: docs,
+    evaluated: run.evaluated ?? docs,
+    failedDocuments: run.failedDocuments ?? 0,
+    accuracy: run.metrics?.overall.accuracy ?? null,
+    classificationAccuracy: run.metrics?.classification.accuracy ?? null,
+    fullyCorrect: Object.values(run.metrics?.byDocType ?? {}).reduce((sum, t) => sum + t.fullyCorrect, 0),
+    durationMs: run.durationMs ?? null,
+    msPerDoc: perDoc(run.durationMs ?? 0, docs),
+    vlmMsPerDoc: perDoc(run.usage?.durationMs ?? 0, docs),
+    vlmCalls: run.usage?.calls ?? 0,
+    tokensPerDoc: perDoc(run.usage?.totalTokens ?? 0, docs),
+    promptTokens: run.usage?.promptTokens ?? 0,
+    completionTokens: run.usage?.completionTokens ?? 0
+  };
+}
+
+/**
+ * Порядок таблицы: точность по убыванию, при равной — быстрее выше.
+ */
+export function sortRows(rows) {
+  return [...rows].sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1)
+    || (a.msPerDoc ?? Infinity) - (b.msPerDoc ?? Infinity));
+}
+
+const seconds = (ms) => (ms == null ? '—' : (ms / 1000).toFixed(1));
+
+export function renderComparisonMarkdown(report) {
+  const axes = Object.keys(report.matrix);
+  const lines = [
+    `# Experiment: ${report.name}`,
+    '',
+    `- Created: ${report.createdAt}`,
+    `- Runs: ${report.runs.length} of ${report.combinations}${report.sample ? ` (sample, seed ${report.sample.seed})` : ''}`,
+    `- Ground truth: ${report.groundTruth} documents`,
+    '',
+    `| ${axes.join(' | ')} | accuracy | classification | fully correct | s/doc | VLM s/doc | VLM calls | tokens/doc | failed docs |`,
+    `|${axes.map(() => '---').join('|')}|---:|---:|---:|---:|---:|---:|---:|---:|`
+  ];
+
+  for (const row of report.runs) {
+    const status = row.status === 'done' ? '' : ` (${row.status})`;
+    lines.push(`| ${axes.map((a) => String(row.variants[a]).replaceAll('|', '\\|')).join(' | ')} `
+      + `| ${formatPercent(row.accuracy)}${status} | ${formatPercent(row.classificationAccuracy)} `
+      + `| ${row.fullyCorrect}/${row.evaluated} | ${seconds(row.msPerDoc)} | ${seconds(row.vlmMsPerDoc)} `
+      + `| ${row.vlmCalls} | ${row.tokensPerDoc ?? '—'} | ${row.failedDocuments} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,72 @@
+// Символы, недопустимые в именах файлов Windows (и управляющие)
+const ILLEGAL_CHARS = /[<>:"/\\|?*\x00-\x1F]/g;
+// Зарезервированные имена устройств Windows (без учёта регистра и расширения)
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+// Запас под суффикс антиколлизии и расширение в пределах 255 байт UTF-8
+const MAX_NAME_BYTES = 200;
+
+const FILTERS = {
+  initial: (v) => Array.from(v)[0] ?? '',
+  upper: (v) => v.toUpperCase(),
+  lower: (v) => v.toLowerCase(),
+  digits: (v) => v.replace(/\D/g, '')
+};
+
+/**
+ * Подставляет значения в шаблон имени: `Паспорт_{surname}_{name|initial}{patronymic|initial}`.
+ * Фильтры: initial, upper, lower, digits. Пустые значения дают пустую строку.
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{([^{}]+)\}/g, (_, expr) => {
+    const [key, ...filters] = expr.split('|').map((s) => s.trim());
+    let value = values[key];
+    if (value == null || typeof value === 'object') return '';
+    value = String(value).trim();
+    for (const name of filters) {
+      const filter = FILTERS[name];
+      if (!filter) throw new Error(`Unknown file name filter "${name}" in "${template}"`);
+      value = filter(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * Имя файла без расширения, безопасное для Windows: без запрещённых символов и пробелов,
+ * без висящих разделителей от пустых полей, не длиннее maxLength символов (и 200 байт).
+ */
+export function sanitizeFileName(name, { maxLength = 120 } = {}) {
+  let s = name
+    .normalize('NFC')
+    .replace(ILLEGAL_CHARS, '')
+    .replace(/\s+/g, '_')
+    .replace(/_{2,}/g, '_')
+    .replace(/^[_.\-]+|[_.\- ]+$/g, '');
+
+  let chars = Array.from(s).slice(0, maxLength);
+  while (chars.length > 0 && Buffer.byteLength(chars.join('')) > MAX_NAME_BYTES) chars.pop();
+  s = chars.join('').replace(/[_.\- ]+$/g, '');
+
+  if (RESERVED_NAMES.test(s)) s = `_${s}`;
+  return s;
+}
+
+/**
+ * Свободное имя: base.pdf, иначе base__002.pdf, base__003.pdf…
+ * taken — Set имён в нижнем регистре (на Windows и macOS регистр не различается); имя добавляется в него.
+ */
+export function allocateFileName(base, ext, taken) {
+  let name = `${base}${ext}`;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) {
+    name = `${base}__${String(n).padStart(3, '0')}${ext}`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * База имени без суффикса антиколлизии: `X__002.pdf` → `X`.
+ */
+export function fileNameBase(name, ext) {
+  return name.slice(0, name.length - ext.length).replace(/__\d{3,}$/, '');
+}
@@ -0,0 +1,27 @@
+import fs from 'fs-extra';
+import crypto from 'crypto';
+
+/**
+ * SHA-256 файла (потоком, без чтения целиком в память).
+ */
+export async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * JSON с отсортированными ключами: одинаковые объекты дают одинаковую строку.
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function sha256Json(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
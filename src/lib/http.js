@@ -0,0 +1,151 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Ошибка с HTTP-статусом: обработчик бросает, сервер отвечает этим кодом.
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Сегмент пути URL без %-экранирования. Битое экранирование (`%E0%A4%A`) — 400, а не 500.
+ */
+export function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, `Malformed URL path segment: ${segment}`);
+  }
+}
+
+export function send(res, status, body, type = 'text/plain; charset=utf-8') {
+  res.statusCode = status;
+  res.setHeader('Content-Type', type);
+  res.end(body);
+}
+
+export function sendHtml(res, html, status = 200) {
+  send(res, status, html, CONTENT_TYPES['.html']);
+}
+
+export function redirect(res, location) {
+  res.statusCode = 303;
+  res.setHeader('Location', location);
+  res.end();
+}
+
+/**
+ * Тело запроса целиком (Buffer), не больше limit байт — иначе 413.
+ */
+export function readBody(req, { limit = 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, `Request body is larger than ${limit} bytes`));
+        // Остаток тела дочитываем вхолостую: destroy() оборвал бы сокет, и клиент не увидел бы ответ 413
+        req.removeAllListeners('data');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+export function sendJson(res, value, status = 200) {
+  send(res, status, JSON.stringify(value, null, 2), CONTENT_TYPES['.json']);
+}
+
+/**
+ * Тело как JSON-объект; пустое тело — {}. Невалидный JSON — 400.
+ */
+export async function readJson(req, options) {
+  const body = await readBody(req, options);
+  if (body.length === 0) return {};
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * multipart/form-data → [{ name, filename, contentType, data: Buffer }].
+ * Без потоковой обработки: тело уже целиком в памяти (readBody с лимитом).
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType ?? '');
+  if (!boundary) throw new HttpError(400, 'multipart/form-data without boundary');
+  const delimiter = Buffer.from(`--${boundary[1] ?? boundary[2]}`);
+
+  const parts = [];
+  let pos = body.indexOf(delimiter);
+  while (pos !== -1) {
+    const start = pos + delimiter.length;
+    if (body.subarray(start, start + 2).toString() === '--') break;
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) break;
+
+    // \r\n после разделителя, заголовки до пустой строки, \r\n перед следующим разделителем
+    const chunk = body.subarray(start + 2, next - 2);
+    const headerEnd = chunk.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = chunk.subarray(0, headerEnd).toString('utf8');
+      const disposition = /content-disposition:([^\r\n]*)/i.exec(headers)?.[1] ?? '';
+      parts.push({
+        name: /\bname="([^"]*)"/i.exec(disposition)?.[1] ?? null,
+        filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1] ?? null,
+        contentType: /content-type:\s*([^\r\n]*)/i.exec(headers)?.[1]?.trim() ?? null,
+        data: chunk.subarray(headerEnd + 4)
+      });
+    }
+    pos = next;
+  }
+  return parts;
+}
+
+/**
+ * Файл из папки root; путь за её пределами (../) — 404, как и несуществующий.
+ */
+export async function sendFile(res, root, relPath) {
+  const base = path.resolve(root);
+  const file = path.resolve(base, relPath);
+  if (!file.startsWith(`${base}${path.sep}`) || !await fs.pathExists(file) || !(await fs.stat(file)).isFile()) {
+    throw new HttpError(404, `Not found: ${relPath}`);
+  }
+  res.statusCode = 200;
+  res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file).toLowerCase()] ?? 'application/octet-stream');
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(file).on('error', reject).pipe(res).on('finish', resolve);
+  });
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
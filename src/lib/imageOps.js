@@ -0,0 +1,168 @@
+import sharp from 'sharp';
+
+/**
+ * Порог Оцу по гистограмме яркости (0..255): первый уровень светлого класса,
+ * т. е. «чернила» — пиксели < threshold (на чёрно-белой 0/255 странице порог 1, а не 0).
+ */
+export function otsuThreshold(data) {
+  const hist = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) hist[data[i]]++;
+
+  const total = data.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+
+  let sumB = 0;
+  let wB = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    wB += hist[t];
+    if (wB === 0) continue;
+    const wF = total - wB;
+    if (wF === 0) break;
+    sumB += t * hist[t];
+    const mB = sumB / wB;
+    const mF = (sum - sumB) / wF;
+    const between = wB * wF * (mB - mF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t + 1;
+    }
+  }
+  return threshold;
+}
+
+function projectionScore(points, angleDeg, height) {
+  const a = (angleDeg * Math.PI) / 180;
+  const sin = Math.sin(a);
+  const cos = Math.cos(a);
+  const bins = new Map();
+
+  for (let i = 0; i < points.length; i += 2) {
+    const row = Math.round(points[i + 1] * cos - points[i] * sin) + height;
+    bins.set(row, (bins.get(row) ?? 0) + 1);
+  }
+
+  let score = 0;
+  for (const v of bins.values()) score += v * v;
+  return score;
+}
+
+/**
+ * Оценка малого наклона (deskew) методом проекционного профиля, без OpenCV.
+ * Возвращает угол в градусах, на который нужно повернуть изображение (sharp.rotate, по часовой стрелке).
+ * minGain — на сколько (доля) профиль при найденном угле должен быть резче, чем при 0°:
+ * без строк текста (фото, заливка, шум) максимум случаен, и такой угол не применяем — возвращаем 0.
+ */
+export async function estimateSkew(input, { maxAngle = 10, width = 1000, maxPoints = 60000, minGain = 0.1 } = {}) {
+  const { data, info } = await sharp(input)
+    .greyscale()
+    .resize({ width, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const threshold = otsuThreshold(data);
+
+  let dark = 0;
+  for (let i = 0; i < data.length; i++) if (data[i] < threshold) dark++;
+  if (dark === 0 || dark > data.length * 0.6) return 0;
+
+  // Прореживаем тёмные пиксели, чтобы перебор углов оставался дешёвым
+  const step = Math.max(1, Math.ceil(dark / maxPoints));
+  const points = [];
+  let k = 0;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < threshold && (k++ % step === 0)) points.push(x, y);
+    }
+  }
+
+  const search = (from, to, inc) => {
+    let bestAngle = 0;
+    let bestScore = -1;
+    for (let a = from; a <= to + 1e-9; a += inc) {
+      const s = projectionScore(points, a, info.height);
+      if (s > bestScore) {
+        bestScore = s;
+        bestAngle = a;
+      }
+    }
+    return { angle: bestAngle, score: bestScore };
+  };
+
+  const coarse = search(-maxAngle, maxAngle, 0.5);
+  const { angle: fine, score } = search(coarse.angle - 0.5, coarse.angle + 0.5, 0.05);
+  const level = projectionScore(points, 0, info.height);
+  if (score < level * (1 + minGain)) return 0;
+  // Найденный угол выравнивает строки; поворот изображения — в обратную сторону
+  return Math.round(-fine * 100) / 100;
+}
+
+/**
+ * Метрики качества страницы (на серой копии фиксированной ширины, чтобы пороги не зависели от DPI):
+ * blur — дисперсия лапласиана (меньше — размытее), contrast — разница средних яркостей фона и «чернил»
+ * по порогу Оцу (0..255), brightness — средняя яркость 0..255, fillRatio — доля «чернильных» пикселей.
+ */
+export async function measureQuality(input, { width = 1000 } = {}) {
+  const { data, info } = await sharp(input)
+    .greyscale()
+    .resize({ width, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const w = info.width;
+  const h = info.height;
+  const n = data.length;
+
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) {
+    sum += data[i];
+    sumSq += data[i] * data[i];
+  }
+  const brightness = sum / n;
+  const deviation = Math.sqrt(Math.max(0, sumSq / n - brightness * brightness));
+
+  let lapSum = 0;
+  let lapSq = 0;
+  let count = 0;
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const v = data[i - w] + data[i + w] + data[i - 1] + data[i + 1] - 4 * data[i];
+      lapSum += v;
+      lapSq += v * v;
+      count++;
+    }
+  }
+  const lapMean = count ? lapSum / count : 0;
+  const blur = count ? lapSq / count - lapMean * lapMean : 0;
+
+  // На почти однотонной странице порог Оцу бессмыслен — считаем её пустой
+  let fillRatio = 0;
+  let contrast = deviation;
+  if (deviation >= 2) {
+    const threshold = otsuThreshold(data);
+    let dark = 0;
+    let darkSum = 0;
+    for (let i = 0; i < n; i++) {
+      if (data[i] < threshold) {
+        dark++;
+        darkSum += data[i];
+      }
+    }
+    fillRatio = dark / n;
+    if (dark > 0 && dark < n) contrast = (sum - darkSum) / (n - dark) - darkSum / dark;
+  }
+
+  const round = (v, d = 2) => Math.round(v * 10 ** d) / 10 ** d;
+  return {
+    blur: round(blur),
+    contrast: round(contrast),
+    brightness: round(brightness),
+    fillRatio: round(fillRatio, 4),
+    width: w,
+    height: h
+  };
+}
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import PQueue from 'p-queue';
+import { runPipeline } from '../pipeline.js';
+
+// Сколько завершённых заданий помнить (список живёт в памяти процесса)
+const MAX_FINISHED = 200;
+
+/**
+ * Очередь заданий runPipeline: задания выполняются по одному (внутри стадий — обычный
+ * параллелизм p-queue, как при запуске из CLI). Задание в очереди отменяется сразу,
+ * выполняющееся — через AbortSignal: текущие документы дорабатывают, следующие не начинаются.
+ */
+export function createJobQueue({ config, log = () => {} }) {
+  const queue = new PQueue({ concurrency: 1 });
+  const jobs = new Map();
+
+  const view = ({ controller, ...job }) => job;
+
+  function prune() {
+    const finished = [...jobs.values()].filter((j) => j.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) jobs.delete(job.id);
+  }
+
+  async function execute(job) {
+    if (job.status === 'cancelled') return;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    log(`Job ${job.id}: running ${job.docs.join(', ')}`);
+
+    try {
+      const summary = await runPipeline({
+        config,
+        docs: job.docs,
+        only: job.stages ?? undefined,
+        force: job.force ?? undefined,
+        signal: job.controller.signal
+      });
+      job.documents = Object.fromEntries(summary);
+      const failed = [...summary.values()].some((stages) => Object.values(stages).some((s) => s.status === 'failed'));
+      job.status = job.controller.signal.aborted ? 'cancelled' : failed ? 'failed' : 'done';
+    } catch (err) {
+      job.status = 'failed';
+      job.error = err?.message ?? String(err);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      log(`Job ${job.id}: ${job.status}`);
+      prune();
+    }
+  }
+
+  return {
+    /**
+     * docs — docId из staging/incoming; stages — только эти стадии; force — true или список стадий.
+     */
+    submit({ docs, stages = null, force = null }) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        docs,
+        stages,
+        force,
+        createdAt: new Date().toISOString(),
+        controller: new AbortController()
+      };
+      jobs.set(job.id, job);
+      queue.add(() => execute(job));
+      return view(job);
+    },
+
+    list() {
+      return [...jobs.values()].map(view);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? view(job) : null;
+    },
+
+    /**
+     * false — задание уже завершено, отменять нечего.
+     */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || job.finishedAt) return false;
+      job.controller.abort();
+      if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+      } else {
+        job.status = 'cancelling';
+      }
+      return true;
+    },
+
+    onIdle: () => queue.onIdle()
+  };
+}
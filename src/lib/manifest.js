@@ -0,0 +1,262 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+export const MANIFEST_NAME = 'manifest.json';
+export const MANIFEST_SCHEMA_VERSION = 2;
+
+const LOCK_NAME = 'manifest.lock';
+const LOCK_DEFAULTS = {
+  // сколько ждать чужой lock, прежде чем сдаться
+  timeoutMs: 30000,
+  retryMs: 200,
+  // lock старше этого считается брошенным, даже если владельца не проверить (другой хост)
+  staleMs: 60 * 60 * 1000
+};
+
+export class ManifestLockError extends Error {
+  constructor(message, { owner = null } = {}) {
+    super(message);
+    this.name = 'ManifestLockError';
+    this.owner = owner;
+  }
+}
+
+/**
+ * Папки растров в записи страницы (`r100`, `r300`, …).
+ */
+function pageFolders(pages) {
+  const folders = new Set();
+  for (const page of pages ?? []) {
+    for (const key of Object.keys(page)) {
+      if (/^r\d+$/.test(key)) folders.add(key);
+    }
+  }
+  return [...folders].sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+}
+
+/**
+ * 0 → 1: манифест без schemaVersion. Старый ingestor.js писал `source` и `processedAt`
+ * без `stages` — переводим в вид, будто страницы нарисовала стадия rasterize.
+ */
+function migrateV0(m) {
+  if (m.stages || !m.processedAt) return m;
+
+  const { processedAt, source, ...rest } = m;
+  return {
+    ...rest,
+    createdAt: rest.createdAt ?? processedAt,
+    input: { ...rest.input, ...(source ? { source } : {}) },
+    stages: {
+      rasterize: {
+        finishedAt: processedAt,
+        source: 'ingestor',
+        resolutions: pageFolders(rest.pages).map((folder) => ({ dpi: Number(folder.slice(1)), folder }))
+      }
+    }
+  };
+}
+
+/**
+ * 1 → 2: сплиттер писал свой раздел в `stages.split`, а стадия называется `splitter`
+ * (ошибки, статус в API и профиль ищут `stages.<имя стадии>`).
+ */
+function migrateV1(m) {
+  if (!m.stages?.split) return m;
+  const { split, ...stages } = m.stages;
+  return { ...m, stages: { ...stages, splitter: { ...stages.splitter, ...split } } };
+}
+
+// MIGRATIONS[n] поднимает манифест с версии n до n + 1
+const MIGRATIONS = [migrateV0, migrateV1];
+
+/**
+ * Доводит манифест до MANIFEST_SCHEMA_VERSION. Манифест из более новой версии не трогаем — ошибка.
+ */
+export function migrateManifest(manifest) {
+  let m = manifest;
+  let version = m.schemaVersion ?? 0;
+  if (version > MANIFEST_SCHEMA_VERSION) {
+    throw new Error(`Manifest schemaVersion ${version} is newer than supported ${MANIFEST_SCHEMA_VERSION}`);
+  }
+  while (version < MANIFEST_SCHEMA_VERSION) {
+    m = MIGRATIONS[version](m);
+    version += 1;
+    m.schemaVersion = version;
+  }
+  return m;
+}
+
+export function normalizeManifest(manifest, docId) {
+  const src = (manifest && typeof manifest === 'object') ? manifest : {};
+  const m = { schemaVersion: src.schemaVersion ?? MANIFEST_SCHEMA_VERSION, ...src };
+  m.docId = m.docId ?? docId;
+  m.createdAt = m.createdAt ?? new Date().toISOString();
+  m.updatedAt = m.updatedAt ?? new Date().toISOString();
+
+  m.input = (m.input && typeof m.input === 'object') ? m.input : {};
+  m.pages = Array.isArray(m.pages) ? m.pages : [];
+  m.stages = (m.stages && typeof m.stages === 'object') ? m.stages : {};
+
+  return m;
+}
+
+export async function loadOrCreateManifest(docDir, docId) {
+  const manifestPath = path.join(docDir, MANIFEST_NAME);
+
+  if (await fs.pathExists(manifestPath)) {
+    const m = await fs.readJson(manifestPath);
+    return normalizeManifest(migrateManifest(m), docId);
+  }
+
+  return normalizeManifest(null, docId);
+}
+
+let tmpCounter = 0;
+
+/**
+ * Запись через временный файл + rename: при падении посреди записи остаётся старый JSON, а не обрывок.
+ */
+export async function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+  const handle = await fs.promises.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(`${JSON.stringify(data, null, 2)}\n`);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.remove(tmpPath);
+    throw err;
+  }
+}
+
+export async function saveManifest(docDir, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(path.join(docDir, MANIFEST_NAME), manifest);
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+async function lockIsStale(lockPath, owner, staleMs) {
+  if (owner?.host === os.hostname() && owner.pid && !pidAlive(owner.pid)) return true;
+  const stat = await fs.stat(lockPath).catch(() => null);
+  return !!stat && Date.now() - stat.mtimeMs > staleMs;
+}
+
+async function acquireFileLock(docDir, { timeoutMs, retryMs, staleMs }) {
+  const lockPath = path.join(docDir, LOCK_NAME);
+  const deadline = Date.now() + timeoutMs;
+  await fs.ensureDir(docDir);
+
+  for (;;) {
+    try {
+      // flag 'wx' — создать, только если файла нет: между процессами выигрывает ровно один
+      await fs.writeFile(lockPath, JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        lockedAt: new Date().toISOString()
+      }), { flag: 'wx' });
+      return lockPath;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const owner = await fs.readJson(lockPath).catch(() => null);
+    if (await lockIsStale(lockPath, owner, staleMs)) {
+      await fs.remove(lockPath);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new ManifestLockError(`locked by pid ${owner?.pid ?? '?'}${owner?.host ? ` on ${owner.host}` : ''}`, { owner });
+    }
+    await new Promise((resolve) => setTimeout(resolve, retryMs));
+  }
+}
+
+// Внутри процесса документы блокируются очередью промисов, между процессами — файлом manifest.lock
+const localLocks = new Map();
+
+/**
+ * Выполняет fn, держа lock документа: одновременно с манифестом работает только один
+ * процесс и одна задача внутри процесса. Не реентерабельно — внутри fn lock не брать.
+ */
+export async function withManifestLock(docDir, fn, options = {}) {
+  const key = path.resolve(docDir);
+  const previous = localLocks.get(key) ?? Promise.resolve();
+  let release;
+  const held = new Promise((resolve) => { release = resolve; });
+  const current = previous.then(() => held);
+  localLocks.set(key, current);
+
+  await previous;
+  try {
+    const lockPath = await acquireFileLock(docDir, { ...LOCK_DEFAULTS, ...options });
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath);
+    }
+  } finally {
+    release();
+    if (localLocks.get(key) === current) localLocks.delete(key);
+  }
+}
+
+/**
+ * Загрузить → изменить → сохранить под lock'ом.
+ */
+export async function updateManifest(docDir, docId, fn) {
+  return withManifestLock(docDir, async () => {
+    const manifest = await loadOrCreateManifest(docDir, docId);
+    const result = await fn(manifest);
+    await saveManifest(docDir, manifest);
+    return result;
+  });
+}
+
+/**
+ * Значение по пути вида `stages.rasterize.finishedAt` (undefined, если пути нет).
+ */
+export function getByPath(obj, dotPath) {
+  return dotPath.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+/**
+ * Страницы документа, которые не были нарезаны сплиттером на под-документы.
+ */
+export function activePages(manifest) {
+  return (manifest.pages ?? []).filter((p) => !p.splitInto);
+}
+
+/**
+ * Документ целиком заменён под-документами (все страницы нарезаны).
+ */
+export function isSuperseded(manifest) {
+  return manifest.split?.superseded === true;
+}
+
+/**
+ * Страница помечена стадией quality как непригодная для модели (нужен человек).
+ */
+export function needsReview(page) {
+  return page.quality?.review === true;
+}
+
+/**
+ * Активные страницы, которые можно отдавать модели (без отправленных на ручной разбор).
+ */
+export function modelPages(manifest) {
+  return activePages(manifest).filter((p) => !needsReview(p));
+}
@@ -0,0 +1,216 @@
+import { getFieldDefs } from './docTypes.js';
+import { parseAnyDate, formatDate } from './dates.js';
+
+const LATIN_TO_CYRILLIC = {
+  A: 'А', B: 'В', C: 'С', E: 'Е', H: 'Н', K: 'К', M: 'М', O: 'О', P: 'Р', T: 'Т', X: 'Х', Y: 'У',
+  a: 'а', c: 'с', e: 'е', o: 'о', p: 'р', x: 'х', y: 'у'
+};
+const CYRILLIC_TO_LATIN = Object.fromEntries(Object.entries(LATIN_TO_CYRILLIC).map(([l, c]) => [c, l]));
+
+// Типичные путаницы в цифровых полях (серия/номер)
+const DIGIT_LOOKALIKES = { O: '0', o: '0', 'О': '0', 'о': '0', I: '1', l: '1', '|': '1', 'З': '3', 'з': '3', B: '8', 'В': '8' };
+
+function mapChars(str, table) {
+  return [...str].map((ch) => table[ch] ?? ch).join('');
+}
+
+/**
+ * Слово со смесью алфавитов → один алфавит («ИBAHOB» → «ИВАНОВ»).
+ * Решает буква без двойника (И, Б, Ж… или Q, R, S…), иначе — большинство.
+ */
+function fixWordHomoglyphs(word) {
+  const cyr = [...word].filter((ch) => /[а-яё]/i.test(ch));
+  const lat = [...word].filter((ch) => /[a-z]/i.test(ch));
+  if (cyr.length === 0 || lat.length === 0) return word;
+
+  const cyrOnly = cyr.some((ch) => !CYRILLIC_TO_LATIN[ch]);
+  const latOnly = lat.some((ch) => !LATIN_TO_CYRILLIC[ch]);
+
+  if (cyrOnly && !latOnly) return mapChars(word, LATIN_TO_CYRILLIC);
+  if (latOnly && !cyrOnly) return mapChars(word, CYRILLIC_TO_LATIN);
+  return cyr.length >= lat.length ? mapChars(word, LATIN_TO_CYRILLIC) : mapChars(word, CYRILLIC_TO_LATIN);
+}
+
+// Целая часть, разбитая на разряды по три цифры разделителем sep: "12,500,000"
+const groupedBy = (sep) => new RegExp(`^-?[1-9]\\d{0,2}(\\${sep}\\d{3})+$`);
+
+/**
+ * Число с разделителями → строка с десятичной точкой.
+ * - есть и «,», и «.»: последний — десятичный, другой — разряды ("1.000,50", "1,000.50");
+ * - один разделитель несколько раз — разряды ("12,500,000", "1.000.000");
+ * - одна точка перед тремя цифрами — разряды ("1.000"), одна запятая перед тремя цифрами —
+ *   не угадать ("1,000": тысяча или единица), ошибка; иначе один разделитель — десятичный.
+ */
+function numberWithDot(s, raw) {
+  const fail = (why) => { throw new Error(`parse_number: ${why} "${raw}"`); };
+  const commas = s.split(',').length - 1;
+  const dots = s.split('.').length - 1;
+
+  if (commas > 0 && dots > 0) {
+    const dec = s.lastIndexOf(',') > s.lastIndexOf('.') ? ',' : '.';
+    const group = dec === ',' ? '.' : ',';
+    const parts = s.split(dec);
+    if (parts.length !== 2 || !groupedBy(group).test(parts[0])) fail('cannot parse');
+    return parts[0].replaceAll(group, '') + '.' + parts[1];
+  }
+
+  const sep = commas > 0 ? ',' : '.';
+  const count = commas + dots;
+  if (count === 0) return s;
+  if (count > 1) {
+    if (!groupedBy(sep).test(s)) fail('cannot parse');
+    return s.replaceAll(sep, '');
+  }
+  if (groupedBy(sep).test(s)) {
+    if (sep === ',') fail('ambiguous thousands/decimal separator in');
+    return s.replaceAll(sep, '');
+  }
+  return s.replace(sep, '.');
+}
+
+function requireString(value, op) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number') return String(value);
+  throw new Error(`${op}: expected string, got ${typeof value}`);
+}
+
+/**
+ * Реестр именованных операций нормализации: (value, arg) → новое значение.
+ * Операция бросает ошибку, если значение не удалось привести — оно остаётся как было.
+ */
+export const operations = {
+  trim: (v) => requireString(v, 'trim').trim(),
+  collapse_spaces: (v) => requireString(v, 'collapse_spaces').replace(/\s+/g, ' ').trim(),
+  uppercase: (v) => requireString(v, 'uppercase').toLocaleUpperCase('ru'),
+  lowercase: (v) => requireString(v, 'lowercase').toLocaleLowerCase('ru'),
+  fix_homoglyphs: (v) => requireString(v, 'fix_homoglyphs').replace(/[A-Za-zА-Яа-яЁё]+/g, fixWordHomoglyphs),
+
+  parse_date(v) {
+    const date = parseAnyDate(requireString(v, 'parse_date'));
+    if (!date) throw new Error(`parse_date: cannot parse "${v}"`);
+    return formatDate(date, 'YYYY-MM-DD');
+  },
+
+  iso_format: (v) => operations.format_date(v, 'YYYY-MM-DD'),
+
+  format_date(v, format = 'YYYY-MM-DD') {
+    const date = parseAnyDate(requireString(v, 'format_date'));
+    if (!date) throw new Error(`format_date: cannot parse "${v}"`);
+    return formatDate(date, format);
+  },
+
+  // "1 234,56 руб." → 1234.56
+  parse_number(v) {
+    if (typeof v === 'number') return v;
+    const s = requireString(v, 'parse_number')
+      .replace(/[\s']/g, '')
+      .replace(/[^\d,.-]/g, '')
+      .replace(/^[,.]+|[,.]+$/g, '');
+
+    const normalized = numberWithDot(s, v);
+    const n = Number(normalized);
+    if (normalized === '' || !Number.isFinite(n)) throw new Error(`parse_number: cannot parse "${v}"`);
+    return n;
+  },
+
+  round_2_decimals(v) {
+    const n = typeof v === 'number' ? v : operations.parse_number(v);
+    return Math.round((n + Number.EPSILON) * 100) / 100;
+  },
+
+  // Серия/номер: только цифры, с заменой похожих букв ("45 О1" → "4501")
+  clean_series: (v) => mapChars(requireString(v, 'clean_series'), DIGIT_LOOKALIKES).replace(/\D/g, '')
+};
+
+// Поля, к которым применяется `clean_series: true` без явного списка
+const CLEAN_SERIES_FIELDS = ['series', 'number'];
+
+function parsePipeline(spec) {
+  return spec.split(',').map((s) => s.trim()).filter(Boolean).map((name) => ({ name }));
+}
+
+/**
+ * Оба стиля `normalization` → список операций на каждое поле.
+ *  - по полю: `"invoice_date": "parse_date, iso_format"`
+ *  - групповые правила: `"uppercase": [...]`, `"date_format": "YYYY-MM-DD"`, `"clean_series": true`
+ */
+export function compileRules(docType) {
+  const defs = getFieldDefs(docType);
+  const fieldIds = new Set(defs.map((d) => d.id));
+  const plan = new Map();
+  const warnings = [];
+
+  const add = (fieldId, op) => {
+    if (!plan.has(fieldId)) plan.set(fieldId, []);
+    plan.get(fieldId).push(op);
+  };
+
+  for (const [key, rule] of Object.entries(docType?.normalization ?? {})) {
+    if (fieldIds.has(key) && typeof rule === 'string') {
+      for (const op of parsePipeline(rule)) add(key, op);
+      continue;
+    }
+
+    if (key === 'date_format') {
+      for (const d of defs.filter((d) => d.type === 'date' || d.format === 'date')) {
+        add(d.id, { name: 'format_date', arg: rule });
+      }
+      continue;
+    }
+
+    if (!operations[key]) {
+      warnings.push(`Unknown normalization rule "${key}"`);
+      continue;
+    }
+
+    const targets = Array.isArray(rule)
+      ? rule
+      : (rule === true && key === 'clean_series' ? CLEAN_SERIES_FIELDS.filter((id) => fieldIds.has(id)) : []);
+    for (const id of targets) add(id, { name: key });
+  }
+
+  for (const ops of plan.values()) {
+    for (const op of ops) {
+      if (!operations[op.name]) warnings.push(`Unknown operation "${op.name}"`);
+    }
+  }
+
+  return { plan, warnings };
+}
+
+/**
+ * Нормализует значения полей. Возвращает нормализованные значения,
+ * исходные (raw) и журнал применённых операций для аудита.
+ */
+export function normalizeFields(fields, docType) {
+  const { plan, warnings } = compileRules(docType);
+  const defs = getFieldDefs(docType);
+  const raw = { ...fields };
+  const normalized = { ...fields };
+  const applied = {};
+
+  for (const def of defs) {
+    if ((normalized[def.id] === null || normalized[def.id] === undefined || normalized[def.id] === '')
+      && def.default !== undefined) {
+      normalized[def.id] = def.default;
+      (applied[def.id] ??= []).push('default');
+    }
+  }
+
+  for (const [fieldId, ops] of plan) {
+    for (const op of ops) {
+      const fn = operations[op.name];
+      const value = normalized[fieldId];
+      if (!fn || value === null || value === undefined) continue;
+
+      try {
+        normalized[fieldId] = fn(value, op.arg);
+        (applied[fieldId] ??= []).push(op.arg ? `${op.name}:${op.arg}` : op.name);
+      } catch (err) {
+        warnings.push(`${fieldId}: ${err.message}`);
+      }
+    }
+  }
+
+  return { fields: normalized, raw, applied, warnings };
+}
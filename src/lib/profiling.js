@@ -0,0 +1,249 @@
+const MB = 1024 * 1024;
+
+/**
+ * Миллисекунды с отметки t0 = performance.now(), с точностью до 0.1.
+ */
+export function since(t0) {
+  return Math.round((performance.now() - t0) * 10) / 10;
+}
+
+/**
+ * Пиковая память процесса (RSS, включая нативную память sharp/canvas) за время между стартом и stop().
+ * RSS опрашивается раз в intervalMs; синхронные всплески между опросами ловит maxRSS из resourceUsage,
+ * если за это время вырос максимум процесса. Значение общее для процесса: при concurrency > 1
+ * параллельные документы видят один и тот же пик.
+ */
+export function trackMemory({ intervalMs = 50 } = {}) {
+  const maxBefore = process.resourceUsage().maxRSS;
+  let peak = process.memoryUsage.rss();
+  const sample = () => {
+    peak = Math.max(peak, process.memoryUsage.rss());
+  };
+  const timer = setInterval(sample, intervalMs);
+  timer.unref();
+
+  return {
+    stop() {
+      clearInterval(timer);
+      sample();
+      // maxRSS — в килобайтах
+      const maxAfter = process.resourceUsage().maxRSS;
+      if (maxAfter > maxBefore) peak = Math.max(peak, maxAfter * 1024);
+      return Math.round(peak / MB);
+    }
+  };
+}
+
+/**
+ * Перцентиль методом ближайшего ранга; null для пустого списка.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+/**
+ * Сводка ряда значений: число, сумма, p50/p90/p95 и максимум.
+ */
+export function summarize(values) {
+  const sorted = values.filter((v) => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+  const round = (v) => (v == null ? null : Math.round(v * 10) / 10);
+  return {
+    count: sorted.length,
+    total: round(sorted.reduce((sum, v) => sum + v, 0)),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p95: round(percentile(sorted, 95)),
+    max: round(sorted.at(-1) ?? null)
+  };
+}
+
+/**
+ * Страниц в минуту при суммарном времени totalMs (время стадии по документам, не стена часов).
+ */
+export function pagesPerMinute(pages, totalMs) {
+  return totalMs > 0 ? Math.round((pages / totalMs) * 60000 * 10) / 10 : null;
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Записи о вызовах VLM внутри узла манифеста: любой объект с полем usage (см. callStats в vlm.js).
+ */
+export function findVlmCalls(node, out = []) {
+  if (Array.isArray(node)) {
+    for (const item of node) findVlmCalls(item, out);
+  } else if (isObject(node)) {
+    if ('usage' in node) out.push(node);
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'usage') findVlmCalls(value, out);
+    }
+  }
+  return out;
+}
+
+const seconds = (ms) => (ms == null ? '—' : (ms / 1000).toFixed(1));
+const pair = (s, format = (v) => v ?? '—') => `${format(s.p50)} / ${format(s.p95)}`;
+
+/**
+ * Сводка по документам: [{ docId, manifest, pages }] → время стадий, растрирование по разрешениям, вызовы VLM.
+ * Берутся только завершённые запуски (profile.status = done).
+ * lastRun — _pipeline_summary.json последнего прогона (время стадий по часам).
+ */
+export function aggregateProfiles(docs, { order = [], lastRun = null } = {}) {
+  const stages = {};
+  const rasterize = {};
+  const vlm = {};
+  const byOrder = (a, b) => {
+    const ia = order.indexOf(a);
+    const ib = order.indexOf(b);
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib) || a.localeCompare(b);
+  };
+
+  for (const { manifest, pages } of docs) {
+    for (const [name, p] of Object.entries(manifest.profile ?? {})) {
+      if (p.status !== 'done') continue;
+      const s = stages[name] ??= { documents: 0, pages: 0, durations: [], memory: [] };
+      s.documents++;
+      s.pages += pages;
+      s.durations.push(p.durationMs);
+      s.memory.push(p.peakRssMb);
+    }
+
+    for (const t of manifest.stages.rasterize?.timing?.pages ?? []) {
+      const r = rasterize[t.folder] ??= { dpi: t.dpi, render: [], png: [], webp: [], total: [] };
+      r.render.push(t.renderMs);
+      r.png.push(t.pngMs);
+      r.webp.push(t.webpMs);
+      r.total.push(t.renderMs + t.pngMs + t.webpMs);
+    }
+
+    const calls = Object.entries(manifest.stages).map(([name, s]) => [name, findVlmCalls(s)]);
+    // Ориентация страниц (preprocess) записана в pages[].preprocess
+    calls.push(['preprocess', findVlmCalls((manifest.pages ?? []).map((p) => p.preprocess))]);
+    for (const [name, list] of calls) {
+      if (list.length === 0) continue;
+      const v = vlm[name] ??= { queue: [], inference: [], tokensPerSecond: [], promptTokens: 0, completionTokens: 0 };
+      for (const c of list) {
+        v.queue.push(c.queueMs);
+        v.inference.push(c.inferenceMs ?? c.durationMs);
+        v.promptTokens += c.usage?.prompt_tokens ?? 0;
+        v.completionTokens += c.usage?.completion_tokens ?? 0;
+        const ms = c.inferenceMs ?? c.durationMs;
+        if (c.usage?.completion_tokens && ms > 0) v.tokensPerSecond.push(c.usage.completion_tokens / (ms / 1000));
+      }
+    }
+  }
+
+  const sorted = (obj) => Object.keys(obj).sort(byOrder);
+
+  return {
+    documents: docs.length,
+    pages: docs.reduce((sum, d) => sum + d.pages, 0),
+    peakRssMb: Math.max(0, ...Object.values(stages).flatMap((s) => s.memory.filter(Number.isFinite))) || null,
+    stages: Object.fromEntries(sorted(stages).map((name) => {
+      const s = stages[name];
+      const durationMs = summarize(s.durations);
+      return [name, {
+        documents: s.documents,
+        pages: s.pages,
+        durationMs,
+        pagesPerMinute: pagesPerMinute(s.pages, durationMs.total),
+        peakRssMb: summarize(s.memory)
+      }];
+    })),
+    rasterize: Object.fromEntries(Object.entries(rasterize)
+      .sort(([, a], [, b]) => a.dpi - b.dpi)
+      .map(([folder, r]) => {
+        const totalMs = summarize(r.total);
+        return [folder, {
+          dpi: r.dpi,
+          pages: r.total.length,
+          renderMs: summarize(r.render),
+          pngMs: summarize(r.png),
+          webpMs: summarize(r.webp),
+          totalMs,
+          pagesPerMinute: pagesPerMinute(r.total.length, totalMs.total)
+        }];
+      })),
+    vlm: Object.fromEntries(sorted(vlm).map((name) => {
+      const v = vlm[name];
+      return [name, {
+        calls: v.inference.length,
+        queueMs: summarize(v.queue),
+        inferenceMs: summarize(v.inference),
+        tokensPerSecond: summarize(v.tokensPerSecond),
+        promptTokens: v.promptTokens,
+        completionTokens: v.completionTokens
+      }];
+    })),
+    lastRun: lastRun ? lastRunTiming(lastRun, docs) : null
+  };
+}
+
+/**
+ * Стадии последнего прогона по часам: сколько документов и страниц стадия реально обработала за своё время.
+ */
+function lastRunTiming(summary, docs) {
+  const pagesById = new Map(docs.map((d) => [d.docId, d.pages]));
+  const stages = {};
+  for (const [name, t] of Object.entries(summary.timing ?? {})) {
+    const done = Object.entries(summary.documents ?? {}).filter(([, s]) => s[name]?.status === 'done').map(([id]) => id);
+    const pages = done.reduce((sum, id) => sum + (pagesById.get(id) ?? 0), 0);
+    stages[name] = { ...t, documents: done.length, pages, pagesPerMinute: pages > 0 ? pagesPerMinute(pages, t.durationMs) : null };
+  }
+  return { finishedAt: summary.finishedAt, stages };
+}
+
+export function renderBenchmarkMarkdown(report) {
+  const lines = [
+    '# Benchmark report',
+    '',
+    `- Created: ${report.createdAt}`,
+    `- Documents: ${report.documents}, pages: ${report.pages}`,
+    `- Peak memory (RSS): ${report.peakRssMb ?? '—'} MB`,
+    '',
+    '## Stages',
+    '',
+    'Per document, last completed run. pages/min — pages divided by the summed stage time.',
+    '',
+    '| stage | docs | pages | p50 s | p90 s | p95 s | max s | pages/min | peak RSS p95 / max MB |',
+    '|---|---:|---:|---:|---:|---:|---:|---:|---:|'
+  ];
+  for (const [name, s] of Object.entries(report.stages)) {
+    const d = s.durationMs;
+    lines.push(`| ${name} | ${s.documents} | ${s.pages} | ${seconds(d.p50)} | ${seconds(d.p90)} | ${seconds(d.p95)} `
+      + `| ${seconds(d.max)} | ${s.pagesPerMinute ?? '—'} | ${s.peakRssMb.p95 ?? '—'} / ${s.peakRssMb.max ?? '—'} |`);
+  }
+
+  if (Object.keys(report.rasterize).length > 0) {
+    lines.push('', '## Rasterize by resolution', '', 'Per page, ms (p50 / p95).', '',
+      '| folder | dpi | pages | render | PNG encode | WebP encode | total | pages/min |',
+      '|---|---:|---:|---:|---:|---:|---:|---:|');
+    for (const [folder, r] of Object.entries(report.rasterize)) {
+      lines.push(`| ${folder} | ${r.dpi} | ${r.pages} | ${pair(r.renderMs)} | ${pair(r.pngMs)} | ${pair(r.webpMs)} `
+        + `| ${pair(r.totalMs)} | ${r.pagesPerMinute ?? '—'} |`);
+    }
+  }
+
+  if (Object.keys(report.vlm).length > 0) {
+    lines.push('', '## VLM calls', '', 'Seconds (p50 / p95); tokens/s — completion tokens per second of inference.', '',
+      '| stage | calls | queue wait | inference | tokens/s p50 | prompt tokens | completion tokens |',
+      '|---|---:|---:|---:|---:|---:|---:|');
+    for (const [name, v] of Object.entries(report.vlm)) {
+      lines.push(`| ${name} | ${v.calls} | ${pair(v.queueMs, seconds)} | ${pair(v.inferenceMs, seconds)} `
+        + `| ${v.tokensPerSecond.p50 ?? '—'} | ${v.promptTokens} | ${v.completionTokens} |`);
+    }
+  }
+
+  if (report.lastRun) {
+    lines.push('', '## Last pipeline run', '', `Wall clock, finished ${report.lastRun.finishedAt}.`, '',
+      '| stage | duration s | docs done | pages | pages/min | peak RSS MB |',
+      '|---|---:|---:|---:|---:|---:|');
+    for (const [name, s] of Object.entries(report.lastRun.stages)) {
+      lines.push(`| ${name} | ${seconds(s.durationMs)} | ${s.documents} | ${s.pages} | ${s.pagesPerMinute ?? '—'} | ${s.peakRssMb ?? '—'} |`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,160 @@
+import path from 'path';
+import sharp from 'sharp';
+
+// Ключи объекта-обёртки поля в ответе модели: { value, page, bbox, confidence }
+const LOCATED_KEYS = new Set(['value', 'page', 'bbox', 'confidence']);
+// Все bbox в provenance — в пикселях растра r300 (как bbox сплиттера в parent.bbox)
+export const PROVENANCE_RESOLUTION = 'r300';
+const PROVENANCE_DPI = 300;
+
+export const PROVENANCE_PROMPT = 'Значение каждого ключа — объект {"value": значение, "page": номер изображения (с 1), '
+  + '"bbox": [x1, y1, x2, y2], "confidence": уверенность 0..1}. '
+  + 'bbox — рамка вокруг значения на изображении, в сетке 0..1000 относительно его ширины и высоты. '
+  + 'Если поле отсутствует или неразборчиво, верни {"value": null, "page": null, "bbox": null, "confidence": 0}.';
+
+function isLocated(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && 'value' in value && Object.keys(value).every((k) => LOCATED_KEYS.has(k));
+}
+
+/**
+ * Ответ модели с обёртками { value, page, bbox, confidence } → значения в прежнем виде
+ * и подсказки о местоположении по плоским ключам (как в mapToFields: husband_surname).
+ * Ответ без обёрток возвращается как есть, подсказок нет.
+ */
+export function splitProvenance(parsed, prefix = '', hints = {}) {
+  const values = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    const flatKey = prefix ? `${prefix}_${key}` : key;
+    if (isLocated(value)) {
+      const { value: v, ...hint } = value;
+      values[key] = v;
+      hints[flatKey] = hint;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      values[key] = splitProvenance(value, flatKey, hints).values;
+    } else {
+      values[key] = value;
+    }
+  }
+  return { values, hints };
+}
+
+function normalizeConfidence(value) {
+  const n = Number(value);
+  if (value == null || value === '' || !Number.isFinite(n) || n < 0) return null;
+  // Некоторые модели отвечают в процентах
+  return Math.min(1, n > 1 ? n / 100 : n);
+}
+
+/**
+ * Уверенность, если модель её не дала: пустое значение — 0, не прошло
+ * регулярку поля — 0.3, иначе 0.7 (0.5 без рамки на странице).
+ */
+export function heuristicConfidence(value, def, located) {
+  if (value == null || value === '') return 0;
+  if (def?.validation && !new RegExp(def.validation).test(String(value))) return 0.3;
+  return located ? 0.7 : 0.5;
+}
+
+function folderDpi(manifest, folder) {
+  const known = [
+    ...manifest.stages.rasterize?.resolutions ?? [],
+    ...manifest.stages.preprocess?.resolutions ?? []
+  ].find((r) => r.folder === folder);
+  const match = /^r(\d+)/.exec(folder);
+  return known?.dpi ?? (match ? Number(match[1]) : null);
+}
+
+/**
+ * Точка повёрнутого sharp.rotate(angle) изображения (холст расширен) → точка исходного width×height.
+ */
+function unrotatePoint([x, y], angle, width, height) {
+  const a = (angle * Math.PI) / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const rw = Math.abs(width * cos) + Math.abs(height * sin);
+  const rh = Math.abs(width * sin) + Math.abs(height * cos);
+  const dx = x - rw / 2;
+  const dy = y - rh / 2;
+  return [dx * cos + dy * sin + width / 2, -dx * sin + dy * cos + height / 2];
+}
+
+/**
+ * Пересчёт рамки из сетки 0..1000 изображения folder в пиксели r300 той же страницы.
+ * Если модель смотрела на улучшенную копию (r300_pp, r200_m_photo), отменяем обрезку
+ * и поворот preprocess, затем масштабируем по DPI исходного растра.
+ */
+async function toR300Bbox(page, folder, norm, { manifest, imageSize }) {
+  const { width, height } = await imageSize(page, folder);
+  let corners = [[norm[0], norm[1]], [norm[2], norm[1]], [norm[0], norm[3]], [norm[2], norm[3]]]
+    .map(([x, y]) => [(x / 1000) * width, (y / 1000) * height]);
+
+  const source = /^r\d+/.exec(folder)?.[0] ?? folder;
+  if (source !== folder && page[source]) {
+    const crop = page.preprocess?.crop?.[folder];
+    if (crop) corners = corners.map(([x, y]) => [x + crop.left, y + crop.top]);
+
+    const angle = (page.preprocess?.rotation ?? 0) + (page.preprocess?.skew ?? 0);
+    if (angle !== 0) {
+      const src = await imageSize(page, source);
+      corners = corners.map((p) => unrotatePoint(p, angle, src.width, src.height));
+    }
+  }
+
+  const base = page[source] ? await imageSize(page, source) : { width, height };
+  const scale = PROVENANCE_DPI / (folderDpi(manifest, source) ?? PROVENANCE_DPI);
+  const xs = corners.map(([x]) => Math.min(base.width, Math.max(0, x)) * scale);
+  const ys = corners.map(([, y]) => Math.min(base.height, Math.max(0, y)) * scale);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)].map(Math.round);
+}
+
+function validNormBbox(bbox) {
+  if (!Array.isArray(bbox) || bbox.length !== 4) return null;
+  const [x1, y1, x2, y2] = bbox.map(Number);
+  if (![x1, y1, x2, y2].every(Number.isFinite)) return null;
+  const box = [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+  return box[2] > box[0] && box[3] > box[1] ? box : null;
+}
+
+/**
+ * Происхождение каждого поля: { fieldId: { page, bbox, confidence, confidenceSource } }.
+ * page — номер страницы документа (page.index), bbox — [x1, y1, x2, y2] в пикселях r300;
+ * confidenceSource — 'model' или 'heuristic'. Поля, которые модель не показала, получают bbox = null.
+ */
+export async function resolveProvenance(doc, { pages, resolution, fields, hints, fieldDefs }) {
+  const sizes = new Map();
+  const imageSize = async (page, folder) => {
+    const key = `${page.index}/${folder}`;
+    if (!sizes.has(key)) sizes.set(key, await sharp(path.join(doc.docDir, folder, page[folder])).metadata());
+    return sizes.get(key);
+  };
+  const defs = new Map(fieldDefs.map((f) => [f.id, f]));
+  const provenance = {};
+
+  for (const id of Object.keys(fields)) {
+    const hint = hints[id] ?? {};
+    const n = Number(hint.page);
+    const page = Number.isInteger(n) && n >= 1 && n <= pages.length
+      ? pages[n - 1]
+      : (pages.length === 1 && hint.bbox ? pages[0] : null);
+    const norm = page ? validNormBbox(hint.bbox) : null;
+
+    let bbox = null;
+    if (norm) {
+      try {
+        bbox = await toR300Bbox(page, resolution, norm, { manifest: doc.manifest, imageSize });
+      } catch {
+        // нет файла страницы — оставляем поле без рамки
+      }
+    }
+
+    const modelConfidence = normalizeConfidence(hint.confidence);
+    provenance[id] = {
+      page: page?.index ?? null,
+      bbox,
+      confidence: modelConfidence ?? heuristicConfidence(fields[id], defs.get(id), bbox !== null),
+      confidenceSource: modelConfidence !== null ? 'model' : 'heuristic'
+    };
+  }
+  return provenance;
+}
@@ -0,0 +1,105 @@
+import { loadDocTypes } from './config.js';
+
+const DEFAULT_RESOLUTIONS = [
+  { dpi: 75, folder: 'r75', quality: 80, lossless: false },
+  { dpi: 100, folder: 'r100', quality: 80, lossless: false },
+  { dpi: 150, folder: 'r150', quality: 82, lossless: false },
+  { dpi: 200, folder: 'r200', quality: 84, lossless: false },
+  { dpi: 250, folder: 'r250', quality: 86, lossless: false },
+  { dpi: 300, folder: 'r300', quality: 90, lossless: false }
+];
+
+const DEFAULT_ROUTING_DPI = 100;
+
+/**
+ * Пирамида из root.json → rasterize.resolutions (по возрастанию DPI).
+ */
+export function getResolutions(config) {
+  const resolutions = config.rasterize?.resolutions;
+  const list = Array.isArray(resolutions) && resolutions.length > 0 ? resolutions : DEFAULT_RESOLUTIONS;
+  return list
+    .map((r) => ({ ...r, folder: r.folder ?? `r${r.dpi}` }))
+    .sort((a, b) => a.dpi - b.dpi);
+}
+
+/**
+ * Настройки растра для нужного DPI: ближайший уровень пирамиды не ниже dpi,
+ * а если такого нет — отдельный уровень r<dpi> с настройками самого подробного.
+ */
+export function resolutionForDpi(config, dpi) {
+  const pyramid = getResolutions(config);
+  const match = pyramid.find((r) => r.dpi >= dpi);
+  if (match) return match;
+  const top = pyramid[pyramid.length - 1] ?? {};
+  return { ...top, dpi, folder: `r${dpi}` };
+}
+
+/**
+ * DPI, которые docType просит в config/docTypes/*.json → dpi: { routing, extraction }.
+ */
+export function docTypeDpi(docType) {
+  return {
+    routing: Number(docType?.dpi?.routing) || null,
+    extraction: Number(docType?.dpi?.extraction) || null
+  };
+}
+
+/**
+ * DPI роутинга (классификация, сегментация): тип ещё неизвестен,
+ * поэтому берём максимум из rasterize.routingDpi и всех docTypes.
+ */
+export async function routingDpi(config) {
+  const docTypes = await loadDocTypes();
+  const wanted = [...docTypes.values()].map((t) => docTypeDpi(t).routing).filter(Boolean);
+  return Math.max(config.rasterize?.routingDpi ?? DEFAULT_ROUTING_DPI, ...wanted);
+}
+
+/**
+ * DPI извлечения: extract.dpi (один для всех типов — для экспериментов),
+ * иначе docType.dpi.extraction, иначе DPI папки extract.resolution.
+ */
+export function extractionDpi(docType, config) {
+  if (Number(config.extract?.dpi)) return Number(config.extract.dpi);
+  const fromDocType = docTypeDpi(docType).extraction;
+  if (fromDocType) return fromDocType;
+
+  const folder = config.extract?.resolution ?? 'r300';
+  return getResolutions(config).find((r) => r.folder === folder)?.dpi ?? 300;
+}
+
+/**
+ * Растры, которые уже есть у документа (manifest.stages.rasterize.resolutions), по возрастанию DPI.
+ */
+export function renderedResolutions(manifest, pages = manifest.pages ?? []) {
+  return (manifest.stages.rasterize?.resolutions ?? [])
+    .filter((r) => r.dpi != null && pages.some((p) => p[r.folder]))
+    .sort((a, b) => a.dpi - b.dpi);
+}
+
+/**
+ * Лучший имеющийся растр не ниже minDpi — самый мелкий из подходящих (дешевле для модели).
+ * null, если такого ещё нет.
+ */
+export function bestResolution(manifest, minDpi, pages) {
+  return renderedResolutions(manifest, pages).find((r) => r.dpi >= minDpi) ?? null;
+}
+
+export function highestResolution(manifest, pages) {
+  return renderedResolutions(manifest, pages).at(-1) ?? null;
+}
+
+/**
+ * Папка для роутинга: preferred, если она есть у страниц, иначе самый мелкий имеющийся растр.
+ */
+export function routingFolder(manifest, preferred, pages = manifest.pages ?? []) {
+  if (pages.some((p) => p[preferred])) return preferred;
+  return renderedResolutions(manifest, pages)[0]?.folder ?? preferred;
+}
+
+/**
+ * Наибольший DPI извлечения среди всех docTypes (для под-документов без своего PDF).
+ */
+export async function maxExtractionDpi(config) {
+  const docTypes = await loadDocTypes();
+  return Math.max(extractionDpi(null, config), ...[...docTypes.values()].map((t) => extractionDpi(t, config)));
+}
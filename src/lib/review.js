@@ -0,0 +1,134 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { getFieldDefs } from './docTypes.js';
+import { isSuperseded, loadOrCreateManifest, updateManifest } from './manifest.js';
+import { normalizeFields } from './normalization.js';
+import { listStagingDocIds } from './staging.js';
+import { validateExtraction } from './validation.js';
+import { EXTRACTION_FILE } from '../stages/extract.js';
+import { NORMALIZED_FILE } from '../stages/normalize.js';
+import { VALIDATION_FILE } from '../stages/validate.js';
+
+const readJsonIfExists = async (p) => (await fs.pathExists(p) ? fs.readJson(p) : null);
+
+/**
+ * Всё, что нужно для ручной проверки документа: манифест, извлечение, нормализация, валидация.
+ */
+export async function loadReviewDocument(stagingDir, docId) {
+  const docDir = path.join(stagingDir, docId);
+  const [manifest, extraction, normalized, validation] = await Promise.all([
+    loadOrCreateManifest(docDir, docId),
+    readJsonIfExists(path.join(docDir, EXTRACTION_FILE)),
+    readJsonIfExists(path.join(docDir, NORMALIZED_FILE)),
+    readJsonIfExists(path.join(docDir, VALIDATION_FILE))
+  ]);
+  return { docId, docDir, manifest, extraction, normalized, validation };
+}
+
+/**
+ * Текущие значения полей: исправления проверяющего, иначе нормализованные, иначе извлечённые.
+ */
+export function currentFields({ manifest, extraction, normalized }) {
+  return manifest.humanReview?.fields ?? normalized?.fields ?? extraction?.fields ?? {};
+}
+
+/**
+ * Почему документ ждёт человека. Пустой список — в очередь не попадает.
+ * Утверждённые проверяющим документы и документы, целиком нарезанные на под-документы, не показываем.
+ */
+export function reviewReasons(doc, { lowConfidence }) {
+  const { manifest, extraction, validation } = doc;
+  if (isSuperseded(manifest) || manifest.humanReview?.status === 'approved') return [];
+
+  const reasons = [];
+  if (manifest.review?.required) reasons.push(`качество скана: ${manifest.review.reason ?? 'страницы не для модели'}`);
+
+  const classify = manifest.stages.classify;
+  if (manifest.docType === 'unknown') {
+    reasons.push(classify?.lowConfidence
+      ? `тип не определён (${classify.candidate}, уверенность ${classify.confidence ?? 'n/a'})`
+      : 'тип не определён');
+  }
+
+  const report = manifest.humanReview?.validation ?? validation;
+  if (report && !report.valid) reasons.push(`ошибок проверки: ${report.errorCount}`);
+
+  // После исправлений проверяющего уверенность модели уже не важна
+  const low = manifest.humanReview?.fields ? [] : Object.entries(extraction?.provenance ?? {})
+    .filter(([, p]) => p.confidence < lowConfidence)
+    .map(([id]) => id);
+  if (low.length > 0) reasons.push(`низкая уверенность: ${low.join(', ')}`);
+
+  for (const [name, s] of Object.entries(manifest.stages)) {
+    if (s?.error && (!s.finishedAt || s.failedAt > s.finishedAt)) reasons.push(`ошибка стадии ${name}: ${s.error}`);
+  }
+  return reasons;
+}
+
+/**
+ * Очередь ручной проверки: документы staging, у которых есть reviewReasons().
+ */
+export async function listReviewQueue(stagingDir, cfg) {
+  const queue = [];
+  for (const docId of await listStagingDocIds(stagingDir)) {
+    const doc = await loadReviewDocument(stagingDir, docId);
+    const reasons = reviewReasons(doc, cfg);
+    if (reasons.length > 0) queue.push({ docId, docType: doc.manifest.docType ?? null, reasons });
+  }
+  return queue;
+}
+
+/**
+ * Сохраняет решение проверяющего в manifest.humanReview — дальше это итоговый результат документа
+ * (export берёт поля отсюда). Значения проходят нормализацию и валидацию docType.
+ * docType, отличный от текущего, меняет только manifest.docType: поля старого типа не сохраняются,
+ * документ нужно прогнать заново (extract увидит новый тип).
+ */
+export async function applyReview(doc, docType, { fields, approve = false, reviewer } = {}) {
+  const changedType = docType.id !== doc.manifest.docType;
+  // Правки считаем относительно того, что вернула модель
+  const model = doc.normalized?.fields ?? doc.extraction?.fields ?? {};
+
+  const defs = getFieldDefs(docType);
+  const typed = Object.fromEntries(defs.map((f) => {
+    const value = fields?.[f.id];
+    return [f.id, value == null || String(value).trim() === '' ? null : String(value).trim()];
+  }));
+  const normalized = normalizeFields(typed, docType).fields;
+  const report = validateExtraction(normalized, docType);
+
+  const changes = {};
+  if (!changedType) {
+    for (const f of defs) {
+      const from = model[f.id] ?? null;
+      const to = normalized[f.id] ?? null;
+      if (String(from ?? '') !== String(to ?? '')) changes[f.id] = { from, to };
+    }
+  }
+
+  return updateManifest(doc.docDir, doc.docId, (manifest) => {
+    manifest.docType = docType.id;
+    manifest.humanReview = {
+      // Со сменой типа утверждать нечего: полей нового типа ещё нет
+      status: approve && !changedType ? 'approved' : 'corrected',
+      reviewedAt: new Date().toISOString(),
+      reviewer: reviewer ?? os.userInfo().username,
+      docType: docType.id,
+      ...(changedType ? {} : {
+        fields: normalized,
+        changes,
+        validation: report
+      })
+    };
+  });
+}
+
+/**
+ * Исправленный документ как эталон для evaluate: test_suite/<docType>/<docId>.json.
+ */
+export async function saveGroundTruth(groundTruthDir, docId, docTypeId, fields) {
+  const file = path.join(groundTruthDir, docTypeId, `${docId}.json`);
+  await fs.outputJson(file, { docId, docType: docTypeId, fields }, { spaces: 2 });
+  return file;
+}
@@ -0,0 +1,39 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export function naturalSort(a, b) {
+  return a.localeCompare(b, 'ru', { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Документы в staging: каждая папка верхнего уровня, кроме служебных (`_*`, `.*`).
+ */
+export async function listStagingDocIds(stagingDir) {
+  if (!await fs.pathExists(stagingDir)) return [];
+
+  const entries = await fs.readdir(stagingDir, { withFileTypes: true });
+  return entries
+    .filter((e) => e.isDirectory() && !e.name.startsWith('_') && !e.name.startsWith('.'))
+    .map((e) => e.name)
+    .sort(naturalSort);
+}
+
+/**
+ * Документ относится к одному из исходных docId: дочерние документы segment/splitter
+ * получают id `<родитель>__…`.
+ */
+export function belongsTo(docId, rootIds) {
+  for (const root of rootIds) {
+    if (docId === root || docId.startsWith(`${root}__`)) return true;
+  }
+  return false;
+}
+
+/**
+ * Удаляет из staging под-документы и всё, что из них нарезано дальше (`<id>__…`). Возвращает удалённые docId.
+ */
+export async function removeChildDocs(stagingDir, childIds) {
+  const ids = (await listStagingDocIds(stagingDir)).filter((id) => belongsTo(id, childIds));
+  for (const id of ids) await fs.remove(path.join(stagingDir, id));
+  return ids;
+}
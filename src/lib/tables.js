@@ -0,0 +1,95 @@
+import { getFieldDefs } from './docTypes.js';
+import { naturalSort } from './staging.js';
+
+/**
+ * Колонки полей docType: id и подпись (`label`, иначе `description`, иначе id).
+ * Если docType не настроен — все ключи, встретившиеся в документах.
+ */
+function fieldColumns(docType, documents) {
+  const defs = getFieldDefs(docType);
+  if (defs.length > 0) return defs.map((f) => ({ id: f.id, label: f.label ?? f.description ?? f.id }));
+
+  const ids = new Set();
+  for (const d of documents) Object.keys(d.fields ?? {}).forEach((id) => ids.add(id));
+  return [...ids].map((id) => ({ id, label: id }));
+}
+
+/**
+ * Ошибки поля: проверки самого поля + ошибки перекрёстных проверок, указывающие на него.
+ */
+function fieldErrors(validation, id) {
+  const own = validation?.fields?.[id]?.errors ?? [];
+  const cross = (validation?.crossChecks ?? [])
+    .filter((c) => c.valid === false)
+    .flatMap((c) => c.errors.filter((e) => e.field === id));
+  return [...own, ...cross].map((e) => e.message ?? String(e));
+}
+
+/**
+ * Таблицы по docType из документов results.json: docId, файлы, статус валидации,
+ * по паре колонок на поле — значение и ошибки (пусто, если поле прошло проверку).
+ */
+export function buildTables(documents, docTypes) {
+  const byType = new Map();
+  for (const d of documents) {
+    const key = d.docType ?? 'unknown';
+    if (!byType.has(key)) byType.set(key, []);
+    byType.get(key).push(d);
+  }
+
+  return [...byType.keys()].sort(naturalSort).map((docTypeId) => {
+    const docType = docTypes.get(docTypeId);
+    const docs = byType.get(docTypeId);
+    const fields = fieldColumns(docType, docs);
+
+    const columns = ['docId', 'Файл', 'Источник', 'Валиден', 'Ошибок'];
+    for (const f of fields) columns.push(f.label, `${f.label}: ошибки`);
+
+    const rows = docs.map((d) => {
+      const row = [
+        d.docId,
+        d.file ?? '',
+        (d.source?.files ?? []).join(', '),
+        d.valid ? 'да' : 'нет',
+        d.errorCount ?? 0
+      ];
+      for (const f of fields) {
+        const errors = fieldErrors(d.validation, f.id);
+        row.push({ value: d.fields?.[f.id] ?? null, error: errors.length > 0 }, errors.join('; '));
+      }
+      return row;
+    });
+
+    return { docTypeId, name: docType?.name ?? docTypeId, columns, rows };
+  });
+}
+
+function csvValue(cell, delimiter) {
+  const value = cell && typeof cell === 'object' && 'value' in cell ? cell.value : cell;
+  if (value == null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * CSV для Excel: строки через CRLF, BOM — чтобы кириллица открывалась в UTF-8.
+ */
+export function toCsv({ columns, rows }, { delimiter = ';', bom = true } = {}) {
+  const lines = [columns, ...rows].map((row) => row.map((c) => csvValue(c, delimiter)).join(delimiter));
+  return `${bom ? '\uFEFF' : ''}${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Листы для createXlsx(): значения полей с ошибками подсвечиваются.
+ */
+export function toXlsxSheets(tables) {
+  return tables.map(({ name, columns, rows }) => ({
+    name,
+    columns,
+    rows: rows.map((row) => row.map((c) => (c && typeof c === 'object' && 'value' in c
+      ? { value: c.value, style: c.error ? 'error' : undefined }
+      : c)))
+  }));
+}
@@ -0,0 +1,205 @@
+import { compilePattern } from './config.js';
+import { getFieldDefs } from './docTypes.js';
+import { parseDate, compareDates, toIsoDate } from './dates.js';
+import { verifiers } from './verifiers.js';
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim());
+}
+
+function isDateField(def) {
+  return def.type === 'date' || def.format === 'date';
+}
+
+/**
+ * Проверки одного значения по описанию поля. Возвращает список ошибок { rule, message }.
+ * fields — все значения документа (нужны верификаторам вроде bank_account → bik).
+ */
+export function validateValue(value, def, fields = {}) {
+  const errors = [];
+
+  if (isEmpty(value)) {
+    if (def.required) errors.push({ rule: 'required', message: 'Value is required' });
+    return errors;
+  }
+
+  switch (def.type) {
+    case 'number':
+      if (!isNumeric(value)) errors.push({ rule: 'type', message: `Expected number, got "${value}"` });
+      break;
+    case 'integer':
+      if (!isNumeric(value) || !Number.isInteger(Number(value))) {
+        errors.push({ rule: 'type', message: `Expected integer, got "${value}"` });
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push({ rule: 'type', message: `Expected boolean, got "${value}"` });
+      break;
+    case 'string':
+    case 'date':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push({ rule: 'type', message: `Expected string, got ${typeof value}` });
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (isDateField(def) && !parseDate(String(value))) {
+    errors.push({ rule: 'format', message: `Not a valid date: "${value}"` });
+  }
+
+  // pattern — JSON Schema стиль (invoice.json), validation — стиль passport.json
+  for (const [rule, source] of [['pattern', def.pattern], ['validation', def.validation]]) {
+    if (typeof source !== 'string') continue;
+    if (!compilePattern(source, `field "${def.id}" ${rule}`).test(String(value))) {
+      errors.push({ rule, message: `"${value}" does not match ${source}` });
+    }
+  }
+
+  if (isNumeric(value)) {
+    const n = Number(value);
+    if (typeof def.minimum === 'number' && n < def.minimum) {
+      errors.push({ rule: 'minimum', message: `${n} is less than ${def.minimum}` });
+    }
+    if (typeof def.maximum === 'number' && n > def.maximum) {
+      errors.push({ rule: 'maximum', message: `${n} is greater than ${def.maximum}` });
+    }
+  }
+
+  if (Array.isArray(def.enum) && !def.enum.includes(value)) {
+    errors.push({ rule: 'enum', message: `"${value}" is not one of ${def.enum.join(', ')}` });
+  }
+
+  for (const name of [].concat(def.verify ?? [])) {
+    const verifier = verifiers[name];
+    if (!verifier) {
+      errors.push({ rule: `verify:${name}`, message: `Unknown verifier "${name}"` });
+      continue;
+    }
+    const result = verifier(value, { fields, check: def });
+    if (!result.valid) errors.push({ rule: `verify:${name}`, message: result.reason });
+  }
+
+  return errors;
+}
+
+/**
+ * Исполняемые cross-checks. Каждая проверка получает описание из
+ * `validation.cross_checks[]` и значения полей, возвращает список ошибок.
+ */
+export const crossCheckRegistry = {
+  // Каждое непустое поле из check.fields соответствует check.pattern
+  matches(check, fields) {
+    const re = compilePattern(check.pattern, `cross_check "${check.name ?? 'matches'}" pattern`);
+    return (check.fields ?? [])
+      .filter((id) => !isEmpty(fields[id]) && !re.test(String(fields[id])))
+      .map((id) => ({ field: id, message: `"${fields[id]}" does not match ${check.pattern}` }));
+  },
+
+  // Даты в check.fields идут по неубыванию (например, рождение → выдача)
+  date_order(check, fields) {
+    const errors = [];
+    const dates = (check.fields ?? [])
+      .map((id) => ({ id, date: isEmpty(fields[id]) ? null : parseDate(String(fields[id])) }))
+      .filter((d) => d.date);
+
+    for (let i = 1; i < dates.length; i++) {
+      if (compareDates(dates[i - 1].date, dates[i].date) > 0) {
+        errors.push({ field: dates[i].id, message: `${dates[i].id} is earlier than ${dates[i - 1].id}` });
+      }
+    }
+    return errors;
+  },
+
+  // Дата не позже сегодняшнего дня
+  not_in_future(check, fields) {
+    const today = new Date().toISOString().slice(0, 10);
+    return (check.fields ?? [])
+      .map((id) => ({ id, date: isEmpty(fields[id]) ? null : parseDate(String(fields[id])) }))
+      .filter((d) => d.date && toIsoDate(d.date) > today)
+      .map((d) => ({ field: d.id, message: `${d.id} is in the future` }));
+  },
+
+  // Хотя бы одно из полей заполнено
+  any_of(check, fields) {
+    const ids = check.fields ?? [];
+    return ids.some((id) => !isEmpty(fields[id]))
+      ? []
+      : [{ field: null, message: `One of ${ids.join(', ')} is required` }];
+  }
+};
+
+/**
+ * Верификатор из verifiers.js как cross-check: применяется к каждому непустому полю из check.fields.
+ */
+function verifierCheck(name) {
+  return (check, fields) => (check.fields ?? [])
+    .filter((id) => !isEmpty(fields[id]))
+    .map((id) => ({ id, result: verifiers[name](fields[id], { fields, check }) }))
+    .filter(({ result }) => !result.valid)
+    .map(({ id, result }) => ({ field: id, message: result.reason }));
+}
+
+function runCrossCheck(check, fields) {
+  const base = { name: check.name, rule: check.rule };
+  const fn = !check.check
+    ? null
+    : crossCheckRegistry[check.check] ?? (verifiers[check.check] ? verifierCheck(check.check) : null);
+
+  if (!check.check) {
+    return { ...base, valid: null, skipped: 'No executable "check" defined' };
+  }
+  if (!fn) {
+    return { ...base, valid: false, errors: [{ field: null, message: `Unknown check "${check.check}"` }] };
+  }
+
+  const errors = fn(check, fields);
+  return { ...base, check: check.check, valid: errors.length === 0, errors };
+}
+
+/**
+ * Отчёт валидации: по каждому полю — valid + ошибки, плюс cross-checks.
+ */
+export function validateExtraction(fields, docType) {
+  const report = { valid: true, errorCount: 0, fields: {}, crossChecks: [] };
+
+  for (const def of getFieldDefs(docType)) {
+    const value = fields?.[def.id];
+    const errors = validateValue(value, def, fields ?? {});
+    report.fields[def.id] = { valid: errors.length === 0, value: value ?? null, errors };
+    report.errorCount += errors.length;
+  }
+
+  for (const check of docType?.validation?.cross_checks ?? []) {
+    const result = runCrossCheck(check, fields ?? {});
+    report.crossChecks.push(result);
+    if (result.valid === false) report.errorCount += result.errors.length;
+  }
+
+  report.valid = report.errorCount === 0;
+  return report;
+}
+
+/**
+ * Краткая сводка для манифеста.
+ */
+export function summarizeReport(report) {
+  const failedCrossChecks = report.crossChecks.filter((c) => c.valid === false);
+  const failedFields = new Set(Object.entries(report.fields).filter(([, f]) => !f.valid).map(([id]) => id));
+  for (const c of failedCrossChecks) {
+    for (const e of c.errors) if (e.field) failedFields.add(e.field);
+  }
+
+  return {
+    valid: report.valid,
+    errorCount: report.errorCount,
+    failedFields: [...failedFields],
+    failedCrossChecks: failedCrossChecks.map((c) => c.name)
+  };
+}
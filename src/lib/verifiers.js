@@ -0,0 +1,127 @@
+/**
+ * Доменные верификаторы российских реквизитов с настоящими контрольными суммами.
+ * Каждый верификатор: (value, ctx) → { valid, reason? }.
+ * ctx.fields — все поля документа (для реквизитов, зависящих от соседних полей, например счёт + БИК).
+ */
+
+function digitsOf(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\s-]/g, '');
+}
+
+function ok() {
+  return { valid: true };
+}
+
+function fail(reason) {
+  return { valid: false, reason };
+}
+
+function weightedSum(digits, weights) {
+  return weights.reduce((sum, w, i) => sum + w * Number(digits[i]), 0);
+}
+
+export function verifyInn(value) {
+  const s = digitsOf(value);
+  if (!/^\d{10}$|^\d{12}$/.test(s)) return fail('INN must have 10 or 12 digits');
+
+  if (s.length === 10) {
+    const ctrl = weightedSum(s, [2, 4, 10, 3, 5, 9, 4, 6, 8]) % 11 % 10;
+    return ctrl === Number(s[9]) ? ok() : fail('INN checksum mismatch');
+  }
+
+  const c11 = weightedSum(s, [7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) % 11 % 10;
+  const c12 = weightedSum(s, [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) % 11 % 10;
+  return c11 === Number(s[10]) && c12 === Number(s[11]) ? ok() : fail('INN checksum mismatch');
+}
+
+export function verifyOgrn(value) {
+  const s = digitsOf(value);
+  if (!/^\d{13}$/.test(s)) return fail('OGRN must have 13 digits');
+  const ctrl = Number(BigInt(s.slice(0, 12)) % 11n % 10n);
+  return ctrl === Number(s[12]) ? ok() : fail('OGRN checksum mismatch');
+}
+
+export function verifyOgrnip(value) {
+  const s = digitsOf(value);
+  if (!/^\d{15}$/.test(s)) return fail('OGRNIP must have 15 digits');
+  const ctrl = Number(BigInt(s.slice(0, 14)) % 13n % 10n);
+  return ctrl === Number(s[14]) ? ok() : fail('OGRNIP checksum mismatch');
+}
+
+export function verifySnils(value) {
+  const s = digitsOf(value);
+  if (!/^\d{11}$/.test(s)) return fail('SNILS must have 11 digits');
+
+  // Контрольное число проверяется только для номеров больше 001-001-998
+  if (Number(s.slice(0, 9)) <= 1001998) return ok();
+
+  const sum = weightedSum(s, [9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  let ctrl = sum % 101;
+  if (ctrl === 100) ctrl = 0;
+  return ctrl === Number(s.slice(9)) ? ok() : fail('SNILS checksum mismatch');
+}
+
+export function verifyKpp(value) {
+  const s = digitsOf(value).toUpperCase();
+  // NNNN PP NNN: код налогового органа, причина постановки (цифры или A-Z), порядковый номер
+  return /^\d{4}[\dA-Z]{2}\d{3}$/.test(s) ? ok() : fail('KPP must match NNNNPPNNN');
+}
+
+export function verifyBik(value) {
+  const s = digitsOf(value);
+  if (!/^\d{9}$/.test(s)) return fail('BIK must have 9 digits');
+  return s.startsWith('04') ? ok() : fail('BIK must start with 04 (Russia)');
+}
+
+const ACCOUNT_WEIGHTS = [7, 1, 3];
+
+function accountKeyValid(key23) {
+  const sum = [...key23].reduce((acc, d, i) => acc + (Number(d) * ACCOUNT_WEIGHTS[i % 3]) % 10, 0);
+  return sum % 10 === 0;
+}
+
+function resolveBik(ctx) {
+  const bikField = ctx.check?.bikField ?? 'bik';
+  return digitsOf(ctx.bik ?? ctx.fields?.[bikField]);
+}
+
+/**
+ * Расчётный счёт: ключ по 3 последним цифрам БИК + 20 цифр счёта.
+ */
+export function verifyBankAccount(value, ctx = {}) {
+  const s = digitsOf(value);
+  if (!/^\d{20}$/.test(s)) return fail('Account must have 20 digits');
+
+  const bik = resolveBik(ctx);
+  if (!/^\d{9}$/.test(bik)) return fail('BIK is required to verify the account key');
+
+  return accountKeyValid(bik.slice(6) + s) ? ok() : fail('Account control key mismatch for this BIK');
+}
+
+/**
+ * Корреспондентский счёт: ключ по "0" + 5-6 цифрам БИК + 20 цифр счёта.
+ */
+export function verifyCorrAccount(value, ctx = {}) {
+  const s = digitsOf(value);
+  if (!/^\d{20}$/.test(s)) return fail('Correspondent account must have 20 digits');
+
+  const bik = resolveBik(ctx);
+  if (!/^\d{9}$/.test(bik)) return fail('BIK is required to verify the account key');
+
+  return accountKeyValid('0' + bik.slice(4, 6) + s) ? ok() : fail('Correspondent account control key mismatch for this BIK');
+}
+
+/**
+ * Реестр верификаторов: имена используются в docType (`verify` у поля и `check` в cross_checks).
+ */
+export const verifiers = {
+  inn: verifyInn,
+  ogrn: verifyOgrn,
+  ogrnip: verifyOgrnip,
+  snils: verifySnils,
+  kpp: verifyKpp,
+  bik: verifyBik,
+  bank_account: verifyBankAccount,
+  corr_account: verifyCorrAccount
+};
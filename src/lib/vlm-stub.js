@@ -0,0 +1,113 @@
+import http from 'http';
+import fs from 'fs-extra';
+import { isMainModule, parseArgs } from './cli.js';
+
+/**
+ * Локальная заглушка OpenAI-совместимого VLM для офлайн-прогона стадий.
+ *
+ * Правила проверяются по порядку, срабатывает первое подходящее:
+ *   { match: 'подстрока' | RegExp, matchRegex: '...', reply: 'текст' | {...}, status, error, delayMs, times, usage }
+ * - match/matchRegex — по тексту промпта (без них правило подходит для любого запроса);
+ * - reply-объект отдаётся как JSON-строка в content;
+ * - status/error — вернуть HTTP-ошибку (для проверки повторов);
+ * - times — сколько раз правило может сработать (по умолчанию без ограничений).
+ */
+export async function startVlmStub({ port = 0, host = '127.0.0.1', rules = [], fallback = 'unknown', log = false } = {}) {
+  const state = { rules: rules.map((r) => ({ ...r, used: 0 })), requests: [] };
+
+  function pickRule(prompt) {
+    return state.rules.find((r) => {
+      if (r.times !== undefined && r.used >= r.times) return false;
+      if (r.match instanceof RegExp) return r.match.test(prompt);
+      if (typeof r.match === 'string') return prompt.includes(r.match);
+      if (r.matchRegex) return new RegExp(r.matchRegex).test(prompt);
+      return true;
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.method === 'GET' && req.url.endsWith('/models')) {
+        res.end(JSON.stringify({ data: [{ id: 'stub-model', object: 'model' }] }));
+        return;
+      }
+
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: `Unknown endpoint ${req.method} ${req.url}` }));
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+        return;
+      }
+
+      const content = body.messages?.[0]?.content;
+      const prompt = Array.isArray(content)
+        ? content.filter((c) => c.type === 'text').map((c) => c.text).join('\n')
+        : String(content ?? '');
+      const images = Array.isArray(content) ? content.filter((c) => c.type === 'image_url').length : 0;
+
+      const rule = pickRule(prompt);
+      if (rule) rule.used++;
+      state.requests.push({ at: new Date().toISOString(), model: body.model, prompt, images, rule: rule ? state.rules.indexOf(rule) : null });
+      if (log) console.log(`[vlm-stub] ${body.model} images=${images} rule=${rule ? state.rules.indexOf(rule) : '-'} ${prompt.slice(0, 60).replace(/\s+/g, ' ')}`);
+
+      if (rule?.delayMs) await new Promise((r) => setTimeout(r, rule.delayMs));
+
+      if (rule?.status && rule.status >= 400) {
+        res.statusCode = rule.status;
+        res.end(JSON.stringify({ error: rule.error ?? `Stub error ${rule.status}` }));
+        return;
+      }
+
+      const reply = rule ? rule.reply : fallback;
+      const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+      res.end(JSON.stringify({
+        id: `stub-${state.requests.length}`,
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+        usage: rule?.usage ?? { prompt_tokens: prompt.length, completion_tokens: text.length, total_tokens: prompt.length + text.length }
+      }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const actualPort = server.address().port;
+
+  return {
+    port: actualPort,
+    baseUrl: `http://${host}:${actualPort}/v1`,
+    requests: state.requests,
+    setRules(next) {
+      state.rules = next.map((r) => ({ ...r, used: 0 }));
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+// node src/lib/vlm-stub.js --port 1234 --script stub.json
+// stub.json: { "rules": [{ "match": "Определи его тип", "reply": "passport" }], "fallback": "{}" }
+if (isMainModule(import.meta.url)) {
+  const args = parseArgs();
+  const script = args.script ? await fs.readJson(args.script) : {};
+  const stub = await startVlmStub({
+    port: Number(args.port ?? 1234),
+    rules: script.rules ?? [],
+    fallback: script.fallback ?? 'unknown',
+    log: true
+  });
+  console.log(`[vlm-stub] Listening on ${stub.baseUrl}`);
+}
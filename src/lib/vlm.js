@@ -0,0 +1,222 @@
+import fs from 'fs-extra';
+import path from 'path';
+import PQueue from 'p-queue';
+
+const MIME_BY_EXT = {
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+const DEFAULTS = {
+  provider: 'lmstudio',
+  timeout: 60000,
+  retries: 2,
+  backoffMs: 1000,
+  maxBackoffMs: 15000,
+  temperature: 0.1,
+  // Одновременных запросов к одному endpoint'у из процесса: локальная модель всё равно
+  // считает по одному, а ожидание в этой очереди видно отдельно от инференса (queueMs)
+  concurrency: 1
+};
+
+// Базовые адреса OpenAI-совместимых endpoint'ов по умолчанию
+const PROVIDER_BASE_URLS = {
+  lmstudio: 'http://127.0.0.1:1234/v1',
+  ollama: 'http://127.0.0.1:11434/v1'
+};
+
+// Очередь запросов на каждый baseUrl
+const queues = new Map();
+
+function requestQueue(s) {
+  if (!queues.has(s.baseUrl)) queues.set(s.baseUrl, new PQueue({ concurrency: Math.max(1, Number(s.concurrency) || 1) }));
+  return queues.get(s.baseUrl);
+}
+
+export class VlmError extends Error {
+  constructor(message, { status = null, retryable = false, body = null } = {}) {
+    super(message);
+    this.name = 'VlmError';
+    this.status = status;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+export async function imageToDataUrl(imagePath) {
+  const mime = MIME_BY_EXT[path.extname(imagePath).toLowerCase()] ?? 'application/octet-stream';
+  const buffer = await fs.readFile(imagePath);
+  return `data:${mime};base64,${buffer.toString('base64')}`;
+}
+
+export function vlmSettings(vlm = {}) {
+  const s = { ...DEFAULTS, ...vlm };
+  const base = (s.baseUrl ?? PROVIDER_BASE_URLS[s.provider] ?? PROVIDER_BASE_URLS.lmstudio).replace(/\/+$/, '');
+  // Ollama и LM Studio отдают OpenAI API под /v1
+  s.baseUrl = /\/v1$/.test(base) ? base : `${base}/v1`;
+  return s;
+}
+
+function errorMessage(body, status) {
+  // LM Studio: { error: "..." }, Ollama/OpenAI: { error: { message } }
+  const e = body?.error;
+  if (typeof e === 'string') return e;
+  if (e?.message) return e.message;
+  return `HTTP ${status}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function buildBody(s, { prompt, images, temperature, model, json, maxTokens }) {
+  const content = [{ type: 'text', text: prompt }];
+  for (const url of images) {
+    content.push({ type: 'image_url', image_url: { url } });
+  }
+
+  const body = {
+    model: model ?? s.model,
+    messages: [{ role: 'user', content }],
+    temperature: temperature ?? s.temperature
+  };
+
+  if (maxTokens ?? s.maxTokens) body.max_tokens = maxTokens ?? s.maxTokens;
+  // LM Studio принимает только response_format с json_schema, поэтому json_object — лишь для Ollama
+  if (json && s.provider === 'ollama') body.response_format = { type: 'json_object' };
+
+  return body;
+}
+
+async function requestOnce(s, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), s.timeout);
+
+  // Таймаут покрывает и чтение тела: сервер может прислать заголовки сразу, а ответ — через минуты
+  let response;
+  let raw;
+  try {
+    response = await fetch(`${s.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(s.apiKey ? { Authorization: `Bearer ${s.apiKey}` } : {}) },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    raw = await response.text();
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw new VlmError(`VLM request timed out after ${s.timeout} ms`, { retryable: true });
+    }
+    throw new VlmError(`VLM request failed: ${err.cause?.message ?? err.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let result = null;
+  try {
+    result = JSON.parse(raw);
+  } catch {
+    // тело не JSON — обработаем ниже по статусу
+  }
+
+  if (!response.ok || result?.error) {
+    const status = response.status;
+    throw new VlmError(`VLM error: ${errorMessage(result, status)}`, {
+      status,
+      retryable: status === 408 || status === 429 || status >= 500,
+      body: result
+    });
+  }
+
+  const text = result?.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') {
+    throw new VlmError('VLM response has no choices[0].message.content', { status: response.status, body: result });
+  }
+
+  return { text, usage: result.usage ?? null, model: result.model ?? body.model };
+}
+
+/**
+ * Запрос к VLM (LM Studio / Ollama, OpenAI-совместимый /chat/completions): текст + изображения.
+ * Таймаут через AbortController, повторы с экспоненциальной задержкой на сетевых ошибках, 429 и 5xx.
+ * Возвращает { text, usage, model, durationMs, queueMs, inferenceMs, attempts }:
+ * queueMs — ожидание в очереди vlm.concurrency, inferenceMs — сами HTTP-запросы (без пауз между повторами),
+ * durationMs — от начала первого запроса до ответа.
+ */
+export async function chat(vlm, { prompt, images = [], temperature, model, json = false, maxTokens }) {
+  const s = vlmSettings(vlm);
+  const urls = [];
+  for (const imagePath of images) urls.push(await imageToDataUrl(imagePath));
+
+  const body = buildBody(s, { prompt, images: urls, temperature, model, json, maxTokens });
+  const queuedAt = Date.now();
+
+  return requestQueue(s).add(async () => {
+    const t0 = Date.now();
+    let inferenceMs = 0;
+
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+      try {
+        const result = await requestOnce(s, body);
+        inferenceMs += Date.now() - started;
+        return { ...result, durationMs: Date.now() - t0, queueMs: t0 - queuedAt, inferenceMs, attempts: attempt };
+      } catch (err) {
+        inferenceMs += Date.now() - started;
+        if (!err.retryable || attempt > s.retries) throw err;
+        const delay = Math.min(s.maxBackoffMs, s.backoffMs * 2 ** (attempt - 1));
+        await sleep(delay);
+      }
+    }
+  });
+}
+
+/**
+ * Что записать о вызове в манифест: время (всего, в очереди, инференс) и токены.
+ */
+export function callStats(answer) {
+  return {
+    durationMs: answer.durationMs,
+    queueMs: answer.queueMs,
+    inferenceMs: answer.inferenceMs,
+    usage: answer.usage
+  };
+}
+
+/**
+ * Как chat(), но дополнительно разбирает JSON из ответа (поле json, null если не удалось).
+ */
+export async function chatJson(vlm, options) {
+  const result = await chat(vlm, { ...options, json: true });
+  return { ...result, json: extractJson(result.text) };
+}
+
+/**
+ * Достаёт JSON из ответа модели: чистый JSON, ```json-блок или JSON внутри «болтовни».
+ * Возвращает null, если разобрать не удалось.
+ */
+export function extractJson(text) {
+  if (typeof text !== 'string') return null;
+
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  for (const [open, close] of [['{', '}'], ['[', ']']]) {
+    const start = text.indexOf(open);
+    const end = text.lastIndexOf(close);
+    if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const c of candidates) {
+    try {
+      return JSON.parse(c);
+    } catch {
+      // пробуем следующий вариант
+    }
+  }
+  return null;
+}
@@ -0,0 +1,132 @@
+import { createZip } from './zip.js';
+
+// Стили из styles.xml: 0 — обычная ячейка, 1 — заголовок, 2 — значение с ошибкой валидации
+const STYLE = { header: 1, error: 2 };
+
+function escapeXml(value) {
+  return String(value)
+    // символы, запрещённые в XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(ref, cell) {
+  const { value, style } = cell && typeof cell === 'object' && !Array.isArray(cell) ? cell : { value: cell };
+  const s = style ? ` s="${STYLE[style] ?? 0}"` : '';
+  if (value == null || value === '') return style ? `<c r="${ref}"${s}/>` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function cellText(cell) {
+  const value = cell && typeof cell === 'object' && 'value' in cell ? cell.value : cell;
+  return value == null ? '' : String(typeof value === 'object' ? JSON.stringify(value) : value);
+}
+
+function sheetXml({ columns, rows }) {
+  const widths = columns.map((header, i) => Math.min(60, Math.max(8,
+    header.length, ...rows.map((r) => cellText(r[i]).length)) + 2));
+
+  const lines = [
+    `<row r="1">${columns.map((h, i) => cellXml(`${columnName(i)}1`, { value: h, style: 'header' })).join('')}</row>`,
+    ...rows.map((row, r) => `<row r="${r + 2}">${row.map((c, i) => cellXml(`${columnName(i)}${r + 2}`, c)).join('')}</row>`)
+  ];
+  const lastRef = `${columnName(Math.max(columns.length - 1, 0))}${rows.length + 1}`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+    + `<sheetData>${lines.join('')}</sheetData>`
+    + (columns.length > 0 ? `<autoFilter ref="A1:${lastRef}"/>` : '')
+    + '</worksheet>';
+}
+
+/**
+ * Имя листа Excel: до 31 символа, без []:*?/\ и уникальное в книге.
+ */
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((sheet, i) => {
+    const base = (sheet.name.replace(/[[\]:*?/\\]+/g, ' ').replace(/\s+/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      name = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>'
+  + '<fill><patternFill patternType="solid"><fgColor rgb="FFFFC7CE"/><bgColor indexed="64"/></patternFill></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="0" fontId="0" fillId="2" borderId="0" xfId="0" applyFill="1"/></cellXfs>'
+  + '</styleSheet>';
+
+/**
+ * XLSX-книга из листов [{ name, columns: [заголовок], rows: [[ячейка]] }].
+ * Ячейка — значение или { value, style: 'error' } (подсветка ошибки). Возвращает Buffer.
+ */
+export function createXlsx(sheets) {
+  const names = sheetNames(sheets);
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet) }))
+  ];
+
+  return createZip(files);
+}
@@ -0,0 +1,347 @@
+import fs from 'fs-extra';
+import path from 'path';
+import PQueue from 'p-queue';
+import { loadConfig, resolvePath } from './lib/config.js';
+import { isMainModule, parseArgs, forceOptions } from './lib/cli.js';
+import {
+  ManifestLockError, loadOrCreateManifest, saveManifest, getByPath, isSuperseded, withManifestLock
+} from './lib/manifest.js';
+import { sha256Json } from './lib/hash.js';
+import { since, trackMemory } from './lib/profiling.js';
+import { listStagingDocIds, belongsTo, removeChildDocs } from './lib/staging.js';
+
+// Стадии по умолчанию, если в root.json нет секции pipeline
+const DEFAULT_STAGES = [
+  { name: 'assemble-input', enabled: true, priority: 10 },
+  { name: 'rasterize', enabled: true, priority: 20 },
+  { name: 'segment', enabled: true, priority: 22 },
+  { name: 'splitter', enabled: true, priority: 25 },
+  { name: 'quality', enabled: true, priority: 27 },
+  { name: 'classify', enabled: true, priority: 30 },
+  { name: 'rasterize-target', enabled: true, priority: 32 },
+  { name: 'preprocess', enabled: true, priority: 35 },
+  { name: 'extract', enabled: true, priority: 40 },
+  { name: 'normalize', enabled: true, priority: 45 },
+  { name: 'validate', enabled: true, priority: 50 },
+  { name: 'retry', enabled: true, priority: 55 },
+  { name: 'annotate', enabled: true, priority: 57 },
+  { name: 'export', enabled: true, priority: 60 }
+];
+
+/**
+ * Включённые стадии из root.json → pipeline.stages, по возрастанию priority.
+ * includeDisabled — вернуть и выключенные (для явного --only).
+ */
+export function getPipelineStages(config, { includeDisabled = false } = {}) {
+  const stages = Array.isArray(config.pipeline?.stages) ? config.pipeline.stages : DEFAULT_STAGES;
+  return stages
+    .filter((s) => includeDisabled || s.enabled !== false)
+    .map((s, i) => ({ ...s, priority: s.priority ?? (i + 1) * 10 }))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Импортирует модуль стадии: src/stages/<module ?? name>.js → export const stage.
+ */
+export async function loadStage(entry) {
+  const file = `./stages/${entry.module ?? entry.name}.js`;
+  const mod = await import(file);
+  if (!mod.stage || typeof mod.stage.run !== 'function') {
+    throw new Error(`Stage module ${file} does not export a runnable "stage"`);
+  }
+  return mod.stage;
+}
+
+/**
+ * Артефакт — путь относительно папки документа (`r100/p1.webp`)
+ * либо путь внутри манифеста (`manifest:stages.rasterize.finishedAt`).
+ */
+export async function artifactExists(doc, artifact) {
+  if (artifact.startsWith('manifest:')) {
+    return getByPath(doc.manifest, artifact.slice('manifest:'.length)) != null;
+  }
+  return fs.pathExists(path.join(doc.docDir, artifact));
+}
+
+async function missingArtifacts(doc, artifacts = []) {
+  const missing = [];
+  for (const a of artifacts) {
+    if (!await artifactExists(doc, a)) missing.push(a);
+  }
+  return missing;
+}
+
+/**
+ * Хэш входов стадии для документа: параметры конфига (stage.hashConfig, по умолчанию секция
+ * с именем стадии), дополнительные входы стадии (stage.hashInputs) и хэши всех стадий
+ * раньше по пайплайну — изменение выше по цепочке перезапускает всё, что ниже.
+ */
+export async function stageInputHash(stage, doc, ctx, upstream = []) {
+  const recorded = doc.manifest.inputHashes ?? {};
+  const paths = stage.hashConfig ?? [stage.name];
+
+  return sha256Json({
+    config: Object.fromEntries(paths.map((p) => [p, getByPath(ctx.config, p) ?? null])),
+    inputs: stage.hashInputs ? await stage.hashInputs(doc, ctx) : null,
+    upstream: Object.fromEntries(upstream.filter((name) => recorded[name]).map((name) => [name, recorded[name]]))
+  });
+}
+
+/**
+ * --force: true (все стадии) или список стадий; --force-doc: список документов.
+ */
+function createForce({ force, forceDocs } = {}) {
+  if (!force && !forceDocs?.length) return () => false;
+  return (stageName, docId) => (force === true || !force || force.includes(stageName))
+    && (!forceDocs?.length || forceDocs.includes(docId));
+}
+
+function resolveConcurrency(stage, config) {
+  const c = typeof stage.concurrency === 'function' ? stage.concurrency(config) : stage.concurrency;
+  return Math.max(1, Number(c) || 1);
+}
+
+async function runBatchStage(stage, ctx, summary, { isForced }) {
+  const log = (msg) => console.log(`[${stage.name}] ${msg}`);
+  const forced = (docId) => isForced(stage.name, docId);
+  const result = await stage.run({ ...ctx, log, isForced: forced });
+
+  for (const d of result?.documents ?? []) {
+    summary.set(d.docId, d.status, stage.name, d.error);
+  }
+}
+
+/**
+ * Исходник разобранного документа заменили: хэш входов стадии, читающей document.pdf
+ * (stage.readsSource), разошёлся с записанным. Под-документы устарели — удаляем их,
+ * и документ снова идёт по стадиям: страницы перерисуются, segment и splitter разберут заново.
+ */
+async function dropStaleSplit(stage, doc, ctx, upstream, log) {
+  const { docDir, manifest } = doc;
+  const recorded = manifest.inputHashes?.[stage.name];
+  if (!stage.readsSource || !manifest.split || !recorded) return;
+  if ((await missingArtifacts(doc, stage.requires)).length > 0) return;
+  if (await stageInputHash(stage, doc, ctx, upstream) === recorded) return;
+
+  const children = [...new Set([
+    ...manifest.split.children,
+    ...(manifest.pages ?? []).flatMap((p) => p.splitInto ?? [])
+  ])];
+  const removed = await removeChildDocs(path.dirname(docDir), children);
+  log(`Source changed, removed sub-documents: ${removed.join(', ')}`);
+  for (const page of manifest.pages ?? []) delete page.splitInto;
+  delete manifest.split;
+  await saveManifest(docDir, manifest);
+}
+
+/**
+ * Одна стадия для одного документа (вызывается под lock'ом манифеста).
+ */
+async function runDocumentTask(stage, docId, docDir, log, ctx, summary, { isForced, upstream }) {
+  const manifest = await loadOrCreateManifest(docDir, docId);
+  const doc = { docId, docDir, manifest };
+
+  await dropStaleSplit(stage, doc, ctx, upstream, log);
+
+  // Разобранный на под-документы документ дальше не обрабатывается. Исключение — стадия,
+  // которая сама создаёт под-документы (stage.splits), запущенная с --force: она разбирает его заново
+  if (isSuperseded(manifest) && !(stage.splits && isForced(stage.name, docId))) {
+    summary.set(docId, 'skipped', stage.name, `split into ${manifest.split.children.length} docs`);
+    return;
+  }
+
+  const missing = await missingArtifacts(doc, stage.requires);
+  const hash = missing.length === 0 ? await stageInputHash(stage, doc, ctx, upstream) : null;
+  manifest.inputHashes ??= {};
+
+  // Артефакты есть и входы не менялись — пропускаем. Манифест без хэша (старый прогон)
+  // принимаем как есть и запоминаем текущий хэш.
+  if (!isForced(stage.name, docId) && stage.produces?.length > 0
+    && (await missingArtifacts(doc, stage.produces)).length === 0) {
+    const recorded = manifest.inputHashes[stage.name];
+    if (!hash || !recorded || recorded === hash) {
+      if (hash && !recorded) {
+        manifest.inputHashes[stage.name] = hash;
+        await saveManifest(docDir, manifest);
+      }
+      summary.set(docId, 'skipped', stage.name);
+      return;
+    }
+    log('Inputs changed, re-running');
+  }
+
+  if (missing.length > 0) {
+    summary.set(docId, 'blocked', stage.name, `missing ${missing.join(', ')}`);
+    return;
+  }
+
+  // Время и пиковая память последнего запуска стадии → manifest.profile (для npm run benchmark)
+  const startedAt = new Date().toISOString();
+  const t0 = performance.now();
+  const memory = trackMemory();
+  const profile = (status) => {
+    manifest.profile ??= {};
+    manifest.profile[stage.name] = { startedAt, durationMs: since(t0), peakRssMb: memory.stop(), status };
+  };
+
+  try {
+    // Стадия может вернуть { status: 'skipped', reason }, если документ ей не подходит.
+    // Хэш пишем и в этом случае: иначе следующий прогон допишет его в ветке пропуска,
+    // и цепочка upstream у всех стадий ниже изменится — они перезапустятся без причины
+    const result = await stage.run(doc, { ...ctx, log, forced: isForced(stage.name, docId) });
+    manifest.inputHashes[stage.name] = hash;
+    profile(result?.status ?? 'done');
+    await saveManifest(docDir, manifest);
+    summary.set(docId, result?.status ?? 'done', stage.name, result?.reason);
+  } catch (err) {
+    log(`Failed: ${err?.message ?? err}`);
+    manifest.stages[stage.name] = {
+      ...manifest.stages[stage.name],
+      error: err?.message ?? String(err),
+      failedAt: new Date().toISOString()
+    };
+    profile('failed');
+    await saveManifest(docDir, manifest);
+    summary.set(docId, 'failed', stage.name, err?.message ?? String(err));
+  }
+}
+
+async function runDocumentStage(stage, ctx, summary, { isForced, upstream }) {
+  const { config, stagingDir, docs } = ctx;
+  const docIds = (await listStagingDocIds(stagingDir)).filter((id) => !docs || belongsTo(id, docs));
+  const concurrency = resolveConcurrency(stage, config);
+
+  console.log(`[${stage.name}] ${docIds.length} docs in staging. Concurrency=${concurrency}`);
+
+  const queue = new PQueue({ concurrency });
+
+  for (const docId of docIds) {
+    queue.add(async () => {
+      const docDir = path.join(stagingDir, docId);
+      const log = (msg) => console.log(`[${stage.name}] [${docId}] ${msg}`);
+
+      if (ctx.signal?.aborted) {
+        summary.set(docId, 'skipped', stage.name, 'cancelled');
+        return;
+      }
+      // Под-документ удалён родителем в этой же стадии (dropStaleSplit)
+      if (!await fs.pathExists(docDir)) return;
+
+      try {
+        // Пока стадия работает с документом, другой процесс (watch, ручной запуск) его не трогает
+        await withManifestLock(docDir, () => runDocumentTask(stage, docId, docDir, log, ctx, summary, {
+          isForced, upstream
+        }));
+      } catch (err) {
+        if (err instanceof ManifestLockError) {
+          log(`Skipped: ${err.message}`);
+          summary.set(docId, 'skipped', stage.name, err.message);
+          return;
+        }
+        log(`Failed: ${err?.message ?? err}`);
+        summary.set(docId, 'failed', stage.name, err?.message ?? String(err));
+      }
+    });
+  }
+
+  await queue.onIdle();
+}
+
+function createSummary() {
+  const docs = new Map();
+  return {
+    docs,
+    set(docId, status, stageName, reason) {
+      if (!docs.has(docId)) docs.set(docId, {});
+      docs.get(docId)[stageName] = reason ? { status, reason } : { status };
+    }
+  };
+}
+
+function printSummary(summary) {
+  console.log('[pipeline] Summary:');
+  for (const [docId, stages] of summary.docs) {
+    const line = Object.entries(stages)
+      .map(([name, s]) => `${name}=${s.status}${s.reason ? ` (${s.reason})` : ''}`)
+      .join(', ');
+    console.log(`  ${docId}: ${line}`);
+  }
+}
+
+/**
+ * Прогоняет включённые стадии по порядку.
+ * options.only — ограничить список стадий (по имени).
+ * options.force / options.forceDocs — перезапустить стадии/документы, даже если входы не менялись.
+ * options.docs — обработать только эти документы (и их дочерние), остальной staging не трогать.
+ * options.signal — AbortSignal: отмена дожидается текущих документов, следующие не начинаются.
+ */
+export async function runPipeline(options = {}) {
+  const config = options.config ?? await loadConfig();
+
+  if (!config.paths?.staging) {
+    throw new Error('config/root.json: paths.staging is required');
+  }
+
+  const stagingDir = resolvePath(config.paths.staging);
+  await fs.ensureDir(stagingDir);
+
+  let entries = getPipelineStages(config, { includeDisabled: !!options.only });
+  if (options.only) {
+    const known = new Set(entries.map((e) => e.name));
+    for (const name of options.only) {
+      if (!known.has(name)) entries.push({ name, priority: Infinity });
+    }
+    entries = entries.filter((e) => options.only.includes(e.name));
+  }
+
+  const summary = createSummary();
+  // Время стадий целиком (по часам, со всеми документами) и пиковая память процесса
+  const timing = {};
+  const ctx = { config, stagingDir, docs: options.docs ? new Set(options.docs) : undefined, signal: options.signal };
+  const isForced = createForce(options);
+  // Порядок всех стадий (и выключенных) — для цепочки хэшей входов
+  const order = getPipelineStages(config, { includeDisabled: true }).map((e) => e.name);
+
+  for (const entry of entries) {
+    if (options.signal?.aborted) {
+      console.log('[pipeline] Cancelled');
+      break;
+    }
+    const stage = await loadStage(entry);
+    console.log(`[pipeline] Stage: ${stage.name}`);
+
+    const index = order.indexOf(stage.name);
+    const upstream = index === -1 ? order : order.slice(0, index);
+
+    const t0 = performance.now();
+    const memory = trackMemory();
+    if (stage.scope === 'batch') {
+      await runBatchStage(stage, { ...ctx, stageConfig: entry }, summary, { isForced });
+    } else {
+      await runDocumentStage(stage, { ...ctx, stageConfig: entry }, summary, { isForced, upstream });
+    }
+    timing[stage.name] = { durationMs: since(t0), peakRssMb: memory.stop() };
+  }
+
+  printSummary(summary);
+
+  const summaryPath = path.join(stagingDir, '_pipeline_summary.json');
+  await fs.writeJson(summaryPath, {
+    finishedAt: new Date().toISOString(),
+    stages: entries.map((e) => e.name),
+    timing,
+    documents: Object.fromEntries(summary.docs)
+  }, { spaces: 2 });
+
+  return summary.docs;
+}
+
+if (isMainModule(import.meta.url)) {
+  const args = parseArgs();
+  const only = typeof args.only === 'string' ? args.only.split(',').map((s) => s.trim()) : undefined;
+
+  runPipeline({ only, ...forceOptions(args) }).catch((err) => {
+    console.error('[pipeline] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,239 @@
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import { loadConfig, loadDocTypes, resolvePath } from './lib/config.js';
+import { isMainModule, parseArgs } from './lib/cli.js';
+import { getFieldDefs } from './lib/docTypes.js';
+import { HttpError, decodePathSegment, escapeHtml, readBody, redirect, sendFile, sendHtml } from './lib/http.js';
+import { activePages } from './lib/manifest.js';
+import { highestResolution } from './lib/resolutions.js';
+import {
+  applyReview, currentFields, listReviewQueue, loadReviewDocument, reviewReasons, saveGroundTruth
+} from './lib/review.js';
+import { listStagingDocIds } from './lib/staging.js';
+import { runPipeline } from './pipeline.js';
+import { ANNOTATED_FILE } from './stages/annotate.js';
+import { collectFieldErrors } from './stages/retry.js';
+
+const DEFAULTS = {
+  // Только локально: в интерфейсе персональные данные документов
+  host: '127.0.0.1',
+  port: 8790,
+  // Поля ниже этой уверенности (extraction.provenance) отправляют документ в очередь
+  lowConfidence: 0.5,
+  // Галочка «добавить в test_suite» включена по умолчанию
+  groundTruth: false,
+  reviewer: null
+};
+
+export function reviewConfig(config) {
+  return { ...DEFAULTS, ...config.review };
+}
+
+const STYLE = `
+  body { font-family: sans-serif; margin: 1.5em; color: #222; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  .layout { display: flex; gap: 1.5em; align-items: flex-start; }
+  .pages { flex: 1 1 55%; }
+  .pages img { width: 100%; border: 1px solid #ccc; margin-bottom: 1em; }
+  .form { flex: 1 1 45%; }
+  .form input[type=text] { width: 100%; box-sizing: border-box; }
+  .error { color: #c0392b; }
+  .muted { color: #777; font-size: 0.9em; }
+`;
+
+function layout(title, body) {
+  return '<!doctype html>\n<html lang="ru"><head><meta charset="utf-8">'
+    + `<title>${escapeHtml(title)}</title><style>${STYLE}</style></head>`
+    + `<body>${body}</body></html>`;
+}
+
+const docUrl = (docId, suffix = '') => `/doc/${encodeURIComponent(docId)}${suffix}`;
+
+function queuePage(queue, running) {
+  const rows = queue.map((d) => `<tr><td><a href="${docUrl(d.docId)}">${escapeHtml(d.docId)}</a></td>`
+    + `<td>${escapeHtml(d.docType ?? '—')}</td>`
+    + `<td>${d.reasons.map(escapeHtml).join('<br>')}${running.has(d.docId) ? '<br><i>обрабатывается…</i>' : ''}</td></tr>`);
+
+  return layout('Ручная проверка', `<h1>Ручная проверка</h1>`
+    + (queue.length === 0
+      ? '<p>Очередь пуста.</p>'
+      : `<table><tr><th>Документ</th><th>Тип</th><th>Причина</th></tr>${rows.join('')}</table>`));
+}
+
+async function pageImages(doc) {
+  const { docId, docDir, manifest } = doc;
+  const parts = [];
+  if (await fs.pathExists(path.join(docDir, ANNOTATED_FILE))) {
+    parts.push(`<h3>Рамки полей</h3><img src="${docUrl(docId, `/file/${ANNOTATED_FILE}`)}" alt="">`);
+  }
+  for (const page of activePages(manifest)) {
+    const res = highestResolution(manifest, [page]);
+    if (!res) continue;
+    const issues = page.quality?.issues?.length ? ` <span class="error">(${escapeHtml(page.quality.issues.join(', '))})</span>` : '';
+    parts.push(`<h3>Страница ${page.index}${issues}</h3>`
+      + `<img src="${docUrl(docId, `/file/${res.folder}/${encodeURIComponent(page[res.folder])}`)}" alt="" loading="lazy">`);
+  }
+  return parts.length > 0 ? parts.join('') : '<p class="muted">Нет растров страниц.</p>';
+}
+
+function fieldRows(doc, docType) {
+  const fields = currentFields(doc);
+  const extracted = doc.extraction?.fields ?? {};
+  const provenance = doc.extraction?.provenance ?? {};
+  const report = doc.manifest.humanReview?.validation ?? doc.validation;
+  const errors = report ? collectFieldErrors(report) : {};
+
+  return getFieldDefs(docType).map((f) => {
+    const conf = provenance[f.id]?.confidence;
+    const model = f.id in extracted
+      ? `${escapeHtml(extracted[f.id] ?? '—')}${conf != null ? ` <span class="muted">(${Math.round(conf * 100)}%)</span>` : ''}`
+      : '';
+    return `<tr><td>${escapeHtml(f.label ?? f.description ?? f.id)}<br><span class="muted">${escapeHtml(f.id)}</span></td>`
+      + `<td><input type="text" name="field:${escapeHtml(f.id)}" value="${escapeHtml(fields[f.id] ?? '')}"></td>`
+      + `<td>${model}</td>`
+      + `<td class="error">${(errors[f.id] ?? []).map(escapeHtml).join('<br>')}</td></tr>`;
+  }).join('');
+}
+
+async function documentPage(doc, docTypes, cfg, running) {
+  const { docId, manifest } = doc;
+  const docType = docTypes.get(manifest.docType);
+  const reasons = reviewReasons(doc, cfg);
+  const human = manifest.humanReview;
+
+  const typeOptions = [...(docType ? [] : [[manifest.docType ?? '', manifest.docType ?? '— не задан —']]),
+    ...[...docTypes.values()].map((t) => [t.id, t.name ?? t.id])]
+    .map(([id, name]) => `<option value="${escapeHtml(id)}"${id === (manifest.docType ?? '') ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+    .join('');
+
+  const form = `<form method="post" action="${docUrl(docId)}">`
+    + `<p>Тип документа: <select name="docType">${typeOptions}</select></p>`
+    + (docType
+      ? `<table><tr><th>Поле</th><th>Значение</th><th>Модель</th><th>Ошибки</th></tr>${fieldRows(doc, docType)}</table>`
+        + `<p><label><input type="checkbox" name="groundTruth"${cfg.groundTruth ? ' checked' : ''}> добавить в test_suite как эталон</label></p>`
+      : '<p class="muted">Выберите тип и сохраните — затем документ нужно обработать заново.</p>')
+    + '<p><button name="action" value="save">Сохранить</button> '
+    + (docType ? '<button name="action" value="approve">Утвердить</button>' : '')
+    + '</p></form>'
+    + `<form method="post" action="${docUrl(docId, '/run')}"><button${running.has(docId) ? ' disabled' : ''}>`
+    + `${running.has(docId) ? 'Обрабатывается…' : 'Обработать заново'}</button></form>`;
+
+  const status = human
+    ? `<p>Проверено: ${escapeHtml(human.status)}, ${escapeHtml(human.reviewer ?? '')} ${escapeHtml(human.reviewedAt)}</p>`
+    : '';
+
+  return layout(docId, `<p><a href="/">← очередь</a></p><h1>${escapeHtml(docId)}</h1>${status}`
+    + (reasons.length ? `<ul>${reasons.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul>` : '')
+    + `<div class="layout"><div class="pages">${await pageImages(doc)}</div><div class="form">${form}</div></div>`);
+}
+
+/**
+ * Локальный веб-интерфейс ручной проверки: очередь документов, которым нужен человек
+ * (скан ниже порога качества, тип не определён, ошибки проверки, низкая уверенность полей, упавшая стадия),
+ * страницы рядом с полями и ошибками, исправление значений, выбор docType и утверждение.
+ */
+export async function startReviewServer(options = {}) {
+  const config = options.config ?? await loadConfig();
+  const cfg = { ...reviewConfig(config), ...options };
+  const stagingDir = resolvePath(config.paths.staging);
+  const groundTruthDir = resolvePath(config.paths?.testSuite ?? './test_suite');
+  const log = (msg) => console.log(`[review] ${msg}`);
+  const running = new Set();
+
+  async function findDoc(docId) {
+    if (!(await listStagingDocIds(stagingDir)).includes(docId)) throw new HttpError(404, `Unknown document ${docId}`);
+    return loadReviewDocument(stagingDir, docId);
+  }
+
+  async function saveReview(docId, body) {
+    const doc = await findDoc(docId);
+    const form = new URLSearchParams(body.toString('utf8'));
+    const docTypes = await loadDocTypes();
+    const docType = docTypes.get(form.get('docType'));
+    if (!docType) throw new HttpError(400, `Unknown docType "${form.get('docType')}"`);
+
+    const fields = {};
+    for (const [key, value] of form) {
+      if (key.startsWith('field:')) fields[key.slice('field:'.length)] = value;
+    }
+
+    const approve = form.get('action') === 'approve';
+    await applyReview(doc, docType, { fields, approve, reviewer: cfg.reviewer });
+    log(`${docId}: ${approve ? 'approved' : 'saved'} (${docType.id})`);
+
+    const saved = await loadReviewDocument(stagingDir, docId);
+    if (form.get('groundTruth') && saved.manifest.humanReview?.fields) {
+      const file = await saveGroundTruth(groundTruthDir, docId, docType.id, saved.manifest.humanReview.fields);
+      log(`${docId}: ground truth → ${path.relative(resolvePath('.'), file)}`);
+    }
+  }
+
+  function rerun(docId) {
+    if (running.has(docId)) return;
+    running.add(docId);
+    log(`${docId}: processing`);
+    runPipeline({ config, docs: [docId] })
+      .catch((err) => log(`${docId}: pipeline failed: ${err?.message ?? err}`))
+      .finally(() => running.delete(docId));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const [, route, rawId, action, ...rest] = url.pathname.split('/');
+    const docId = rawId ? decodePathSegment(rawId) : null;
+
+    if (req.method === 'GET' && url.pathname === '/') {
+      return sendHtml(res, queuePage(await listReviewQueue(stagingDir, cfg), running));
+    }
+    if (route !== 'doc' || !docId) throw new HttpError(404, `Not found: ${url.pathname}`);
+
+    if (req.method === 'GET' && !action) {
+      return sendHtml(res, await documentPage(await findDoc(docId), await loadDocTypes(), cfg, running));
+    }
+    if (req.method === 'GET' && action === 'file') {
+      const doc = await findDoc(docId);
+      return sendFile(res, doc.docDir, rest.map(decodePathSegment).join('/'));
+    }
+    if (req.method === 'POST' && !action) {
+      await saveReview(docId, await readBody(req));
+      return redirect(res, docUrl(docId));
+    }
+    if (req.method === 'POST' && action === 'run') {
+      await findDoc(docId);
+      rerun(docId);
+      return redirect(res, docUrl(docId));
+    }
+    throw new HttpError(405, `${req.method} ${url.pathname} is not supported`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) log(`Error: ${err?.stack ?? err}`);
+      if (!res.headersSent) sendHtml(res, layout('Ошибка', `<p class="error">${escapeHtml(err?.message ?? err)}</p>`), status);
+      else res.destroy();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(cfg.port, cfg.host, resolve);
+  });
+  const { port } = server.address();
+  log(`Listening on http://${cfg.host}:${port}/`);
+
+  return {
+    port,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (isMainModule(import.meta.url)) {
+  const args = parseArgs();
+  startReviewServer(args.port ? { port: Number(args.port) } : {}).catch((err) => {
+    console.error('[review] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
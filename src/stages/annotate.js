@@ -0,0 +1,165 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { getFieldDefs, docTypeHashInputs } from '../lib/docTypes.js';
+import { PROVENANCE_RESOLUTION } from '../lib/provenance.js';
+import { highestResolution } from '../lib/resolutions.js';
+import { EXTRACTION_FILE } from './extract.js';
+import { VALIDATION_FILE } from './validate.js';
+import { collectFieldErrors } from './retry.js';
+
+export const ANNOTATED_FILE = 'annotated.webp';
+
+const DEFAULTS = {
+  // Ширина страницы в картинке для проверки; рамки масштабируются вместе с ней
+  width: 1240,
+  quality: 80,
+  fontSize: 16,
+  // Ниже этой уверенности рамка жёлтая, даже если проверка поля прошла
+  lowConfidence: 0.5,
+  colors: {
+    ok: '#1a9850',
+    low: '#f39c12',
+    error: '#d73027'
+  }
+};
+
+function annotateConfig(config) {
+  return { ...DEFAULTS, ...config.annotate, colors: { ...DEFAULTS.colors, ...config.annotate?.colors } };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function boxLabel(label, value, confidence) {
+  const text = value == null ? '—' : String(value);
+  const short = text.length > 40 ? `${text.slice(0, 39)}…` : text;
+  return `${label}: ${short} (${Math.round(confidence * 100)}%)`;
+}
+
+/**
+ * SVG-слой с рамками полей поверх страницы width×height; bbox уже в пикселях этой картинки.
+ * Подпись — над рамкой, а у верхнего края страницы — под ней.
+ */
+function overlaySvg(boxes, width, height, { fontSize }) {
+  const pad = Math.round(fontSize * 0.3);
+  const items = boxes.map(({ bbox: [x1, y1, x2, y2], color, text }) => {
+    const labelWidth = Math.min(width - x1, Math.ceil(text.length * fontSize * 0.6) + pad * 2);
+    const labelHeight = fontSize + pad * 2;
+    const top = y1 - labelHeight >= 0 ? y1 - labelHeight : Math.min(y2, height - labelHeight);
+    return `<rect x="${x1}" y="${y1}" width="${x2 - x1}" height="${y2 - y1}" fill="none" stroke="${color}" stroke-width="3"/>`
+      + `<rect x="${x1}" y="${top}" width="${labelWidth}" height="${labelHeight}" fill="${color}" fill-opacity="0.85"/>`
+      + `<text x="${x1 + pad}" y="${top + pad + fontSize * 0.85}" font-family="sans-serif" font-size="${fontSize}" fill="#ffffff">${escapeXml(text)}</text>`;
+  });
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${items.join('')}</svg>`);
+}
+
+/**
+ * Картинка для проверки: страницы с найденными полями (растр r300 или самый подробный из имеющихся)
+ * одна под другой, на каждой — рамки и подписи «поле: значение (уверенность)».
+ * Цвет рамки: красный — поле не прошло проверку, жёлтый — низкая уверенность, зелёный — в порядке.
+ */
+async function annotateDocument(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+  const cfg = annotateConfig(config);
+
+  const extraction = await fs.readJson(path.join(docDir, EXTRACTION_FILE));
+  if (!extraction.provenance) {
+    return { status: 'skipped', reason: 'extraction has no provenance' };
+  }
+
+  const validationPath = path.join(docDir, VALIDATION_FILE);
+  const errors = await fs.pathExists(validationPath) ? collectFieldErrors(await fs.readJson(validationPath)) : {};
+  const docType = (await loadDocTypes()).get(extraction.docType);
+  const labels = new Map(getFieldDefs(docType).map((f) => [f.id, f.label ?? f.description ?? f.id]));
+
+  const byPage = new Map();
+  for (const [id, p] of Object.entries(extraction.provenance)) {
+    if (!p.bbox || p.page == null) continue;
+    if (!byPage.has(p.page)) byPage.set(p.page, []);
+    byPage.get(p.page).push({ id, ...p });
+  }
+  if (byPage.size === 0) {
+    return { status: 'skipped', reason: 'no field locations' };
+  }
+
+  const layers = [];
+  let top = 0;
+  for (const index of [...byPage.keys()].sort((a, b) => a - b)) {
+    const page = manifest.pages.find((p) => p.index === index);
+    const res = page && (page[PROVENANCE_RESOLUTION]
+      ? { folder: PROVENANCE_RESOLUTION, dpi: 300 }
+      : highestResolution(manifest, [page]));
+    if (!res) {
+      log(`Warning: page ${index} has no raster to annotate`);
+      continue;
+    }
+
+    const image = sharp(path.join(docDir, res.folder, page[res.folder]));
+    const meta = await image.metadata();
+    const width = Math.min(cfg.width, meta.width);
+    const height = Math.round((meta.height * width) / meta.width);
+    // bbox в пикселях r300 → пиксели картинки
+    const scale = ((res.dpi ?? 300) / 300) * (width / meta.width);
+
+    const boxes = byPage.get(index).map((f) => ({
+      bbox: f.bbox.map((v) => Math.round(v * scale)),
+      color: errors[f.id] ? cfg.colors.error : f.confidence < cfg.lowConfidence ? cfg.colors.low : cfg.colors.ok,
+      text: boxLabel(labels.get(f.id) ?? f.id, extraction.fields?.[f.id], f.confidence)
+    }));
+
+    const input = await image
+      .resize({ width })
+      .composite([{ input: overlaySvg(boxes, width, height, cfg), top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+    layers.push({ input, top, left: 0, width });
+    top += height;
+  }
+  if (layers.length === 0) throw new Error('No page rasters to annotate');
+
+  await sharp({
+    create: {
+      width: Math.max(...layers.map((l) => l.width)),
+      height: top,
+      channels: 3,
+      background: '#ffffff'
+    }
+  })
+    .composite(layers.map(({ input, top: y }) => ({ input, top: y, left: 0 })))
+    .webp({ quality: cfg.quality })
+    .toFile(path.join(docDir, ANNOTATED_FILE));
+
+  manifest.stages.annotate = {
+    finishedAt: new Date().toISOString(),
+    output: ANNOTATED_FILE,
+    pages: [...byPage.keys()].sort((a, b) => a - b),
+    fields: [...byPage.values()].reduce((sum, list) => sum + list.length, 0)
+  };
+  log(`Wrote ${ANNOTATED_FILE}: ${manifest.stages.annotate.fields} field(s) on ${layers.length} page(s)`);
+}
+
+export const stage = {
+  name: 'annotate',
+  scope: 'document',
+  requires: [EXTRACTION_FILE],
+  produces: [ANNOTATED_FILE, 'manifest:stages.annotate.finishedAt'],
+  concurrency: () => 2,
+  hashInputs: docTypeHashInputs,
+  run: annotateDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['annotate'], ...forceOptions() }).catch((err) => {
+    console.error('[annotate] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -1,27 +1,56 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { PDFDocument } from 'pdf-lib';
+import sharp from 'sharp';
+import { resolvePath } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { MANIFEST_NAME, loadOrCreateManifest, saveManifest, withManifestLock } from '../lib/manifest.js';
+import { naturalSort, listStagingDocIds } from '../lib/staging.js';
+import { sha256File, sha256Json } from '../lib/hash.js';
 
 const DEFAULTS = {
   incomingDir: 'incoming',
   stagingDir: 'staging',
   docFolderName: 'input',
   outputPdfName: 'document.pdf',
-  allowedImageExt: new Set(['.jpg', '.jpeg', '.png', '.webp']),
+  allowedImageExt: new Set(['.jpg', '.jpeg', '.png', '.webp', '.tif', '.tiff', '.gif', '.heic', '.heif', '.avif']),
   allowedPdfExt: new Set(['.pdf']),
+  // Размер страницы для изображения без осмысленной плотности в метаданных:
+  // растрирование на этом DPI вернёт исходные пиксели
+  imageDpi: 300,
+  // Плотность ниже этой (типичные 72 у фото с телефона) считаем «не указана»
+  minReportedDpi: 100,
+  duplicates: 'flag',
 };
 
-function naturalSort(a, b) {
-  return a.localeCompare(b, 'ru', { numeric: true, sensitivity: 'base' });
-}
-
-function safeDocKey(name) {
+export function safeDocKey(name) {
   // минимальная “санитизация” для папки в staging
   // (имена файлов/папок из incoming могут быть с пробелами — это ок)
   return name.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_').trim();
 }
 
-async function listIncomingDocuments(incomingDir) {
+/**
+ * Файл, который assemble-input умеет собрать в PDF (PDF или изображение).
+ */
+export function isSupportedPart(name) {
+  const ext = path.extname(name).toLowerCase();
+  return DEFAULTS.allowedPdfExt.has(ext) || DEFAULTS.allowedImageExt.has(ext);
+}
+
+/**
+ * HEIC/HEIF (HEVC) декодирует только libvips, собранный с libde265; в готовых сборках sharp его нет.
+ * Такие части не пропускаем молча, а отказываем документу с понятной причиной.
+ */
+function undecodableParts(parts) {
+  const heifSuffixes = sharp.format.heif?.input?.fileSuffix ?? [];
+  return parts.filter((p) => (p.ext === '.heic' || p.ext === '.heif') && !heifSuffixes.includes(p.ext));
+}
+
+function relSource(incomingDir, fullPath) {
+  return path.relative(incomingDir, fullPath).replaceAll('\\', '/');
+}
+
+export async function listIncomingDocuments(incomingDir) {
   const entries = await fs.readdir(incomingDir, { withFileTypes: true });
 
   const docs = [];
@@ -32,9 +61,8 @@ async function listIncomingDocuments(incomingDir) {
     if (e.isDirectory()) {
       docs.push({ kind: 'folder', name: e.name, fullPath: full });
     } else if (e.isFile()) {
-      const ext = path.extname(e.name).toLowerCase();
-      if (DEFAULTS.allowedPdfExt.has(ext)) {
-        docs.push({ kind: 'file', name: e.name, fullPath: full });
+      if (isSupportedPart(e.name)) {
+        docs.push({ kind: 'file', name: e.name, fullPath: full, ext: path.extname(e.name).toLowerCase() });
       }
     }
   }
@@ -51,9 +79,8 @@ async function listFolderParts(folderPath) {
     if (!e.isFile()) continue;
     if (e.name.startsWith('.')) continue;
 
-    const ext = path.extname(e.name).toLowerCase();
-    if (DEFAULTS.allowedPdfExt.has(ext) || DEFAULTS.allowedImageExt.has(ext)) {
-      parts.push({ name: e.name, fullPath: path.join(folderPath, e.name), ext });
+    if (isSupportedPart(e.name)) {
+      parts.push({ name: e.name, fullPath: path.join(folderPath, e.name), ext: path.extname(e.name).toLowerCase() });
     }
   }
 
@@ -61,126 +88,328 @@ async function listFolderParts(folderPath) {
   return parts;
 }
 
-async function mergePdfsToBytes(pdfPaths) {
-  const merged = await PDFDocument.create();
+/**
+ * Страницы изображения, готовые для pdf-lib (только JPEG/PNG).
+ * EXIF-ориентация применяется через sharp.rotate(); всё, кроме JPEG/PNG
+ * без поворота, перекодируется (TIFF/WebP/AVIF → PNG, JPEG с поворотом → JPEG).
+ * Многостраничный TIFF/GIF даёт несколько страниц.
+ */
+async function imagePages(imgPath, { imageDpi }) {
+  const meta = await sharp(imgPath).metadata();
+  const pageCount = meta.pages ?? 1;
+  const oriented = meta.orientation && meta.orientation !== 1;
+  const reported = meta.density && meta.density >= DEFAULTS.minReportedDpi ? Math.round(meta.density) : null;
+
+  const pages = [];
+  for (let i = 0; i < pageCount; i++) {
+    let bytes;
+    let embedAs;
+    let converted = true;
+
+    if (pageCount === 1 && !oriented && (meta.format === 'jpeg' || meta.format === 'png')) {
+      bytes = await fs.readFile(imgPath);
+      embedAs = meta.format;
+      converted = false;
+    } else if (meta.format === 'jpeg') {
+      bytes = await sharp(imgPath).rotate().jpeg({ quality: 95 }).toBuffer();
+      embedAs = 'jpeg';
+    } else {
+      bytes = await sharp(imgPath, { page: i }).rotate().png().toBuffer();
+      embedAs = 'png';
+    }
 
-  for (const p of pdfPaths) {
-    const bytes = await fs.readFile(p);
-    const src = await PDFDocument.load(bytes);
-    const copied = await merged.copyPages(src, src.getPageIndices());
-    copied.forEach((page) => merged.addPage(page));
+    pages.push({
+      bytes,
+      embedAs,
+      format: meta.format,
+      converted,
+      orientation: meta.orientation ?? null,
+      sourcePage: i + 1,
+      dpi: reported ?? imageDpi,
+      sourceDpi: reported
+    });
   }
-
-  return await merged.save();
+  return pages;
 }
 
-async function imagesToPdfBytes(imagePaths) {
-  const pdf = await PDFDocument.create();
-
-  for (const imgPath of imagePaths) {
-    const bytes = await fs.readFile(imgPath);
-    const ext = path.extname(imgPath).toLowerCase();
-
-    let embedded;
-    if (ext === '.png') embedded = await pdf.embedPng(bytes); // [web:102]
-    else embedded = await pdf.embedJpg(bytes); // jpeg/jpg/webp -> через embedJpg (webp часто не поддерживается как jpg)
-    // ВАЖНО: pdf-lib не гарантирует поддержку webp как embedJpg.
-    // Поэтому webp на входе лучше не допускать или конвертировать заранее.
-    // Сейчас считаем, что входные изображения будут jpg/png.
+async function addImagePages(pdf, imgPath, options) {
+  const added = [];
+  for (const img of await imagePages(imgPath, options)) {
+    const embedded = img.embedAs === 'png' ? await pdf.embedPng(img.bytes) : await pdf.embedJpg(img.bytes);
 
-    const w = embedded.width;
-    const h = embedded.height;
+    // Пиксели → пункты PDF по DPI изображения, чтобы растр на этом DPI совпал с оригиналом
+    const w = (embedded.width * 72) / img.dpi;
+    const h = (embedded.height * 72) / img.dpi;
 
     const page = pdf.addPage([w, h]);
     page.drawImage(embedded, { x: 0, y: 0, width: w, height: h });
-  }
 
-  return await pdf.save();
+    const { bytes, embedAs, ...info } = img;
+    added.push(info);
+  }
+  return added;
 }
 
-async function assembleOneDocument(doc, { incomingDir, stagingDir }) {
-  const docKey = safeDocKey(doc.name);
-  const outDir = path.join(stagingDir, docKey, DEFAULTS.docFolderName);
-  const outPdfPath = path.join(outDir, DEFAULTS.outputPdfName);
+async function addPdfPages(pdf, pdfPath) {
+  const src = await PDFDocument.load(await fs.readFile(pdfPath));
+  const copied = await pdf.copyPages(src, src.getPageIndices());
+  copied.forEach((page) => pdf.addPage(page));
+  return copied.map((_, i) => ({ format: 'pdf', sourcePage: i + 1 }));
+}
 
-  await fs.ensureDir(outDir);
+/**
+ * Склеивает PDF и изображения в один PDF в порядке частей.
+ * Возвращает байты и карту: какая часть дала какие страницы document.pdf.
+ */
+async function assembleParts(parts, { incomingDir, imageDpi }) {
+  // Без дат в метаданных: те же части дают побайтно тот же PDF (и тот же хэш)
+  const pdf = await PDFDocument.create({ updateMetadata: false });
+  const partMap = [];
+  const pageMap = [];
+
+  for (const part of parts) {
+    const isPdf = DEFAULTS.allowedPdfExt.has(part.ext);
+    const added = isPdf ? await addPdfPages(pdf, part.fullPath) : await addImagePages(pdf, part.fullPath, { imageDpi });
+
+    const source = relSource(incomingDir, part.fullPath);
+    const first = pageMap.length + 1;
+    for (const info of added) {
+      pageMap.push({ page: pageMap.length + 1, source, ...info });
+    }
 
-  if (doc.kind === 'file') {
-    // один PDF в корне incoming => просто копируем как документ.pdf
-    await fs.copyFile(doc.fullPath, outPdfPath);
-    return { docKey, outputPdfPath: outPdfPath, sources: [path.relative(incomingDir, doc.fullPath)] };
+    partMap.push({
+      source,
+      kind: isPdf ? 'pdf' : 'image',
+      sha256: part.sha256,
+      pageCount: added.length,
+      pages: added.length ? [first, first + added.length - 1] : []
+    });
   }
 
-  // doc.kind === 'folder'
-  const parts = await listFolderParts(doc.fullPath);
+  return { bytes: await pdf.save(), partMap, pageMap };
+}
 
-  const pdfs = parts.filter((p) => DEFAULTS.allowedPdfExt.has(p.ext)).map((p) => p.fullPath);
-  const imgs = parts.filter((p) => DEFAULTS.allowedImageExt.has(p.ext)).map((p) => p.fullPath);
+/**
+ * Части документа: файл в корне incoming — одна часть; папка — части в natural-sort порядке.
+ */
+export async function listDocumentParts(doc) {
+  return doc.kind === 'file'
+    ? [{ name: doc.name, fullPath: doc.fullPath, ext: doc.ext }]
+    : listFolderParts(doc.fullPath);
+}
+
+/**
+ * SHA-256 каждой части + хэш содержимого документа (только байты в порядке частей, без имён:
+ * тот же файл под другим именем даёт тот же хэш).
+ */
+async function hashParts(parts) {
+  for (const part of parts) part.sha256 = await sha256File(part.fullPath);
+  return sha256Json(parts.map((p) => p.sha256));
+}
 
-  if (pdfs.length === 0 && imgs.length === 0) {
-    throw new Error(`No supported files in folder: ${doc.fullPath}`);
+/**
+ * Хэши содержимого документов из staging, которых уже нет в incoming → docId (для поиска дубликатов).
+ * Документы из incoming сюда не попадают: их хэш считается заново по текущим файлам.
+ */
+async function loadKnownHashes(stagingDir, skipIds) {
+  const known = new Map();
+  for (const docId of await listStagingDocIds(stagingDir)) {
+    if (skipIds.has(docId)) continue;
+    const manifestPath = path.join(stagingDir, docId, MANIFEST_NAME);
+    if (!await fs.pathExists(manifestPath)) continue;
+    const hash = (await fs.readJson(manifestPath)).input?.contentHash;
+    if (hash && !known.has(hash)) known.set(hash, docId);
+  }
+  return known;
+}
+
+async function assembleOneDocument(doc, parts, { incomingDir, stagingDir, imageDpi, contentHash, force }) {
+  const docKey = safeDocKey(doc.name);
+  const docDir = path.join(stagingDir, docKey);
+  const outDir = path.join(docDir, DEFAULTS.docFolderName);
+  const outPdfPath = path.join(outDir, DEFAULTS.outputPdfName);
+
+  const manifest = await loadOrCreateManifest(docDir, docKey);
+
+  // Исходники не менялись — document.pdf и карта страниц остаются прежними
+  if (!force && manifest.input.contentHash === contentHash && await fs.pathExists(outPdfPath)) {
+    return {
+      docKey,
+      outputPdfPath: outPdfPath,
+      unchanged: true,
+      contentHash,
+      pdfHash: manifest.input.pdfHash,
+      sources: (manifest.input.sources ?? []).map((p) => p.source),
+      parts: manifest.input.sources ?? [],
+      pages: manifest.input.pageMap ?? []
+    };
   }
 
-  let mergedBytes;
-  if (pdfs.length > 0 && imgs.length === 0) {
-    mergedBytes = await mergePdfsToBytes(pdfs); // [web:43]
-  } else if (pdfs.length === 0 && imgs.length > 0) {
-    mergedBytes = await imagesToPdfBytes(imgs); // [web:102]
+  await fs.ensureDir(outDir);
+
+  let result;
+  if (parts.length === 1 && DEFAULTS.allowedPdfExt.has(parts[0].ext)) {
+    // один PDF => просто копируем как document.pdf
+    await fs.copyFile(parts[0].fullPath, outPdfPath);
+    const src = await PDFDocument.load(await fs.readFile(outPdfPath), { updateMetadata: false });
+    const source = relSource(incomingDir, parts[0].fullPath);
+    const count = src.getPageCount();
+    result = {
+      partMap: [{ source, kind: 'pdf', sha256: parts[0].sha256, pageCount: count, pages: count ? [1, count] : [] }],
+      pageMap: Array.from({ length: count }, (_, i) => ({ page: i + 1, source, format: 'pdf', sourcePage: i + 1 }))
+    };
   } else {
-    // Смешанный случай (PDF + изображения) — пока “срезаем углы”:
-    // 1) склеить PDF-части
-    // 2) изображения пока не включать
-    // (позже расширим: можно конвертировать изображения в PDF и тоже добавлять)
-    mergedBytes = await mergePdfsToBytes(pdfs); // [web:43]
+    result = await assembleParts(parts, { incomingDir, imageDpi });
+    await fs.writeFile(outPdfPath, result.bytes);
   }
 
-  await fs.writeFile(outPdfPath, mergedBytes);
+  // Карта страниц нужна и стадиям (исходный файл и DPI скана для каждой страницы)
+  const changed = manifest.input.contentHash && manifest.input.contentHash !== contentHash;
+  manifest.input.sources = result.partMap;
+  manifest.input.pageMap = result.pageMap;
+  manifest.input.contentHash = contentHash;
+  manifest.input.pdfHash = await sha256File(outPdfPath);
+  await saveManifest(docDir, manifest);
+
+  return {
+    docKey,
+    outputPdfPath: outPdfPath,
+    changed: !!changed,
+    contentHash,
+    pdfHash: manifest.input.pdfHash,
+    sources: result.partMap.map((p) => p.source),
+    parts: result.partMap,
+    pages: result.pageMap
+  };
+}
 
-  const relSources = parts.map((p) => path.relative(incomingDir, p.fullPath));
-  return { docKey, outputPdfPath: outPdfPath, sources: relSources };
+async function markDuplicate(stagingDir, docKey, originalId) {
+  const docDir = path.join(stagingDir, docKey);
+  await withManifestLock(docDir, async () => {
+    const manifest = await loadOrCreateManifest(docDir, docKey);
+    if (manifest.duplicateOf === originalId || (!originalId && !manifest.duplicateOf)) return;
+    if (originalId) manifest.duplicateOf = originalId;
+    else delete manifest.duplicateOf;
+    await saveManifest(docDir, manifest);
+  });
 }
 
-async function runAssembleInput() {
-  const incomingDir = DEFAULTS.incomingDir;
-  const stagingDir = DEFAULTS.stagingDir;
+/**
+ * docs — собрать только эти docId (режим watch), иначе всё из incoming.
+ */
+async function runAssembleInput({ config, log, isForced = () => false, docs: only }) {
+  const incomingDir = resolvePath(config.paths?.incoming ?? DEFAULTS.incomingDir);
+  const stagingDir = resolvePath(config.paths?.staging ?? DEFAULTS.stagingDir);
 
   await fs.ensureDir(incomingDir);
   await fs.ensureDir(stagingDir);
 
-  const docs = await listIncomingDocuments(incomingDir);
+  const imageDpi = config.assemble?.imageDpi ?? DEFAULTS.imageDpi;
+  // 'flag' — собрать и пометить manifest.duplicateOf; 'skip' — не собирать дубликат
+  const duplicates = config.assemble?.duplicates ?? DEFAULTS.duplicates;
+  const docs = (await listIncomingDocuments(incomingDir))
+    .filter((doc) => !only || only.has(safeDocKey(doc.name)));
 
   if (docs.length === 0) {
-    console.log(`[assemble-input] No documents found in ${incomingDir}`);
-    return;
+    log(`No documents found in ${incomingDir}`);
+    return { documents: [] };
   }
 
-  console.log(`[assemble-input] Found ${docs.length} incoming documents`);
+  log(`Found ${docs.length} incoming documents`);
 
   const results = [];
+  const duplicateList = [];
+  const documents = [];
+
+  // Сначала хэшируем всё, что лежит в incoming: дубликат определяется по текущему содержимому
+  const hashed = [];
   for (const doc of docs) {
-    console.log(`[assemble-input] Assembling: ${doc.name}`);
-    const r = await assembleOneDocument(doc, { incomingDir, stagingDir });
-    results.push(r);
-    console.log(`[assemble-input] OK: staging/${r.docKey}/input/document.pdf`);
+    const docKey = safeDocKey(doc.name);
+    try {
+      const parts = await listDocumentParts(doc);
+      if (parts.length === 0) {
+        throw new Error(`No supported files in folder: ${doc.fullPath}`);
+      }
+      const heic = undecodableParts(parts);
+      if (heic.length > 0) {
+        throw new Error(`HEIC/HEIF is not supported by this sharp build, convert to JPEG or PNG: ${heic.map((p) => p.name).join(', ')}`);
+      }
+      hashed.push({ doc, docKey, parts, contentHash: await hashParts(parts) });
+    } catch (err) {
+      documents.push({ docId: docKey, status: 'failed', error: err.message });
+      log(`Failed: ${doc.name}: ${err.message}`);
+    }
   }
 
-  // Технический “индекс” (потом можно превратить в manifest)
+  const known = await loadKnownHashes(stagingDir, new Set(hashed.map((h) => h.docKey)));
+
+  for (const { doc, docKey, parts, contentHash } of hashed) {
+    try {
+      const original = known.get(contentHash);
+      const duplicateOf = original && original !== docKey ? original : null;
+      if (!original) known.set(contentHash, docKey);
+
+      if (duplicateOf) {
+        duplicateList.push({ docId: docKey, duplicateOf, contentHash });
+        log(`Duplicate: ${doc.name} has the same content as ${duplicateOf}`);
+        if (duplicates === 'skip') {
+          documents.push({ docId: docKey, status: 'skipped', error: `duplicate of ${duplicateOf}` });
+          continue;
+        }
+      }
+
+      const r = await withManifestLock(path.join(stagingDir, docKey), () => assembleOneDocument(doc, parts, {
+        incomingDir, stagingDir, imageDpi, contentHash, force: isForced(docKey)
+      }));
+      await markDuplicate(stagingDir, docKey, duplicateOf);
+      results.push(duplicateOf ? { ...r, duplicateOf } : r);
+
+      if (r.unchanged) {
+        documents.push({ docId: docKey, status: 'skipped' });
+        log(`Unchanged: ${doc.name}`);
+      } else {
+        documents.push({ docId: docKey, status: 'done' });
+        log(`${r.changed ? 'Re-assembled (sources changed)' : 'OK'}: staging/${docKey}/input/document.pdf`);
+      }
+    } catch (err) {
+      documents.push({ docId: docKey, status: 'failed', error: err.message });
+      log(`Failed: ${doc.name}: ${err.message}`);
+    }
+  }
+
+  // Технический “индекс” (потом можно превратить в manifest). Прогон мог собрать не всё (watch, --doc),
+  // поэтому записи прошлых прогонов сохраняются — для документов, которые ещё лежат в staging
   const indexPath = path.join(stagingDir, '_assemble_index.json');
+  const previous = await fs.pathExists(indexPath) ? await fs.readJson(indexPath) : {};
+  const seen = new Set(hashed.map((h) => h.docKey));
+  const staged = new Set(await listStagingDocIds(stagingDir));
+  const kept = (list, key) => (list ?? []).filter((d) => !seen.has(d[key]) && staged.has(d[key]));
   await fs.writeJson(
     indexPath,
     {
       createdAt: new Date().toISOString(),
       incomingDir,
       stagingDir,
-      documents: results,
+      documents: [...kept(previous.documents, 'docKey'), ...results],
+      duplicates: [...kept(previous.duplicates, 'docId'), ...duplicateList],
     },
     { spaces: 2 }
   );
 
-  console.log(`[assemble-input] Wrote: ${indexPath}`);
+  log(`Wrote: ${indexPath}`);
+  return { documents };
 }
 
-runAssembleInput().catch((err) => {
-  console.error('[assemble-input] Failed:', err);
-  process.exitCode = 1;
-});
+export const stage = {
+  name: 'assemble-input',
+  scope: 'batch',
+  run: runAssembleInput
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['assemble-input'], ...forceOptions() }).catch((err) => {
+    console.error('[assemble-input] Failed:', err);
+    process.exitCode = 1;
+  });
+}
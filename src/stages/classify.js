@@ -0,0 +1,173 @@
+import path from 'path';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { modelPages } from '../lib/manifest.js';
+import { callStats, chatJson } from '../lib/vlm.js';
+import { routingFolder } from '../lib/resolutions.js';
+
+const DEFAULTS = {
+  resolution: 'r100',
+  maxPages: 2,
+  confidenceThreshold: 0.6,
+  topK: 3
+};
+
+function classifyConfig(config) {
+  return { ...DEFAULTS, ...config.classify };
+}
+
+export function describeDocType(docType) {
+  const lines = [`- ${docType.id}: ${docType.name ?? docType.id}`];
+  if (docType.description) lines.push(`  ${docType.description}`);
+  for (const f of docType.features ?? []) lines.push(`  • ${f}`);
+  return lines.join('\n');
+}
+
+/**
+ * Промпт классификатора: типы документов с названием, описанием и признаками из docTypes/*.json.
+ */
+export function buildClassifyPrompt(docTypes, pageCount) {
+  const list = [...docTypes.values()].map(describeDocType).join('\n');
+  const pagesNote = pageCount > 1 ? `Тебе даны ${pageCount} страницы одного документа. ` : '';
+
+  return `${pagesNote}Определи тип документа на изображении. Возможные типы:\n${list}\n`
+    + '- unknown: ни один тип не подходит\n'
+    + 'Верни строго JSON без пояснений: '
+    + '{"type": "<id типа>", "confidence": <0..1>, "alternatives": [{"type": "<id>", "confidence": <0..1>}]}';
+}
+
+function cleanType(value) {
+  return typeof value === 'string' ? value.toLowerCase().trim().replace(/[."'`]/g, '') : null;
+}
+
+function toConfidence(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  // Некоторые модели отвечают в процентах
+  return Math.min(1, Math.max(0, n > 1 ? n / 100 : n));
+}
+
+/**
+ * Ответ модели → { candidate, confidence, alternatives }.
+ * Если JSON нет, а ответ — одно слово из списка типов (старый формат), уверенность неизвестна (null).
+ */
+export function parseClassification(answer, allowedTypes, topK) {
+  const json = answer.json;
+
+  if (!json || typeof json !== 'object') {
+    const word = cleanType(answer.text);
+    return { candidate: allowedTypes.includes(word) ? word : 'unknown', confidence: null, alternatives: [] };
+  }
+
+  const candidate = cleanType(json.type ?? json.docType);
+  const alternatives = (Array.isArray(json.alternatives) ? json.alternatives : [])
+    .map((a) => ({ type: cleanType(a?.type ?? a?.docType), confidence: toConfidence(a?.confidence) }))
+    .filter((a) => allowedTypes.includes(a.type) && a.type !== candidate)
+    .sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0))
+    .slice(0, Math.max(0, topK - 1));
+
+  return {
+    candidate: allowedTypes.includes(candidate) ? candidate : 'unknown',
+    confidence: toConfidence(json.confidence),
+    alternatives
+  };
+}
+
+async function classifyDocument(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+  const { vlm } = config;
+  const cfg = classifyConfig(config);
+
+  // Тип, выбранный человеком в интерфейсе проверки или заданный при загрузке через API,
+  // модель не переопределяет
+  if (manifest.humanReview?.docType) {
+    return { status: 'skipped', reason: `docType set by reviewer: ${manifest.humanReview.docType}` };
+  }
+  if (manifest.requestedDocType) {
+    manifest.docType = manifest.requestedDocType;
+    return { status: 'skipped', reason: `docType set on upload: ${manifest.requestedDocType}` };
+  }
+
+  const docTypes = await loadDocTypes();
+  const allowedTypes = [...docTypes.keys()];
+
+  // Для частично нарезанного документа первые страницы могли уйти в под-документы,
+  // а страницы ниже порога качества ждут ручного разбора
+  const resolution = routingFolder(manifest, cfg.resolution);
+  const pages = modelPages(manifest).filter((p) => p[resolution]).slice(0, cfg.maxPages);
+  if (pages.length === 0 && manifest.review?.required) {
+    return { status: 'skipped', reason: 'needs human review' };
+  }
+  if (pages.length === 0) throw new Error(`No ${resolution} page to classify`);
+  const images = pages.map((p) => path.join(docDir, resolution, p[resolution]));
+
+  log(`Classifying by ${pages.length} page(s)...`);
+
+  const prompt = buildClassifyPrompt(docTypes, pages.length);
+  const model = cfg.model ?? vlm.model;
+  const startedAt = new Date().toISOString();
+
+  const answer = await chatJson(vlm, { prompt, images, model });
+  const { candidate, confidence, alternatives } = parseClassification(answer, allowedTypes, cfg.topK);
+
+  // Низкая уверенность → unknown (кандидат сохраняется в манифесте для ревью)
+  let detectedType = candidate;
+  const lowConfidence = candidate !== 'unknown'
+    && cfg.confidenceThreshold > 0
+    && (confidence === null || confidence < cfg.confidenceThreshold);
+
+  if (candidate === 'unknown') {
+    log(`Model returned unknown type: ${answer.text.slice(0, 80)}`);
+  } else if (lowConfidence) {
+    log(`Low confidence for ${candidate}: ${confidence ?? 'n/a'} < ${cfg.confidenceThreshold}`);
+    detectedType = 'unknown';
+  }
+
+  manifest.docType = detectedType;
+  manifest.classifierModel = model;
+  manifest.stages.classify = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    model,
+    resolution,
+    pages: pages.map((p) => p.index),
+    ...callStats(answer),
+    docType: detectedType,
+    candidate,
+    confidence,
+    threshold: cfg.confidenceThreshold,
+    lowConfidence,
+    alternatives,
+    rawResponse: answer.text
+  };
+
+  log(`Result: ${detectedType}${confidence !== null ? ` (${confidence})` : ''}`);
+}
+
+export const stage = {
+  name: 'classify',
+  scope: 'document',
+  requires: ['manifest:stages.rasterize.finishedAt'],
+  produces: ['manifest:stages.classify.finishedAt'],
+  // Классифицируем по одному, чтобы не перегружать GPU
+  concurrency: () => 1,
+  hashConfig: ['classify', 'vlm.model'],
+  // Промпт строится из описаний всех docTypes; тип, заданный человеком или при загрузке, важнее модели
+  // (ключ preset только при заданном типе — хэш остальных документов не меняется)
+  hashInputs: async (doc) => {
+    const preset = doc.manifest.humanReview?.docType ?? doc.manifest.requestedDocType;
+    return {
+      docTypes: [...(await loadDocTypes()).values()].map(describeDocType),
+      ...(preset ? { preset } : {})
+    };
+  },
+  run: classifyDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['classify'], ...forceOptions() }).catch((err) => {
+    console.error('[classify] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,163 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadDocTypes, resolvePath } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { loadOrCreateManifest, updateManifest } from '../lib/manifest.js';
+import { normalizeFields } from '../lib/normalization.js';
+import { compareDocument, aggregate, renderMarkdown, formatPercent } from '../lib/evaluation.js';
+import { naturalSort } from '../lib/staging.js';
+import { EXTRACTION_FILE } from './extract.js';
+
+const DEFAULTS = {
+  groundTruthDir: './test_suite',
+  reportDir: '_evaluate'
+};
+
+export function evaluateConfig(config) {
+  return {
+    ...DEFAULTS,
+    groundTruthDir: config.paths?.testSuite ?? DEFAULTS.groundTruthDir,
+    ...config.evaluate
+  };
+}
+
+async function listJsonFiles(dir) {
+  const out = [];
+  for (const e of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) out.push(...await listJsonFiles(full));
+    else if (e.isFile() && e.name.endsWith('.json')) out.push(full);
+  }
+  return out;
+}
+
+/**
+ * Эталоны: test_suite/**\/<docId>.json → { docId, docType, fields }.
+ * docId берётся из файла или из имени файла.
+ */
+export async function loadGroundTruth(dir) {
+  if (!await fs.pathExists(dir)) return [];
+
+  const items = [];
+  for (const file of await listJsonFiles(dir)) {
+    const gt = await fs.readJson(file);
+    items.push({
+      docId: gt.docId ?? path.basename(file, '.json'),
+      docType: gt.docType,
+      fields: gt.fields ?? {},
+      file: path.relative(dir, file).replaceAll('\\', '/')
+    });
+  }
+  return items.sort((a, b) => naturalSort(a.docId, b.docId));
+}
+
+/**
+ * Нормализованные значения только для ключей эталона (без подстановки default).
+ */
+function normalizeOnly(fields, docType) {
+  const normalized = docType ? normalizeFields(fields, docType).fields : fields;
+  return Object.fromEntries(Object.keys(fields).map((id) => [id, normalized[id] ?? null]));
+}
+
+/**
+ * Сравнивает staging с эталонами. Возвращает полный отчёт (без записи на диск).
+ */
+export async function evaluateStaging(stagingDir, groundTruth, cfg = {}) {
+  const docTypes = await loadDocTypes();
+  const documents = [];
+
+  for (const gt of groundTruth) {
+    const docDir = path.join(stagingDir, gt.docId);
+    const docType = docTypes.get(gt.docType);
+    const extractionPath = path.join(docDir, EXTRACTION_FILE);
+
+    const manifest = await fs.pathExists(docDir) ? await loadOrCreateManifest(docDir, gt.docId) : null;
+    const extraction = await fs.pathExists(extractionPath) ? await fs.readJson(extractionPath) : null;
+
+    const expected = normalizeOnly(gt.fields, docType);
+    const actual = extraction ? normalizeOnly(extraction.fields ?? {}, docType) : {};
+    const result = compareDocument(expected, actual, docType, cfg);
+
+    documents.push({
+      docId: gt.docId,
+      groundTruth: gt.file,
+      expectedDocType: gt.docType,
+      actualDocType: manifest?.docType ?? null,
+      classificationCorrect: manifest?.docType === gt.docType,
+      missing: !extraction,
+      ...result
+    });
+  }
+
+  return {
+    createdAt: new Date().toISOString(),
+    documents,
+    metrics: aggregate(documents)
+  };
+}
+
+async function runEvaluate({ config, stagingDir, log }) {
+  const cfg = evaluateConfig(config);
+  const gtDir = resolvePath(cfg.groundTruthDir);
+
+  const groundTruth = await loadGroundTruth(gtDir);
+  if (groundTruth.length === 0) {
+    log(`No ground truth found in ${gtDir}`);
+    return { documents: [] };
+  }
+
+  log(`Ground truth: ${groundTruth.length} documents`);
+
+  const report = await evaluateStaging(stagingDir, groundTruth, cfg);
+
+  const reportDir = path.join(stagingDir, cfg.reportDir);
+  await fs.ensureDir(reportDir);
+  await fs.writeJson(path.join(reportDir, 'evaluation.json'), report, { spaces: 2 });
+  await fs.writeFile(path.join(reportDir, 'evaluation.md'), renderMarkdown(report));
+
+  const documents = [];
+  for (const d of report.documents) {
+    const docDir = path.join(stagingDir, d.docId);
+    if (d.missing || !await fs.pathExists(docDir)) {
+      documents.push({ docId: d.docId, status: 'blocked', error: `missing ${EXTRACTION_FILE}` });
+      continue;
+    }
+
+    await updateManifest(docDir, d.docId, (manifest) => {
+      manifest.stages.evaluate = {
+        finishedAt: report.createdAt,
+        groundTruth: d.groundTruth,
+        classificationCorrect: d.classificationCorrect,
+        total: d.total,
+        correct: d.correct,
+        accuracy: d.accuracy
+      };
+    });
+    documents.push({ docId: d.docId, status: 'done' });
+  }
+
+  const { overall, classification } = report.metrics;
+  log(`Field accuracy: ${formatPercent(overall.accuracy)} (${overall.correct}/${overall.total}), `
+    + `precision: ${formatPercent(overall.precision)}, recall: ${formatPercent(overall.recall)}, `
+    + `classification: ${formatPercent(classification.accuracy)}`);
+  for (const [id, t] of Object.entries(report.metrics.byDocType)) {
+    log(`  ${id}: ${formatPercent(t.accuracy)} (${t.correct}/${t.total}), fully correct docs: ${t.fullyCorrect}/${t.documents}`);
+  }
+  log(`Wrote: ${path.join(reportDir, 'evaluation.json')}`);
+
+  return { documents };
+}
+
+export const stage = {
+  name: 'evaluate',
+  scope: 'batch',
+  run: runEvaluate
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['evaluate'], ...forceOptions() }).catch((err) => {
+    console.error('[evaluate] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
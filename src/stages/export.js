@@ -0,0 +1,333 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { loadDocTypes, resolvePath } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { activePages, isSuperseded, loadOrCreateManifest, updateManifest, writeJsonAtomic } from '../lib/manifest.js';
+import { highestResolution } from '../lib/resolutions.js';
+import { listStagingDocIds, belongsTo, naturalSort } from '../lib/staging.js';
+import { sha256Json } from '../lib/hash.js';
+import { allocateFileName, fileNameBase, renderTemplate, sanitizeFileName } from '../lib/fileNames.js';
+import { buildTables, toCsv, toXlsxSheets } from '../lib/tables.js';
+import { createXlsx } from '../lib/xlsx.js';
+import { EXTRACTION_FILE } from './extract.js';
+import { NORMALIZED_FILE } from './normalize.js';
+import { VALIDATION_FILE } from './validate.js';
+
+const DEFAULTS = {
+  outputDir: './output',
+  resultsFile: 'results.json',
+  // Шаблон имени, если у docType нет export.fileName
+  fileName: '{docType}_{docId}',
+  maxNameLength: 120,
+  // true — выгружать только документы, прошедшие валидацию
+  onlyValid: false,
+  // Таблицы по docType: <docTypeId>.csv и один results.xlsx с листом на каждый docType
+  tables: {
+    formats: ['csv', 'xlsx'],
+    delimiter: ';',
+    bom: true,
+    xlsxFile: 'results.xlsx'
+  }
+};
+
+export function exportConfig(config) {
+  return {
+    ...DEFAULTS,
+    outputDir: config.paths?.output ?? DEFAULTS.outputDir,
+    ...config.export,
+    tables: { ...DEFAULTS.tables, ...config.export?.tables }
+  };
+}
+
+const readJsonIfExists = async (p) => (await fs.pathExists(p) ? fs.readJson(p) : null);
+
+/**
+ * Готовые к выгрузке артефакты документа: извлечение + валидация (и нормализация, если была).
+ */
+async function loadResults(docDir) {
+  const [extraction, normalized, validation] = await Promise.all([
+    readJsonIfExists(path.join(docDir, EXTRACTION_FILE)),
+    readJsonIfExists(path.join(docDir, NORMALIZED_FILE)),
+    readJsonIfExists(path.join(docDir, VALIDATION_FILE))
+  ]);
+  if (!extraction || !validation) return null;
+  return { extraction, normalized, validation };
+}
+
+/**
+ * Откуда страница: файл из incoming и страница в нём. Для под-документов segment/splitter
+ * идём по цепочке родителей; у вырезанного сплиттером куска добавляется crop (bbox в растре родителя).
+ */
+async function pageOrigin(manifest, page, loadParent) {
+  if (page.source) return { file: page.source.file, sourcePage: page.source.page };
+
+  const parent = manifest.parent;
+  if (!parent) return { file: null, sourcePage: page.index };
+
+  const parentManifest = await loadParent(parent.docId);
+  const parentIndex = page.sourcePage ?? parent.page;
+  const parentPage = parentManifest?.pages.find((p) => p.index === parentIndex);
+  const origin = parentPage
+    ? await pageOrigin(parentManifest, parentPage, loadParent)
+    : { file: null, sourcePage: parentIndex };
+  return parent.bbox ? { ...origin, crop: parent.bbox } : origin;
+}
+
+/**
+ * PDF документа: собранный PDF (без страниц, ушедших в под-документы),
+ * а если его нет (кусок от сплиттера) — из самого крупного растра.
+ */
+async function documentPdf(docDir, manifest) {
+  const pages = activePages(manifest);
+  const pdfPath = path.join(docDir, manifest.input.assembledPdf ?? 'input/document.pdf');
+
+  if (await fs.pathExists(pdfPath)) {
+    const bytes = await fs.readFile(pdfPath);
+    if (pages.length === manifest.pages.length) return bytes;
+
+    const src = await PDFDocument.load(bytes, { updateMetadata: false });
+    const out = await PDFDocument.create({ updateMetadata: false });
+    const copied = await out.copyPages(src, pages.map((p) => p.index - 1));
+    copied.forEach((p) => out.addPage(p));
+    return Buffer.from(await out.save());
+  }
+
+  const res = highestResolution(manifest, pages);
+  if (!res) throw new Error('No input PDF and no rasterized pages to build it from');
+
+  const out = await PDFDocument.create({ updateMetadata: false });
+  for (const page of pages) {
+    if (!page[res.folder]) continue;
+    const { data, info } = await sharp(path.join(docDir, res.folder, page[res.folder]))
+      .jpeg({ quality: 90 })
+      .toBuffer({ resolveWithObject: true });
+    const image = await out.embedJpg(data);
+    const scale = 72 / res.dpi;
+    out.addPage([info.width * scale, info.height * scale])
+      .drawImage(image, { x: 0, y: 0, width: info.width * scale, height: info.height * scale });
+  }
+  return Buffer.from(await out.save());
+}
+
+/**
+ * CSV/XLSX по всем документам results.json. Файл, открытый в Excel, на Windows не перезаписать —
+ * это не повод ронять выгрузку, только предупреждение.
+ */
+async function writeTables(outputDir, documents, docTypes, cfg, log) {
+  const formats = new Set(cfg.formats ?? []);
+  const tables = buildTables(documents, docTypes);
+  if (tables.length === 0 || formats.size === 0) return;
+
+  const files = [];
+  if (formats.has('csv')) {
+    for (const table of tables) {
+      files.push([`${table.docTypeId}.csv`, toCsv(table, { delimiter: cfg.delimiter, bom: cfg.bom })]);
+    }
+  }
+  if (formats.has('xlsx')) files.push([cfg.xlsxFile, createXlsx(toXlsxSheets(tables))]);
+
+  for (const [name, data] of files) {
+    try {
+      await fs.writeFile(path.join(outputDir, name), data);
+      log(`Wrote: ${name}`);
+    } catch (err) {
+      log(`Warning: cannot write ${name}: ${err?.message ?? err}`);
+    }
+  }
+}
+
+/**
+ * Убирает из results.json документ, который больше не активен (удалён из staging
+ * или разобран на под-документы), вместе с его PDF в output.
+ */
+async function dropEntry(entries, docId, outputDir, taken, log) {
+  const entry = entries.get(docId);
+  if (!entry) return;
+  if (entry.file) {
+    await fs.remove(path.join(outputDir, entry.file));
+    taken.delete(entry.file.toLowerCase());
+  }
+  entries.delete(docId);
+  log(`${docId}: no longer active, removed ${entry.file ?? 'entry'}`);
+}
+
+function templateValues(docId, docType, fields, now) {
+  return {
+    ...fields,
+    docId,
+    docType: docType?.name ?? docType?.id ?? '',
+    docTypeId: docType?.id ?? '',
+    date: now.slice(0, 10)
+  };
+}
+
+async function runExport({ config, stagingDir, log, docs, isForced = () => false }) {
+  const cfg = exportConfig(config);
+  const outputDir = resolvePath(cfg.outputDir);
+  const resultsPath = path.join(outputDir, cfg.resultsFile);
+  await fs.ensureDir(outputDir);
+
+  const docTypes = await loadDocTypes();
+  const previous = (await readJsonIfExists(resultsPath))?.documents ?? [];
+  const entries = new Map(previous.map((d) => [d.docId, d]));
+
+  // Имена, уже занятые в output (в том числе чужими файлами — их не перезаписываем)
+  const taken = new Set((await fs.readdir(outputDir)).map((n) => n.toLowerCase()));
+
+  const manifests = new Map();
+  const loadParent = async (docId) => {
+    if (!manifests.has(docId)) {
+      const dir = path.join(stagingDir, docId);
+      manifests.set(docId, await fs.pathExists(dir) ? await loadOrCreateManifest(dir, docId) : null);
+    }
+    return manifests.get(docId);
+  };
+
+  const stagingIds = await listStagingDocIds(stagingDir);
+  for (const docId of [...entries.keys()]) {
+    if (!stagingIds.includes(docId)) await dropEntry(entries, docId, outputDir, taken, log);
+  }
+
+  const docIds = stagingIds.filter((id) => !docs || belongsTo(id, docs));
+  const documents = [];
+  let exported = 0;
+
+  for (const docId of docIds) {
+    const docDir = path.join(stagingDir, docId);
+    try {
+      const manifest = await loadParent(docId);
+      if (isSuperseded(manifest)) {
+        await dropEntry(entries, docId, outputDir, taken, log);
+        continue;
+      }
+
+      // Исправления из интерфейса проверки (manifest.humanReview) — итоговый результат документа
+      const human = manifest.humanReview?.fields ? manifest.humanReview : null;
+      const results = await loadResults(docDir);
+      if (!results && !human) {
+        documents.push({
+          docId,
+          status: 'blocked',
+          error: manifest.review?.required ? 'needs human review' : `missing ${VALIDATION_FILE}`
+        });
+        continue;
+      }
+
+      const { extraction = null, normalized = null } = results ?? {};
+      const validation = human?.validation ?? results?.validation;
+      if (cfg.onlyValid && !validation.valid) {
+        documents.push({ docId, status: 'skipped', error: 'not valid' });
+        continue;
+      }
+
+      const docType = docTypes.get(human?.docType ?? extraction?.docType);
+      const fields = human?.fields ?? normalized?.fields ?? extraction?.fields ?? {};
+      const template = docType?.export?.fileName ?? cfg.fileName;
+      const prev = entries.get(docId);
+      const now = new Date().toISOString();
+
+      const hash = sha256Json({
+        fields,
+        extracted: extraction?.fields ?? null,
+        provenance: extraction?.provenance ?? null,
+        humanReview: human?.status ?? null,
+        validation,
+        template,
+        maxNameLength: cfg.maxNameLength,
+        pdf: manifest.input.pdfHash ?? null,
+        pages: activePages(manifest).map((p) => p.index)
+      });
+      if (!isForced(docId) && prev && manifest.stages.export?.hash === hash
+        && await fs.pathExists(path.join(outputDir, prev.file))) {
+        documents.push({ docId, status: 'skipped' });
+        continue;
+      }
+
+      const ext = '.pdf';
+      const base = sanitizeFileName(renderTemplate(template, templateValues(docId, docType, fields, now)), {
+        maxLength: cfg.maxNameLength
+      }) || sanitizeFileName(docId, { maxLength: cfg.maxNameLength });
+
+      // Имя не изменилось — оставляем прежний файл (с его суффиксом), иначе занимаем новое
+      let file = prev?.file;
+      if (!file || fileNameBase(file, ext) !== base) {
+        if (file) {
+          await fs.remove(path.join(outputDir, file));
+          taken.delete(file.toLowerCase());
+        }
+        file = allocateFileName(base, ext, taken);
+      }
+
+      await fs.writeFile(path.join(outputDir, file), await documentPdf(docDir, manifest));
+
+      const pages = [];
+      for (const page of activePages(manifest)) {
+        pages.push({ page: page.index, ...await pageOrigin(manifest, page, loadParent) });
+      }
+
+      entries.set(docId, {
+        docId,
+        file,
+        docType: docType?.id ?? human?.docType ?? extraction?.docType,
+        docTypeName: docType?.name ?? null,
+        exportedAt: now,
+        valid: validation.valid,
+        errorCount: validation.errorCount,
+        review: manifest.review?.required === true,
+        ...(human
+          ? { humanReview: { status: human.status, reviewer: human.reviewer, reviewedAt: human.reviewedAt } }
+          : {}),
+        ...(manifest.duplicateOf ? { duplicateOf: manifest.duplicateOf } : {}),
+        fields,
+        extracted: extraction?.fields ?? {},
+        ...(extraction?.provenance ? { provenance: extraction.provenance } : {}),
+        validation: {
+          fields: validation.fields,
+          crossChecks: validation.crossChecks
+        },
+        source: {
+          files: [...new Set(pages.map((p) => p.file).filter(Boolean))],
+          pages,
+          ...(manifest.parent ? { parent: manifest.parent.docId } : {})
+        }
+      });
+
+      await updateManifest(docDir, docId, (m) => {
+        m.stages.export = { finishedAt: now, file, hash };
+      });
+      documents.push({ docId, status: 'done' });
+      exported++;
+      log(`${docId} → ${file}`);
+    } catch (err) {
+      documents.push({ docId, status: 'failed', error: err?.message ?? String(err) });
+      log(`Failed: ${docId}: ${err?.message ?? err}`);
+    }
+  }
+
+  const all = [...entries.values()].sort((a, b) => naturalSort(a.docId, b.docId));
+  await writeJsonAtomic(resultsPath, {
+    updatedAt: new Date().toISOString(),
+    documents: all
+  });
+
+  log(`Exported ${exported} document(s) to ${outputDir}`);
+  log(`Wrote: ${resultsPath}`);
+  await writeTables(outputDir, all, docTypes, cfg.tables, log);
+  return { documents };
+}
+
+export const stage = {
+  name: 'export',
+  scope: 'batch',
+  run: runExport
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['export'], ...forceOptions() }).catch((err) => {
+    console.error('[export] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
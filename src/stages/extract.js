@@ -0,0 +1,211 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { modelPages } from '../lib/manifest.js';
+import { getFieldDefs, buildExtractionPrompt, docTypeHashInputs } from '../lib/docTypes.js';
+import { callStats, chatJson } from '../lib/vlm.js';
+import { resolveProvenance, splitProvenance } from '../lib/provenance.js';
+import { preprocessedFolder } from './preprocess.js';
+
+export const EXTRACTION_FILE = 'extraction.json';
+
+const DEFAULTS = {
+  resolution: 'r300',
+  // Брать улучшенные страницы (r300_pp), если стадия preprocess отработала
+  usePreprocessed: true,
+  maxPages: 4,
+  temperature: 0.1,
+  // Страница, рамка (bbox в пикселях r300) и уверенность для каждого поля → extraction.provenance
+  provenance: true,
+  // Текст промпта вместо docType.extraction.prompt: строка для всех типов или { "<docType>": "..." }
+  prompt: null
+};
+
+export function extractConfig(config) {
+  return { ...DEFAULTS, ...config.extract };
+}
+
+/**
+ * Вариант промпта из extract.prompt для docType (null — промпт из конфига docType).
+ */
+function promptOverride(prompt, docType) {
+  if (typeof prompt === 'string') return prompt;
+  return prompt?.[docType.id] ?? null;
+}
+
+export function promptHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Вложенные объекты ответа → плоские ключи: { husband: { surname } } → husband_surname.
+ */
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const flatKey = prefix ? `${prefix}_${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, flatKey, out);
+    } else {
+      out[flatKey] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Разобранный ответ модели → значения полей docType (отсутствующие — null).
+ * Обёртки { value, page, bbox, confidence } разворачиваются в значения.
+ */
+export function mapToFields(parsed, fieldDefs) {
+  parsed = splitProvenance(parsed).values;
+  const flat = flatten(parsed);
+  if (fieldDefs.length === 0) return flat;
+
+  const fields = {};
+  for (const f of fieldDefs) {
+    fields[f.id] = parsed[f.id] !== undefined && typeof parsed[f.id] !== 'object'
+      ? parsed[f.id]
+      : (flat[f.id] ?? null);
+  }
+  return fields;
+}
+
+export function extractionPages(manifest, resolution, maxPages) {
+  return modelPages(manifest).filter((p) => p[resolution]).slice(0, maxPages);
+}
+
+/**
+ * Папка растра для извлечения: выбранная по DPI docType (rasterize-target), иначе extract.resolution;
+ * улучшенная копия (r300_pp), если стадия preprocess отработала.
+ */
+export function extractionResolution(manifest, config) {
+  const cfg = extractConfig(config);
+  const pages = modelPages(manifest);
+
+  const target = manifest.stages['rasterize-target']?.folder;
+  const base = target && pages.some((p) => p[target]) ? target : cfg.resolution;
+
+  const enhanced = preprocessedFolder(base, config);
+  return cfg.usePreprocessed && pages.some((p) => p[enhanced]) ? enhanced : base;
+}
+
+/**
+ * Один запрос к модели по страницам из папки resolution → поля docType и их происхождение.
+ * Ничего не пишет: используется стадией extract и перебором режимов (modes).
+ */
+export async function extractFields(doc, docType, resolution, config) {
+  const cfg = extractConfig(config);
+
+  const pages = extractionPages(doc.manifest, resolution, cfg.maxPages);
+  if (pages.length === 0) {
+    throw new Error(`No ${resolution} pages to extract from`);
+  }
+
+  const prompt = buildExtractionPrompt(docType, {
+    provenance: cfg.provenance,
+    prompt: promptOverride(cfg.prompt, docType)
+  });
+  const model = cfg.model ?? config.vlm.model;
+  const images = pages.map((p) => path.join(doc.docDir, resolution, p[resolution]));
+
+  const answer = await chatJson(config.vlm, { prompt, images, model, temperature: cfg.temperature });
+
+  const parsed = answer.json;
+  const error = !parsed || typeof parsed !== 'object' || Array.isArray(parsed)
+    ? 'Model response is not a JSON object'
+    : null;
+
+  const fieldDefs = getFieldDefs(docType);
+  const fields = error ? null : mapToFields(parsed, fieldDefs);
+  const provenance = fields && cfg.provenance
+    ? await resolveProvenance(doc, { pages, resolution, fields, hints: splitProvenance(parsed).hints, fieldDefs })
+    : null;
+
+  return {
+    model,
+    resolution,
+    pages: pages.map((p) => p.index),
+    promptHash: promptHash(prompt),
+    answer,
+    error,
+    raw: error ? null : parsed,
+    fields,
+    provenance
+  };
+}
+
+async function extractDocument(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+  const cfg = extractConfig(config);
+
+  const docType = (await loadDocTypes()).get(manifest.docType);
+  if (!docType) {
+    return { status: 'skipped', reason: `docType "${manifest.docType}" is not configured` };
+  }
+
+  if (modelPages(manifest).length === 0 && manifest.review?.required) {
+    return { status: 'skipped', reason: 'needs human review' };
+  }
+
+  const resolution = extractionResolution(manifest, config);
+  const model = cfg.model ?? config.vlm.model;
+
+  manifest.stages.extract = {
+    startedAt: new Date().toISOString(),
+    model,
+    docType: docType.id
+  };
+
+  log(`Extracting ${docType.id} from ${resolution}...`);
+
+  const result = await extractFields(doc, docType, resolution, config);
+  Object.assign(manifest.stages.extract, {
+    resolution,
+    pages: result.pages,
+    promptHash: result.promptHash,
+    ...callStats(result.answer),
+    attempts: result.answer.attempts,
+    rawResponse: result.answer.text
+  });
+
+  if (result.error) throw new Error(result.error);
+  const { fields, raw, provenance } = result;
+
+  // fields — по-прежнему только значения; где и насколько уверенно найдено — отдельно в provenance
+  await fs.writeJson(path.join(docDir, EXTRACTION_FILE), {
+    docId: doc.docId,
+    docType: docType.id,
+    model,
+    createdAt: new Date().toISOString(),
+    fields,
+    ...(provenance ? { provenance } : {}),
+    raw
+  }, { spaces: 2 });
+
+  manifest.stages.extract.finishedAt = new Date().toISOString();
+  manifest.stages.extract.output = EXTRACTION_FILE;
+
+  const filled = Object.values(fields).filter((v) => v !== null && v !== '').length;
+  log(`Done in ${manifest.stages.extract.durationMs} ms. Fields: ${filled}/${Object.keys(fields).length}`);
+}
+
+export const stage = {
+  name: 'extract',
+  scope: 'document',
+  requires: ['manifest:docType'],
+  produces: [EXTRACTION_FILE, 'manifest:stages.extract.finishedAt'],
+  concurrency: () => 1,
+  hashConfig: ['extract', 'vlm.model'],
+  hashInputs: docTypeHashInputs,
+  run: extractDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['extract'], ...forceOptions() }).catch((err) => {
+    console.error('[extract] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
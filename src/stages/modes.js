@@ -0,0 +1,172 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { normalizeFields } from '../lib/normalization.js';
+import { validateExtraction } from '../lib/validation.js';
+import { callStats } from '../lib/vlm.js';
+import { docTypeHashInputs } from '../lib/docTypes.js';
+import { EXTRACTION_FILE, extractConfig, extractFields, extractionPages } from './extract.js';
+import { NORMALIZED_FILE, applyNormalization } from './normalize.js';
+import { VALIDATION_FILE, applyValidation } from './validate.js';
+import { analyzePage, preprocessConfig, renderPage } from './preprocess.js';
+import { findProfile, qualityConfig } from './quality.js';
+import { ensureDpi } from './rasterize.js';
+import { targetDpi } from './rasterize-target.js';
+
+/**
+ * Растр для режима: DPI извлечения документа, поднятый до profile.dpi (дорисовывается при необходимости).
+ */
+async function modeSource(doc, docType, profile, config) {
+  const dpi = Math.max(targetDpi(doc.manifest, docType, config), profile.dpi ?? 0);
+  const res = await ensureDpi(doc, dpi, config);
+  return res?.folder ?? extractConfig(config).resolution;
+}
+
+/**
+ * Папка страниц для режима: r300 + профиль "photo" → r300_m_photo.
+ * Профиль с preprocess: false извлекает из исходного растра.
+ */
+export function modeFolder(source, profile) {
+  return profile.preprocess === false ? source : `${source}_m_${profile.name}`;
+}
+
+async function prepareMode(doc, profile, source, config) {
+  const { docDir, manifest } = doc;
+  const folder = modeFolder(source, profile);
+  if (folder === source) return folder;
+
+  const cfg = preprocessConfig(config, profile.preprocess);
+  for (const page of extractionPages(manifest, source, extractConfig(config).maxPages)) {
+    // Ориентацию и наклон берём у стадии preprocess, чтобы не спрашивать VLM повторно
+    const transforms = page.preprocess
+      ? { rotation: page.preprocess.rotation ?? 0, skew: page.preprocess.skew ?? 0 }
+      : await analyzePage(docDir, page, [source], cfg, config);
+    const result = await renderPage(docDir, page, [source], transforms, cfg, () => folder);
+    // Обрезка режима нужна, чтобы пересчитать рамки полей обратно в r300 (provenance)
+    page.preprocess = { ...transforms, ...page.preprocess, crop: { ...page.preprocess?.crop, ...result.crop } };
+  }
+  return folder;
+}
+
+async function tryModes(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+
+  if (manifest.stages.validate?.valid) {
+    return { status: 'skipped', reason: 'valid' };
+  }
+
+  const extraction = await fs.readJson(path.join(docDir, EXTRACTION_FILE));
+  const docType = (await loadDocTypes()).get(extraction.docType);
+  if (!docType) {
+    return { status: 'skipped', reason: `docType "${extraction.docType}" is not configured` };
+  }
+
+  const used = manifest.stages.quality?.profile;
+  const names = (qualityConfig(config).tryModes?.profiles ?? []).filter((name) => name !== used);
+  if (names.length === 0) {
+    return { status: 'skipped', reason: 'no modes to try' };
+  }
+
+  const hasNormalized = await fs.pathExists(path.join(docDir, NORMALIZED_FILE));
+  const initial = await fs.readJson(path.join(docDir, VALIDATION_FILE));
+
+  const tried = [];
+  let best = null;
+  let bestErrorCount = initial.errorCount;
+
+  for (const name of names) {
+    const profile = findProfile(config, name);
+    const entry = { profile: name, startedAt: new Date().toISOString() };
+    tried.push(entry);
+
+    try {
+      const source = await modeSource(doc, docType, profile, config);
+      entry.resolution = await prepareMode(doc, profile, source, config);
+      const result = await extractFields(doc, docType, entry.resolution, config);
+      Object.assign(entry, callStats(result.answer));
+
+      if (result.error) {
+        entry.error = result.error;
+        continue;
+      }
+
+      const fields = hasNormalized ? normalizeFields(result.fields, docType).fields : result.fields;
+      const report = validateExtraction(fields, docType);
+      entry.errorCount = report.errorCount;
+      entry.valid = report.valid;
+
+      log(`Mode ${name} (${entry.resolution}): ${report.valid ? 'valid' : `${report.errorCount} error(s)`}`);
+
+      if (report.errorCount < bestErrorCount) {
+        best = { entry, result };
+        bestErrorCount = report.errorCount;
+      }
+      if (report.valid) break;
+    } catch (err) {
+      entry.error = err?.message ?? String(err);
+      log(`Mode ${name} failed: ${entry.error}`);
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+    }
+  }
+
+  if (best) {
+    const { entry, result } = best;
+    const next = {
+      docId: doc.docId,
+      docType: docType.id,
+      model: result.model,
+      createdAt: new Date().toISOString(),
+      mode: entry.profile,
+      fields: result.fields,
+      ...(result.provenance ? { provenance: result.provenance } : {}),
+      raw: result.raw
+    };
+    await fs.writeJson(path.join(docDir, EXTRACTION_FILE), next, { spaces: 2 });
+
+    // Retry и последующие стадии должны смотреть на те же страницы, что и выбранный режим
+    Object.assign(manifest.stages.extract, {
+      model: result.model,
+      resolution: result.resolution,
+      pages: result.pages,
+      promptHash: result.promptHash,
+      mode: entry.profile
+    });
+
+    if (hasNormalized) await applyNormalization(doc, next, docType);
+    await applyValidation(doc, next, docType);
+  }
+
+  manifest.stages.modes = {
+    finishedAt: new Date().toISOString(),
+    initialProfile: used ?? null,
+    initialErrorCount: initial.errorCount,
+    tried,
+    selected: best?.entry.profile ?? used ?? null,
+    finalErrorCount: bestErrorCount
+  };
+
+  log(best
+    ? `Selected ${best.entry.profile}: ${initial.errorCount} → ${bestErrorCount} error(s)`
+    : `No mode beat the current extraction (${initial.errorCount} error(s))`);
+}
+
+export const stage = {
+  name: 'modes',
+  scope: 'document',
+  requires: [VALIDATION_FILE],
+  produces: ['manifest:stages.modes.finishedAt'],
+  concurrency: () => 1,
+  hashConfig: ['quality', 'extract', 'vlm.model'],
+  hashInputs: docTypeHashInputs,
+  run: tryModes
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['modes'], ...forceOptions() }).catch((err) => {
+    console.error('[modes] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
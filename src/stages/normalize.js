@@ -0,0 +1,68 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { normalizeFields } from '../lib/normalization.js';
+import { docTypeHashInputs } from '../lib/docTypes.js';
+import { EXTRACTION_FILE } from './extract.js';
+
+export const NORMALIZED_FILE = 'normalized.json';
+
+/**
+ * Нормализует поля извлечения, пишет normalized.json и сводку в манифест.
+ * Используется и стадией normalize, и повторными запросами (retry).
+ */
+export async function applyNormalization(doc, extraction, docType) {
+  const { docDir, manifest } = doc;
+
+  const startedAt = new Date().toISOString();
+  const result = normalizeFields(extraction.fields, docType);
+
+  await fs.writeJson(path.join(docDir, NORMALIZED_FILE), {
+    docId: doc.docId,
+    docType: docType.id,
+    normalizedAt: new Date().toISOString(),
+    ...result
+  }, { spaces: 2 });
+
+  manifest.stages.normalize = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    output: NORMALIZED_FILE,
+    normalizedFields: Object.keys(result.applied),
+    warnings: result.warnings
+  };
+
+  return result;
+}
+
+async function normalizeDocument(doc, { log }) {
+  const extraction = await fs.readJson(path.join(doc.docDir, EXTRACTION_FILE));
+  const docType = (await loadDocTypes()).get(extraction.docType);
+  if (!docType) {
+    return { status: 'skipped', reason: `docType "${extraction.docType}" is not configured` };
+  }
+
+  const result = await applyNormalization(doc, extraction, docType);
+
+  for (const w of result.warnings) log(`Warning: ${w}`);
+  log(`Done. Normalized fields: ${Object.keys(result.applied).length}`);
+}
+
+export const stage = {
+  name: 'normalize',
+  scope: 'document',
+  requires: [EXTRACTION_FILE],
+  produces: [NORMALIZED_FILE, 'manifest:stages.normalize.finishedAt'],
+  concurrency: () => 4,
+  hashInputs: docTypeHashInputs,
+  run: normalizeDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['normalize'], ...forceOptions() }).catch((err) => {
+    console.error('[normalize] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
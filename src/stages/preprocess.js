@@ -0,0 +1,231 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { modelPages } from '../lib/manifest.js';
+import { estimateSkew } from '../lib/imageOps.js';
+import { callStats, chatJson } from '../lib/vlm.js';
+
+const DEFAULTS = {
+  sources: ['r100', 'r300'],
+  suffix: '_pp',
+  orientation: true,
+  orientationResolution: 'r100',
+  deskew: true,
+  maxSkewAngle: 10,
+  // Меньше этого угла не поворачиваем: лишняя интерполяция портит ровные сканы
+  minSkewAngle: 0.2,
+  // Угол применяем, только если профиль строк при нём резче, чем при 0°, хотя бы на эту долю (см. estimateSkew)
+  minSkewGain: 0.1,
+  cropToContent: true,
+  trimThreshold: 30,
+  contrast: true,
+  denoise: true,
+  quality: 90,
+  lossless: true
+};
+
+const ORIENTATION_PROMPT = 'Посмотри на документ. На сколько градусов по часовой стрелке нужно повернуть изображение, '
+  + 'чтобы текст читался нормально (сверху вниз, слева направо)? '
+  + 'Верни строго JSON без пояснений: {"rotation": 0 | 90 | 180 | 270}';
+
+/**
+ * overrides — настройки профиля качества (quality.profiles[].preprocess).
+ */
+export function preprocessConfig(config, overrides) {
+  return { ...DEFAULTS, ...config.preprocess, ...overrides };
+}
+
+/**
+ * Папка улучшенных страниц для исходной папки пирамиды: r300 → r300_pp.
+ */
+export function preprocessedFolder(folder, config) {
+  return `${folder}${preprocessConfig(config).suffix}`;
+}
+
+function toRightAngle(value) {
+  const n = Math.round(Number(value) / 90) * 90;
+  return Number.isFinite(n) ? ((n % 360) + 360) % 360 : 0;
+}
+
+async function detectOrientation(imagePath, config, cfg) {
+  const answer = await chatJson(config.vlm, { prompt: ORIENTATION_PROMPT, images: [imagePath], model: cfg.model });
+  return {
+    rotation: toRightAngle(answer.json?.rotation ?? 0),
+    stats: callStats(answer)
+  };
+}
+
+async function enhanceImage(srcPath, outPath, { rotation, skew }, cfg) {
+  const ops = [];
+  const angle = rotation + (cfg.deskew ? skew : 0);
+
+  let buffer = await fs.readFile(srcPath);
+
+  if (angle !== 0) {
+    buffer = await sharp(buffer).rotate(angle, { background: '#ffffff' }).png().toBuffer();
+    ops.push(`rotate:${angle}`);
+  }
+
+  let crop = null;
+  if (cfg.cropToContent) {
+    try {
+      const { data, info } = await sharp(buffer)
+        .trim({ background: '#ffffff', threshold: cfg.trimThreshold })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+      crop = {
+        left: -(info.trimOffsetLeft ?? 0),
+        top: -(info.trimOffsetTop ?? 0),
+        width: info.width,
+        height: info.height
+      };
+      buffer = data;
+      ops.push('crop');
+    } catch {
+      // пустая страница — обрезать нечего
+    }
+  }
+
+  let pipeline = sharp(buffer);
+  if (cfg.denoise) {
+    pipeline = pipeline.median(3);
+    ops.push('denoise');
+  }
+  if (cfg.contrast) {
+    pipeline = pipeline.normalise();
+    ops.push('contrast');
+  }
+
+  await fs.ensureDir(path.dirname(outPath));
+  await pipeline.webp({ quality: cfg.quality, lossless: !!cfg.lossless }).toFile(outPath);
+
+  return { ops, crop };
+}
+
+/**
+ * Поворот страницы: ориентация 0/90/180/270 от VLM + малый наклон по проекционному профилю.
+ */
+export async function analyzePage(docDir, page, sources, cfg, config) {
+  const transforms = { rotation: 0, skew: 0 };
+
+  // sources — папки, которые есть хотя бы у одной страницы документа; у этой страницы может не быть части из них
+  const available = sources.filter((folder) => page[folder]);
+  if (available.length === 0) throw new Error(`Page ${page.index}: no raster in ${sources.join(', ')}`);
+
+  const orientationFolder = page[cfg.orientationResolution] ? cfg.orientationResolution : available[0];
+  if (cfg.orientation) {
+    const o = await detectOrientation(path.join(docDir, orientationFolder, page[orientationFolder]), config, cfg);
+    transforms.rotation = o.rotation;
+    transforms.orientation = o.stats;
+  }
+
+  // Наклон считаем по самому подробному растру, уже повёрнутому на 0/90/180/270
+  if (cfg.deskew) {
+    const analysisFolder = available[available.length - 1];
+    let input = await fs.readFile(path.join(docDir, analysisFolder, page[analysisFolder]));
+    if (transforms.rotation) input = await sharp(input).rotate(transforms.rotation).png().toBuffer();
+
+    const skew = await estimateSkew(input, { maxAngle: cfg.maxSkewAngle, minGain: cfg.minSkewGain });
+    transforms.skew = Math.abs(skew) >= cfg.minSkewAngle ? skew : 0;
+    transforms.measuredSkew = skew;
+  }
+
+  return transforms;
+}
+
+/**
+ * Пишет улучшенные копии страницы в папки outFolder(source) и отмечает их в page.
+ */
+export async function renderPage(docDir, page, sources, transforms, cfg, outFolder) {
+  const crop = {};
+  let ops = [];
+  for (const folder of sources) {
+    if (!page[folder]) continue;
+    const out = outFolder(folder);
+    const result = await enhanceImage(
+      path.join(docDir, folder, page[folder]),
+      path.join(docDir, out, page[folder]),
+      transforms,
+      cfg
+    );
+    page[out] = page[folder];
+    crop[out] = result.crop;
+    ops = result.ops;
+  }
+  return { crop, ops };
+}
+
+/**
+ * Убирает улучшенные копии прошлого прогона (папки и ссылки в pages), чтобы extract не взял устаревшие.
+ */
+async function removePreprocessed(docDir, manifest) {
+  const folders = (manifest.stages.preprocess?.resolutions ?? []).map((r) => r.folder);
+  for (const folder of folders) await fs.remove(path.join(docDir, folder));
+  for (const page of manifest.pages ?? []) {
+    for (const folder of folders) delete page[folder];
+    delete page.preprocess;
+  }
+}
+
+async function preprocessDocument(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+  const cfg = preprocessConfig(config, manifest.stages.quality?.preprocess);
+
+  if (manifest.stages.quality?.preprocess === false) await removePreprocessed(docDir, manifest);
+
+  manifest.stages.preprocess = {
+    startedAt: new Date().toISOString(),
+    profile: manifest.stages.quality?.profile ?? null,
+    resolutions: []
+  };
+
+  if (manifest.stages.quality?.preprocess === false) {
+    return { status: 'skipped', reason: `profile ${manifest.stages.quality.profile} has no preprocessing` };
+  }
+
+  const pages = modelPages(manifest);
+  if (pages.length === 0 && manifest.review?.required) {
+    return { status: 'skipped', reason: 'needs human review' };
+  }
+
+  // Плюс растр извлечения, выбранный по docType (rasterize-target)
+  const target = manifest.stages['rasterize-target']?.folder;
+  const wanted = target && !cfg.sources.includes(target) ? [...cfg.sources, target] : cfg.sources;
+  const sources = wanted.filter((folder) => pages.some((p) => p[folder]));
+  if (sources.length === 0) throw new Error(`No source pages in ${cfg.sources.join(', ')}`);
+
+  for (const page of pages) {
+    const transforms = await analyzePage(docDir, page, sources, cfg, config);
+    const result = await renderPage(docDir, page, sources, transforms, cfg, (folder) => preprocessedFolder(folder, config));
+
+    page.preprocess = { ...transforms, ...result };
+    log(`Page ${page.index}: rotation=${transforms.rotation} skew=${transforms.skew} ops=${result.ops.join(',')}`);
+  }
+
+  const rasterRes = manifest.stages.rasterize?.resolutions ?? [];
+  manifest.stages.preprocess.resolutions = sources.map((folder) => ({
+    folder: preprocessedFolder(folder, config),
+    source: folder,
+    dpi: rasterRes.find((r) => r.folder === folder)?.dpi ?? null
+  }));
+  manifest.stages.preprocess.finishedAt = new Date().toISOString();
+}
+
+export const stage = {
+  name: 'preprocess',
+  scope: 'document',
+  requires: ['manifest:stages.rasterize.finishedAt'],
+  produces: ['manifest:stages.preprocess.finishedAt'],
+  concurrency: (config) => config.preprocess?.concurrency ?? 1,
+  hashConfig: ['preprocess', 'vlm.model'],
+  run: preprocessDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['preprocess'], ...forceOptions() }).catch((err) => {
+    console.error('[preprocess] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
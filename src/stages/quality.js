@@ -0,0 +1,139 @@
+import path from 'path';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { activePages, needsReview } from '../lib/manifest.js';
+import { measureQuality } from '../lib/imageOps.js';
+import { resolutionForDpi, routingDpi } from '../lib/resolutions.js';
+
+const DEFAULTS = {
+  // Папка растра для метрик; null — растр роутинга. Он есть и в eager, и в lazy режиме rasterize,
+  // так что метрики и пороги не зависят от режима и от того, дорисовал ли splitter DPI извлечения
+  resolution: null,
+  analysisWidth: 1000,
+  // Жёсткий порог: страница ниже него уходит на ручной разбор, а не в модель
+  review: {},
+  // Первый профиль, условия которого выполнены для всех страниц документа; последний — по умолчанию.
+  // Профиль с auto: false выбирается только перебором режимов (tryModes)
+  profiles: [{ name: 'standard' }],
+  // Имя профиля для всех документов вместо автовыбора (эксперименты, отладка)
+  profile: null,
+  // Профили для стадии modes (перебор режимов, пока извлечение не пройдёт валидацию)
+  tryModes: { profiles: [] }
+};
+
+export function qualityConfig(config) {
+  return { ...DEFAULTS, ...config.quality };
+}
+
+/**
+ * Условия вида { minBlur: 100, maxBrightness: 250 } → список нарушенных ('blur < 100').
+ */
+export function failedConditions(metrics, conditions = {}) {
+  const failed = [];
+  for (const [key, limit] of Object.entries(conditions)) {
+    const m = /^(min|max)(\w+)$/.exec(key);
+    if (!m) throw new Error(`Unknown quality condition "${key}"`);
+    const metric = m[2][0].toLowerCase() + m[2].slice(1);
+    const value = metrics[metric];
+    if (value == null) continue;
+    if (m[1] === 'min' && value < limit) failed.push(`${metric} < ${limit}`);
+    if (m[1] === 'max' && value > limit) failed.push(`${metric} > ${limit}`);
+  }
+  return failed;
+}
+
+/**
+ * Профиль предобработки для набора метрик страниц документа.
+ */
+export function selectProfile(pageMetrics, profiles) {
+  const candidates = (profiles ?? []).filter((p) => p.auto !== false);
+  if (candidates.length === 0) return null;
+  const matched = candidates.find((p) => pageMetrics.every((m) => failedConditions(m, p.when).length === 0));
+  return matched ?? candidates[candidates.length - 1];
+}
+
+/**
+ * Профиль по имени из quality.profiles (для стадии modes).
+ */
+export function findProfile(config, name) {
+  const profile = qualityConfig(config).profiles.find((p) => p.name === name);
+  if (!profile) throw new Error(`Quality profile "${name}" is not configured`);
+  return profile;
+}
+
+/**
+ * Разрешение источника — только DPI из метаданных изображения (assemble-input). У страниц PDF
+ * его нет: DPI растра задаём мы сами, и minDpi к ним не применяется (условие с null пропускается).
+ */
+function pageDpi(page) {
+  return page.sourceDpi ?? null;
+}
+
+async function scoreDocument(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+  const cfg = qualityConfig(config);
+
+  const startedAt = new Date().toISOString();
+  const pages = activePages(manifest);
+  const folder = cfg.resolution ?? resolutionForDpi(config, await routingDpi(config)).folder;
+
+  for (const page of pages) {
+    if (!page[folder]) throw new Error(`Page ${page.index}: no raster in ${folder}`);
+
+    const metrics = await measureQuality(path.join(docDir, folder, page[folder]), { width: cfg.analysisWidth });
+    metrics.dpi = pageDpi(page);
+
+    const issues = failedConditions(metrics, cfg.review);
+    page.quality = { ...metrics, source: folder, issues, review: issues.length > 0 };
+
+    log(`Page ${page.index}: blur=${metrics.blur} contrast=${metrics.contrast} `
+      + `brightness=${metrics.brightness} fill=${metrics.fillRatio}${issues.length ? ` → review (${issues.join(', ')})` : ''}`);
+  }
+
+  const usable = pages.filter((p) => !needsReview(p));
+  const reviewPages = pages.filter(needsReview).map((p) => p.index);
+  const profile = cfg.profile
+    ? findProfile(config, cfg.profile)
+    : selectProfile(usable.map((p) => p.quality), cfg.profiles);
+
+  if (reviewPages.length > 0) {
+    manifest.review = {
+      required: true,
+      stage: 'quality',
+      reason: usable.length === 0 ? 'all pages are below the quality floor' : 'some pages are below the quality floor',
+      pages: reviewPages
+    };
+  } else if (manifest.review?.stage === 'quality') {
+    // Страницы прошли порог после повторного растрирования или смены quality.review — снимаем свою отметку
+    delete manifest.review;
+  }
+
+  manifest.stages.quality = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    profile: usable.length ? profile?.name ?? null : null,
+    dpi: usable.length ? profile?.dpi ?? null : null,
+    preprocess: usable.length ? profile?.preprocess ?? null : null,
+    reviewPages
+  };
+
+  log(usable.length
+    ? `Profile: ${manifest.stages.quality.profile ?? 'n/a'}${reviewPages.length ? `, review pages: ${reviewPages.join(', ')}` : ''}`
+    : 'All pages flagged for human review');
+}
+
+export const stage = {
+  name: 'quality',
+  scope: 'document',
+  requires: ['manifest:stages.rasterize.finishedAt'],
+  produces: ['manifest:stages.quality.finishedAt'],
+  concurrency: (config) => config.quality?.concurrency ?? 2,
+  run: scoreDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['quality'], ...forceOptions() }).catch((err) => {
+    console.error('[quality] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,68 @@
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { modelPages } from '../lib/manifest.js';
+import { extractionDpi } from '../lib/resolutions.js';
+import { docTypeHashInputs } from '../lib/docTypes.js';
+import { ensureDpi } from './rasterize.js';
+
+/**
+ * DPI извлечения для документа: docType.dpi.extraction, но не ниже,
+ * чем требует профиль качества (quality.profiles[].dpi). Явный extract.dpi — ровно он.
+ */
+export function targetDpi(manifest, docType, config) {
+  if (Number(config.extract?.dpi)) return Number(config.extract.dpi);
+  return Math.max(extractionDpi(docType, config), manifest.stages.quality?.dpi ?? 0);
+}
+
+async function renderTarget(doc, { config, log }) {
+  const { manifest } = doc;
+
+  const docType = (await loadDocTypes()).get(manifest.docType);
+  if (!docType) {
+    return { status: 'skipped', reason: `docType "${manifest.docType}" is not configured` };
+  }
+  if (modelPages(manifest).length === 0 && manifest.review?.required) {
+    return { status: 'skipped', reason: 'needs human review' };
+  }
+
+  const dpi = targetDpi(manifest, docType, config);
+  const startedAt = new Date().toISOString();
+  const res = await ensureDpi(doc, dpi, config);
+  if (!res) throw new Error(`No raster at or above ${dpi} DPI and no input PDF to render it`);
+
+  manifest.stages['rasterize-target'] = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    docType: docType.id,
+    dpi,
+    folder: res.folder,
+    renderedDpi: res.dpi,
+    rendered: res.rendered,
+    ...(res.fallback ? { fallback: true } : {})
+  };
+
+  if (res.fallback) {
+    log(`No input PDF: using ${res.folder} (${res.dpi} DPI) instead of ${dpi} DPI`);
+  } else {
+    log(`${docType.id}: ${dpi} DPI → ${res.folder}${res.rendered ? ' (rendered)' : ''}`);
+  }
+}
+
+export const stage = {
+  name: 'rasterize-target',
+  scope: 'document',
+  requires: ['manifest:docType', 'manifest:stages.rasterize.finishedAt'],
+  produces: ['manifest:stages.rasterize-target.finishedAt'],
+  concurrency: (config) => config.rasterize?.concurrency ?? 1,
+  hashConfig: ['rasterize', 'extract.resolution', 'extract.dpi'],
+  hashInputs: docTypeHashInputs,
+  run: renderTarget
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['rasterize-target'], ...forceOptions() }).catch((err) => {
+    console.error('[rasterize-target] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -1,93 +1,34 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
 import { createCanvas } from '@napi-rs/canvas';
 import sharp from 'sharp';
-import PQueue from 'p-queue';
+import { projectRoot } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { activePages } from '../lib/manifest.js';
+import { sha256File } from '../lib/hash.js';
+import { since } from '../lib/profiling.js';
+import { getResolutions, resolutionForDpi, routingDpi, bestResolution, highestResolution } from '../lib/resolutions.js';
 
 // --- Paths for PDF.js resources (fonts + cmaps) ---
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const projectRoot = path.resolve(__dirname, '..', '..');
 const pdfjsRoot = path.join(projectRoot, 'node_modules', 'pdfjs-dist');
 
 const standardFontsPath = path.join(pdfjsRoot, 'standard_fonts', path.sep);
 const cMapsPath = path.join(pdfjsRoot, 'cmaps', path.sep);
 
-// --- Load config ---
-const config = await fs.readJson(path.join(projectRoot, 'config', 'root.json'));
-const { paths, rasterize } = config;
+// Пирамида DPI описана в src/lib/resolutions.js; реэкспорт — для старых импортов
+export { getResolutions };
 
-const DEFAULT_RESOLUTIONS = [
-  { dpi: 75, folder: 'r75', quality: 80, lossless: false },
-  { dpi: 100, folder: 'r100', quality: 80, lossless: false },
-  { dpi: 150, folder: 'r150', quality: 82, lossless: false },
-  { dpi: 200, folder: 'r200', quality: 84, lossless: false },
-  { dpi: 250, folder: 'r250', quality: 86, lossless: false },
-  { dpi: 300, folder: 'r300', quality: 90, lossless: false }
-];
-
-const RESOLUTIONS = Array.isArray(rasterize?.resolutions) && rasterize.resolutions.length > 0
-  ? rasterize.resolutions
-  : DEFAULT_RESOLUTIONS;
-
-const queue = new PQueue({ concurrency: rasterize?.concurrency ?? 1 });
-
-function naturalSort(a, b) {
-  return a.localeCompare(b, 'ru', { numeric: true, sensitivity: 'base' });
-}
-
-function normalizeManifest(manifest, docId) {
-  const m = (manifest && typeof manifest === 'object') ? manifest : {};
-  m.docId = m.docId ?? docId;
-  m.createdAt = m.createdAt ?? new Date().toISOString();
-  m.updatedAt = m.updatedAt ?? new Date().toISOString();
-
-  m.input = (m.input && typeof m.input === 'object') ? m.input : {};
-  m.pages = Array.isArray(m.pages) ? m.pages : [];
-  m.stages = (m.stages && typeof m.stages === 'object') ? m.stages : {};
-
-  return m;
-}
-
-async function listDocsInStaging(stagingDir) {
-  const entries = await fs.readdir(stagingDir, { withFileTypes: true });
-  const docs = [];
-
-  for (const e of entries) {
-    if (!e.isDirectory()) continue;
-    if (e.name.startsWith('_')) continue;
-
-    const docId = e.name;
-    const inputPdfPath = path.join(stagingDir, docId, 'input', 'document.pdf');
-    if (await fs.pathExists(inputPdfPath)) {
-      docs.push({ docId, inputPdfPath });
-    }
-  }
-
-  docs.sort((a, b) => naturalSort(a.docId, b.docId));
-  return docs;
-}
-
-async function loadOrCreateManifest(docDir, docId) {
-  const manifestPath = path.join(docDir, 'manifest.json');
-
-  if (await fs.pathExists(manifestPath)) {
-    const m = await fs.readJson(manifestPath);
-    return normalizeManifest(m, docId);
-  }
-
-  return normalizeManifest(null, docId);
-}
-
-async function saveManifest(docDir, manifest) {
-  manifest.updatedAt = new Date().toISOString();
-  await fs.writeJson(path.join(docDir, 'manifest.json'), manifest, { spaces: 2 });
-}
-
-async function rasterizePdfToPyramid(pdfPath, docDir) {
+/**
+ * Рендерит страницы PDF во все resolutions. pageIndexes — только эти страницы (ленивая догрузка).
+ * Возвращает { pages, timing }: timing.pages — по записи на страницу и разрешение
+ * (render — pdf.js в canvas, png — canvas.toBuffer, webp — перекодирование sharp), в мс.
+ */
+async function rasterizePdfToPyramid(pdfPath, docDir, resolutions, pageIndexes = null) {
   const pagesInfo = [];
+  const timing = { loadMs: 0, pages: [] };
 
+  const tLoad = performance.now();
   const data = new Uint8Array(await fs.readFile(pdfPath));
 
   const loadingTask = pdfjs.getDocument({
@@ -100,15 +41,17 @@ async function rasterizePdfToPyramid(pdfPath, docDir) {
   });
 
   const pdfDocument = await loadingTask.promise;
+  timing.loadMs = since(tLoad);
 
   for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+    if (pageIndexes && !pageIndexes.has(pageNumber)) continue;
     const page = await pdfDocument.getPage(pageNumber);
     const pageIdx = pageNumber;
 
     const pageEntry = { index: pageIdx };
 
-    for (const res of RESOLUTIONS) {
-      const folder = res.folder ?? `r${res.dpi}`;
+    for (const res of resolutions) {
+      const folder = res.folder;
       const resDir = path.join(docDir, folder);
       await fs.ensureDir(resDir);
 
@@ -116,21 +59,36 @@ async function rasterizePdfToPyramid(pdfPath, docDir) {
       const canvas = createCanvas(viewport.width, viewport.height);
       const ctx = canvas.getContext('2d');
 
+      const tRender = performance.now();
       await page.render({
         canvasContext: ctx,
         viewport,
         intent: 'print'
       }).promise;
+      const renderMs = since(tRender);
 
+      const tPng = performance.now();
       const pngBuffer = canvas.toBuffer('image/png');
+      const pngMs = since(tPng);
       const webpName = `p${pageIdx}.webp`;
       const outPath = path.join(resDir, webpName);
 
+      const tWebp = performance.now();
       await sharp(pngBuffer)
         .webp({ quality: res.quality ?? 85, lossless: !!res.lossless })
         .toFile(outPath);
 
       pageEntry[folder] = webpName;
+      timing.pages.push({
+        page: pageIdx,
+        folder,
+        dpi: res.dpi,
+        width: canvas.width,
+        height: canvas.height,
+        renderMs,
+        pngMs,
+        webpMs: since(tWebp)
+      });
     }
 
     pagesInfo.push(pageEntry);
@@ -138,64 +96,106 @@ async function rasterizePdfToPyramid(pdfPath, docDir) {
   }
 
   if (pdfDocument.cleanup) pdfDocument.cleanup();
-  return pagesInfo;
+  return { pages: pagesInfo, timing };
 }
 
-async function processOneDoc(stagingDir, doc) {
-  const docDir = path.join(stagingDir, doc.docId);
+function describe(res, extra = {}) {
+  return { dpi: res.dpi, folder: res.folder, ...extra };
+}
 
-  console.log(`[rasterize] [${doc.docId}] Start`);
+/**
+ * Гарантирует растр не ниже dpi для активных страниц документа: берёт имеющийся
+ * или дорисовывает нужный уровень из input/document.pdf. Возвращает { dpi, folder }.
+ * Если PDF нет (под-документ сплиттера), отдаёт самый подробный из имеющихся.
+ */
+export async function ensureDpi(doc, dpi, config) {
+  const { docDir, manifest } = doc;
+  const pages = activePages(manifest);
+
+  const existing = bestResolution(manifest, dpi, pages);
+  if (existing) return { ...existing, rendered: false };
+
+  const pdfPath = path.join(docDir, manifest.input.assembledPdf ?? 'input/document.pdf');
+  if (!await fs.pathExists(pdfPath)) {
+    const highest = highestResolution(manifest, pages);
+    return highest ? { ...highest, rendered: false, fallback: true } : null;
+  }
+
+  const res = resolutionForDpi(config, dpi);
+  const { pages: rendered, timing } = await rasterizePdfToPyramid(pdfPath, docDir, [res], new Set(pages.map((p) => p.index)));
+
+  // Дорисованный уровень — в тайминги растрирования документа
+  const rasterizeTiming = manifest.stages.rasterize.timing ??= { loadMs: 0, pages: [] };
+  rasterizeTiming.pages.push(...timing.pages.map((t) => ({ ...t, lazy: true })));
+
+  for (const r of rendered) {
+    const page = manifest.pages.find((p) => p.index === r.index);
+    if (page) page[res.folder] = r[res.folder];
+  }
+
+  const list = manifest.stages.rasterize.resolutions ?? [];
+  if (!list.some((r) => r.folder === res.folder)) {
+    manifest.stages.rasterize.resolutions = [...list, describe(res, { lazy: true, renderedAt: new Date().toISOString() })];
+  }
+
+  return { ...describe(res), rendered: true };
+}
 
-  const manifest = await loadOrCreateManifest(docDir, doc.docId);
-  manifest.stages = manifest.stages ?? {}; // защита от "undefined" [web:165]
+async function processOneDoc(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+  const lazy = config.rasterize?.lazy === true;
+  // В ленивом режиме сначала только DPI роутинга; DPI извлечения — стадией rasterize-target
+  const resolutions = lazy ? [resolutionForDpi(config, await routingDpi(config))] : getResolutions(config);
+  const inputPdfPath = path.join(docDir, 'input', 'document.pdf');
+
+  log(lazy ? `Start (lazy, ${resolutions[0].folder})` : 'Start');
 
   manifest.input.assembledPdf = path
-    .relative(docDir, doc.inputPdfPath)
+    .relative(docDir, inputPdfPath)
     .replaceAll('\\', '/');
 
   manifest.stages.rasterize = {
     startedAt: new Date().toISOString(),
-    resolutions: RESOLUTIONS.map(r => ({ dpi: r.dpi, folder: r.folder ?? `r${r.dpi}` }))
+    mode: lazy ? 'lazy' : 'eager',
+    resolutions: resolutions.map((r) => describe(r))
   };
 
-  const pages = await rasterizePdfToPyramid(doc.inputPdfPath, docDir);
+  const { pages, timing } = await rasterizePdfToPyramid(inputPdfPath, docDir, resolutions);
+  manifest.stages.rasterize.timing = timing;
+
+  // Карта страниц от assemble-input: из какого файла страница и с каким DPI был скан
+  const pageMap = new Map((manifest.input.pageMap ?? []).map((p) => [p.page, p]));
+  for (const page of pages) {
+    const src = pageMap.get(page.index);
+    if (!src) continue;
+    page.source = { file: src.source, page: src.sourcePage };
+    if (src.sourceDpi) page.sourceDpi = src.sourceDpi;
+  }
 
   manifest.pages = pages;
   manifest.stages.rasterize.finishedAt = new Date().toISOString();
   manifest.stages.rasterize.pageCount = pages.length;
 
-  await saveManifest(docDir, manifest);
-
-  console.log(`[rasterize] [${doc.docId}] Done. Pages: ${pages.length}`);
+  log(`Done. Pages: ${pages.length}`);
 }
 
-async function runRasterizeStage() {
-  if (!paths?.staging) {
-    throw new Error('config/root.json: paths.staging is required');
-  }
-
-  const stagingDir = path.resolve(projectRoot, paths.staging);
-  await fs.ensureDir(stagingDir);
-
-  const docs = await listDocsInStaging(stagingDir);
-  if (docs.length === 0) {
-    console.log(`[rasterize] No docs found. Expected: ${stagingDir}/<docId>/input/document.pdf`);
-    return;
-  }
-
-  console.log(`[rasterize] Found ${docs.length} docs in staging. Concurrency=${rasterize?.concurrency ?? 1}`);
-
-  for (const doc of docs) {
-    queue.add(() => processOneDoc(stagingDir, doc)).catch((e) => {
-      console.error(`[rasterize] [${doc.docId}] Failed:`, e?.message ?? e);
-    });
-  }
-
-  await queue.onIdle();
-  console.log('[rasterize] All docs processed');
+export const stage = {
+  name: 'rasterize',
+  scope: 'document',
+  requires: ['input/document.pdf'],
+  produces: ['manifest:stages.rasterize.finishedAt'],
+  concurrency: (config) => config.rasterize?.concurrency ?? 1,
+  hashConfig: ['rasterize'],
+  hashInputs: async (doc) => ({ pdf: await sha256File(path.join(doc.docDir, 'input', 'document.pdf')) }),
+  // Новый document.pdf у разобранного документа — его под-документы пересобираются (pipeline.js)
+  readsSource: true,
+  run: processOneDoc
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['rasterize'], ...forceOptions() }).catch((err) => {
+    console.error('[rasterize] Fatal:', err);
+    process.exitCode = 1;
+  });
 }
-
-runRasterizeStage().catch((err) => {
-  console.error('[rasterize] Fatal:', err);
-  process.exitCode = 1;
-});
@@ -0,0 +1,190 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { getFieldDefs, docTypeHashInputs } from '../lib/docTypes.js';
+import { callStats, chatJson } from '../lib/vlm.js';
+import { PROVENANCE_PROMPT, resolveProvenance, splitProvenance } from '../lib/provenance.js';
+import { EXTRACTION_FILE, extractConfig, extractionPages, mapToFields, promptHash } from './extract.js';
+import { NORMALIZED_FILE, applyNormalization } from './normalize.js';
+import { VALIDATION_FILE, applyValidation } from './validate.js';
+
+/**
+ * Бюджет повторов: root.json → retry.byDocType[docType] ?? retry.maxAttempts.
+ */
+export function retryBudget(config, docTypeId) {
+  const cfg = config.retry ?? {};
+  return Math.max(0, Number(cfg.byDocType?.[docTypeId] ?? cfg.maxAttempts ?? 0));
+}
+
+/**
+ * Ошибки из отчёта валидации → { fieldId: [сообщения] }.
+ */
+export function collectFieldErrors(report) {
+  const errors = {};
+  const add = (id, message) => (errors[id] ??= []).push(message);
+
+  for (const [id, f] of Object.entries(report.fields ?? {})) {
+    for (const e of f.errors) add(id, e.message);
+  }
+  for (const c of report.crossChecks ?? []) {
+    if (c.valid !== false) continue;
+    for (const e of c.errors) if (e.field) add(e.field, `${c.name}: ${e.message}`);
+  }
+  return errors;
+}
+
+export function buildRetryPrompt(previousFields, fieldErrors, { provenance = false } = {}) {
+  const lines = Object.entries(fieldErrors)
+    .map(([id, messages]) => `- ${id}: ${messages.join('; ')}`)
+    .join('\n');
+
+  return 'Ты уже извлёк данные из этого документа, но проверка нашла ошибки.\n'
+    + `Предыдущий JSON:\n${JSON.stringify(previousFields, null, 2)}\n`
+    + `Ошибки:\n${lines}\n`
+    + `Внимательно перечитай изображение и исправь ТОЛЬКО эти поля: ${Object.keys(fieldErrors).join(', ')}. `
+    + 'Верни полный JSON-объект с теми же ключами, строго JSON-only, без пояснений. '
+    + (provenance ? PROVENANCE_PROMPT : 'Если значение действительно отсутствует или неразборчиво, верни null.');
+}
+
+function diffFields(before, after) {
+  const diff = {};
+  for (const id of Object.keys(after)) {
+    if (JSON.stringify(before[id]) !== JSON.stringify(after[id])) {
+      diff[id] = { from: before[id] ?? null, to: after[id] ?? null };
+    }
+  }
+  return diff;
+}
+
+async function retryDocument(doc, { config, log }) {
+  const { docDir, manifest } = doc;
+
+  if (manifest.stages.validate?.valid) {
+    return { status: 'skipped', reason: 'valid' };
+  }
+
+  const extractionPath = path.join(docDir, EXTRACTION_FILE);
+  const extraction = await fs.readJson(extractionPath);
+  const docType = (await loadDocTypes()).get(extraction.docType);
+  if (!docType) {
+    return { status: 'skipped', reason: `docType "${extraction.docType}" is not configured` };
+  }
+
+  const budget = retryBudget(config, docType.id);
+  if (budget === 0) {
+    return { status: 'skipped', reason: `no retry budget for ${docType.id}` };
+  }
+
+  const cfg = extractConfig(config);
+  const model = cfg.model ?? config.vlm.model;
+  const resolution = manifest.stages.extract?.resolution ?? cfg.resolution;
+  const pages = extractionPages(manifest, resolution, cfg.maxPages);
+  const images = pages.map((p) => path.join(docDir, resolution, p[resolution]));
+
+  const defs = getFieldDefs(docType);
+  const hasNormalized = await fs.pathExists(path.join(docDir, NORMALIZED_FILE));
+  let report = await fs.readJson(path.join(docDir, VALIDATION_FILE));
+
+  const initialErrorCount = report.errorCount;
+  const attempts = [];
+  extraction.initialFields ??= { ...extraction.fields };
+
+  for (let attempt = 1; attempt <= budget && !report.valid; attempt++) {
+    const fieldErrors = collectFieldErrors(report);
+    const prompt = buildRetryPrompt(extraction.fields, fieldErrors, { provenance: cfg.provenance });
+
+    log(`Attempt ${attempt}/${budget}: fixing ${Object.keys(fieldErrors).join(', ')}`);
+
+    const entry = {
+      attempt,
+      startedAt: new Date().toISOString(),
+      model,
+      promptHash: promptHash(prompt),
+      requestedFields: Object.keys(fieldErrors),
+      errorCountBefore: report.errorCount
+    };
+    attempts.push(entry);
+
+    const answer = await chatJson(config.vlm, { prompt, images, model, temperature: cfg.temperature });
+    Object.assign(entry, callStats(answer));
+    entry.rawResponse = answer.text;
+
+    const parsed = answer.json;
+    // Ответ не разобрали — попытка потрачена, поля и отчёт валидации прежние
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      entry.error = 'no JSON';
+      entry.errorCountAfter = report.errorCount;
+      entry.valid = false;
+      entry.finishedAt = new Date().toISOString();
+      continue;
+    }
+
+    // Берём от модели только поля, которые просили исправить
+    // (поле, которое модель не вернула вовсе, оставляем прежним)
+    const corrected = mapToFields(parsed, defs);
+    const returned = mapToFields(parsed, []);
+    const next = { ...extraction.fields };
+    for (const id of Object.keys(fieldErrors)) {
+      if (id in returned) next[id] = corrected[id];
+    }
+
+    entry.diff = diffFields(extraction.fields, next);
+    extraction.fields = next;
+
+    if (cfg.provenance) {
+      // Рамки и уверенность обновляем только у исправленных полей
+      const fixed = Object.fromEntries(Object.keys(fieldErrors)
+        .filter((id) => id in returned)
+        .map((id) => [id, next[id]]));
+      extraction.provenance = {
+        ...extraction.provenance,
+        ...await resolveProvenance(doc, {
+          pages, resolution, fields: fixed, hints: splitProvenance(parsed).hints, fieldDefs: defs
+        })
+      };
+    }
+
+    if (hasNormalized) await applyNormalization(doc, extraction, docType);
+    report = await applyValidation(doc, extraction, docType);
+
+    entry.errorCountAfter = report.errorCount;
+    entry.valid = report.valid;
+    entry.finishedAt = new Date().toISOString();
+  }
+
+  extraction.retryAttempts = (extraction.retryAttempts ?? 0) + attempts.length;
+  await fs.writeJson(extractionPath, extraction, { spaces: 2 });
+
+  manifest.stages.retry = {
+    finishedAt: new Date().toISOString(),
+    budget,
+    attempts,
+    initialErrorCount,
+    finalErrorCount: report.errorCount,
+    fixed: report.valid
+  };
+
+  log(report.valid
+    ? `Fixed after ${attempts.length} attempt(s)`
+    : `Still invalid after ${attempts.length} attempt(s): ${report.errorCount} error(s)`);
+}
+
+export const stage = {
+  name: 'retry',
+  scope: 'document',
+  requires: [VALIDATION_FILE],
+  produces: ['manifest:stages.retry.finishedAt'],
+  concurrency: () => 1,
+  hashConfig: ['retry', 'extract', 'vlm.model'],
+  hashInputs: docTypeHashInputs,
+  run: retryDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['retry'], ...forceOptions() }).catch((err) => {
+    console.error('[retry] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
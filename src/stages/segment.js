@@ -0,0 +1,235 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { normalizeManifest, saveManifest } from '../lib/manifest.js';
+import { callStats, chatJson } from '../lib/vlm.js';
+import { routingFolder } from '../lib/resolutions.js';
+import { removeChildDocs } from '../lib/staging.js';
+import { describeDocType } from './classify.js';
+
+const DEFAULTS = {
+  resolution: 'r100',
+  minPages: 2
+};
+
+function segmentConfig(config) {
+  return { ...DEFAULTS, ...config.segment };
+}
+
+function buildPagePrompt(docTypes, previousType) {
+  const list = [...docTypes.values()].map(describeDocType).join('\n');
+  const context = previousType
+    ? `Предыдущая страница пачки была определена как: ${previousType}.\n`
+    : 'Это первая страница пачки.\n';
+
+  return 'Это одна страница из пачки сканов, где подряд могут идти разные документы.\n'
+    + `${context}Возможные типы:\n${list}\n- unknown: тип не определить (например, страница-продолжение без заголовка)\n`
+    + 'Определи тип документа на странице и начинается ли на ней НОВЫЙ документ '
+    + '(первая страница, заголовок, новый бланк) или это продолжение предыдущего. '
+    + 'Верни строго JSON без пояснений: {"type": "<id типа>", "newDocument": true|false}';
+}
+
+function cleanType(value, allowedTypes) {
+  const t = typeof value === 'string' ? value.toLowerCase().trim().replace(/[."'`]/g, '') : '';
+  return allowedTypes.includes(t) ? t : 'unknown';
+}
+
+/**
+ * Последовательные страницы → логические документы.
+ * Новая группа начинается, если модель отметила newDocument или сменился известный тип;
+ * страницы unknown считаются продолжением текущей группы.
+ */
+export function groupPages(pageResults) {
+  const groups = [];
+
+  for (const r of pageResults) {
+    const current = groups[groups.length - 1];
+    const typeChanged = current
+      && r.type !== 'unknown'
+      && current.type !== 'unknown'
+      && r.type !== current.type;
+
+    if (!current || r.newDocument === true || typeChanged) {
+      groups.push({ type: r.type, pages: [r.page] });
+      continue;
+    }
+
+    current.pages.push(r.page);
+    if (current.type === 'unknown' && r.type !== 'unknown') current.type = r.type;
+  }
+
+  return groups;
+}
+
+function formatRanges(indexes) {
+  const ranges = [];
+  for (const i of indexes) {
+    const last = ranges[ranges.length - 1];
+    if (last && i === last[1] + 1) last[1] = i;
+    else ranges.push([i, i]);
+  }
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join(',');
+}
+
+async function writeSubPdf(srcPdfPath, pageIndexes, outPath) {
+  const src = await PDFDocument.load(await fs.readFile(srcPdfPath));
+  const out = await PDFDocument.create();
+  const copied = await out.copyPages(src, pageIndexes.map((i) => i - 1));
+  copied.forEach((p) => out.addPage(p));
+  await fs.ensureDir(path.dirname(outPath));
+  await fs.writeFile(outPath, await out.save());
+}
+
+async function createGroupDoc(doc, group, n, folders, model) {
+  const childId = `${doc.docId}__d${n}`;
+  const childDir = path.join(path.dirname(doc.docDir), childId);
+  const pageByIndex = new Map(doc.manifest.pages.map((p) => [p.index, p]));
+  const childPages = [];
+
+  for (let i = 0; i < group.pages.length; i++) {
+    const src = pageByIndex.get(group.pages[i]);
+    const childPage = { index: i + 1, sourcePage: src.index };
+
+    for (const folder of folders) {
+      if (!src[folder]) continue;
+      const name = `p${i + 1}.webp`;
+      await fs.ensureDir(path.join(childDir, folder));
+      await fs.copyFile(path.join(doc.docDir, folder, src[folder]), path.join(childDir, folder, name));
+      childPage[folder] = name;
+    }
+    childPages.push(childPage);
+  }
+
+  const input = {};
+  const parentPdf = path.join(doc.docDir, 'input', 'document.pdf');
+  if (await fs.pathExists(parentPdf)) {
+    await writeSubPdf(parentPdf, group.pages, path.join(childDir, 'input', 'document.pdf'));
+    input.assembledPdf = 'input/document.pdf';
+  }
+
+  const now = new Date().toISOString();
+  const manifest = normalizeManifest({
+    docId: childId,
+    parent: {
+      docId: doc.docId,
+      pages: group.pages,
+      pageRange: formatRanges(group.pages),
+      segmentType: group.type
+    },
+    input,
+    pages: childPages,
+    stages: {
+      rasterize: {
+        finishedAt: now,
+        source: 'segment',
+        resolutions: doc.manifest.stages.rasterize?.resolutions
+      },
+      segment: { finishedAt: now, source: 'parent', model }
+    }
+  }, childId);
+
+  await saveManifest(childDir, manifest);
+  return childId;
+}
+
+async function segmentDocument(doc, { config, log, forced }) {
+  const { docDir, manifest } = doc;
+  const cfg = segmentConfig(config);
+  const model = cfg.model ?? config.vlm.model;
+
+  // Под-документ уже вырезан из пачки; с --force его перезаписал бы разбор родителя
+  if (manifest.stages.segment?.source === 'parent') {
+    return { status: 'skipped', reason: 'sub-document' };
+  }
+
+  // Страницы уже разнесены по под-документам (segment или splitter). Без --force оставляем
+  // и их, и запись о группах; с --force удаляем старые под-документы и группируем заново
+  const children = [...new Set(manifest.pages.flatMap((p) => p.splitInto ?? []))];
+  if (children.length > 0) {
+    if (!forced) return { status: 'skipped', reason: 'already split' };
+    const removed = await removeChildDocs(path.dirname(docDir), children);
+    log(`Removed ${removed.join(', ')}`);
+    for (const page of manifest.pages) delete page.splitInto;
+    delete manifest.split;
+  }
+
+  const resolution = routingFolder(manifest, cfg.resolution);
+  const pages = manifest.pages.filter((p) => p[resolution]);
+  if (pages.length < cfg.minPages) {
+    manifest.stages.segment = { finishedAt: new Date().toISOString(), skipped: `less than ${cfg.minPages} pages` };
+    return { status: 'skipped', reason: `${pages.length} page(s)` };
+  }
+
+  const docTypes = await loadDocTypes();
+  const allowedTypes = [...docTypes.keys()];
+
+  manifest.stages.segment = { startedAt: new Date().toISOString(), model, pages: [] };
+
+  const results = [];
+  let previousType = null;
+  for (const page of pages) {
+    const answer = await chatJson(config.vlm, {
+      prompt: buildPagePrompt(docTypes, previousType),
+      images: [path.join(docDir, resolution, page[resolution])],
+      model
+    });
+
+    const r = {
+      page: page.index,
+      type: cleanType(answer.json?.type, allowedTypes),
+      newDocument: answer.json?.newDocument === true,
+      ...callStats(answer)
+    };
+    results.push(r);
+    manifest.stages.segment.pages.push(r);
+    previousType = r.type;
+  }
+
+  const groups = groupPages(results);
+  manifest.stages.segment.groups = groups.map((g) => ({ type: g.type, pages: g.pages, pageRange: formatRanges(g.pages) }));
+
+  if (groups.length > 1) {
+    const folders = (manifest.stages.rasterize?.resolutions ?? []).map((r) => r.folder);
+    const created = [];
+
+    for (let n = 1; n <= groups.length; n++) {
+      const childId = await createGroupDoc(doc, groups[n - 1], n, folders, model);
+      created.push(childId);
+      for (const index of groups[n - 1].pages) {
+        const page = manifest.pages.find((p) => p.index === index);
+        page.splitInto = [childId];
+      }
+      manifest.stages.segment.groups[n - 1].docId = childId;
+    }
+
+    manifest.split = {
+      by: 'segment',
+      children: created,
+      superseded: manifest.pages.every((p) => p.splitInto)
+    };
+  }
+
+  manifest.stages.segment.finishedAt = new Date().toISOString();
+  log(`Groups: ${manifest.stages.segment.groups.map((g) => `${g.type}[${g.pageRange}]`).join(' ')}`);
+}
+
+export const stage = {
+  name: 'segment',
+  scope: 'document',
+  requires: ['manifest:stages.rasterize.finishedAt'],
+  produces: ['manifest:stages.segment.finishedAt'],
+  concurrency: () => 1,
+  hashConfig: ['segment', 'vlm.model'],
+  splits: true,
+  run: segmentDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['segment'], ...forceOptions() }).catch((err) => {
+    console.error('[segment] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,221 @@
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { normalizeManifest, saveManifest } from '../lib/manifest.js';
+import { removeChildDocs } from '../lib/staging.js';
+import { callStats, chatJson } from '../lib/vlm.js';
+import { maxExtractionDpi, routingFolder } from '../lib/resolutions.js';
+import { ensureDpi } from './rasterize.js';
+
+const DEFAULTS = {
+  resolution: 'r100',
+  // Qwen3-VL отдаёт координаты в относительной сетке 0..1000
+  bboxUnits: 'norm1000',
+  padding: 0.01,
+  minArea: 0.02,
+  prompt: 'На изображении может быть несколько отдельных документов (например, паспорт и водительское удостоверение на одном листе). '
+    + 'Найди каждый документ и верни строго JSON без пояснений: '
+    + '{"documents": [{"label": "краткое название документа", "bbox": [x1, y1, x2, y2]}]}. '
+    + 'Координаты bbox — в сетке 0..1000 относительно ширины и высоты изображения. '
+    + 'Если документ один, верни один элемент.'
+};
+
+function splitConfig(config) {
+  return { ...DEFAULTS, ...config.split };
+}
+
+/**
+ * bbox из ответа модели → доли [0..1] от размеров изображения.
+ */
+function toRelativeBbox(bbox, units, width, height) {
+  const [x1, y1, x2, y2] = bbox.map(Number);
+  if (units === 'pixels') return [x1 / width, y1 / height, x2 / width, y2 / height];
+  if (units === 'relative') return [x1, y1, x2, y2];
+  return [x1 / 1000, y1 / 1000, x2 / 1000, y2 / 1000];
+}
+
+function clamp01(v) {
+  return Math.min(1, Math.max(0, v));
+}
+
+function parseDocuments(json, { bboxUnits, padding, minArea }, width, height) {
+  const list = Array.isArray(json) ? json : json?.documents;
+  if (!Array.isArray(list)) return [];
+
+  const docs = [];
+  for (const item of list) {
+    if (!Array.isArray(item?.bbox) || item.bbox.length !== 4) continue;
+    if (item.bbox.some((v) => !Number.isFinite(Number(v)))) continue;
+
+    let [x1, y1, x2, y2] = toRelativeBbox(item.bbox, bboxUnits, width, height);
+    if (x2 < x1) [x1, x2] = [x2, x1];
+    if (y2 < y1) [y1, y2] = [y2, y1];
+
+    const rel = [clamp01(x1 - padding), clamp01(y1 - padding), clamp01(x2 + padding), clamp01(y2 + padding)];
+    if ((rel[2] - rel[0]) * (rel[3] - rel[1]) < minArea) continue;
+
+    docs.push({ label: typeof item.label === 'string' ? item.label : null, rel });
+  }
+  return docs;
+}
+
+async function cropRelative(srcPath, rel, outPath) {
+  const { width, height } = await sharp(srcPath).metadata();
+  const left = Math.floor(rel[0] * width);
+  const top = Math.floor(rel[1] * height);
+  const cropW = Math.max(1, Math.min(width - left, Math.ceil((rel[2] - rel[0]) * width)));
+  const cropH = Math.max(1, Math.min(height - top, Math.ceil((rel[3] - rel[1]) * height)));
+
+  await fs.ensureDir(path.dirname(outPath));
+  await sharp(srcPath)
+    .extract({ left, top, width: cropW, height: cropH })
+    .webp({ lossless: true })
+    .toFile(outPath);
+
+  return [left, top, left + cropW, top + cropH];
+}
+
+async function createChild(doc, page, piece, n, resolutions, model) {
+  const childId = `${doc.docId}__p${page.index}_${n}`;
+  const childDir = path.join(path.dirname(doc.docDir), childId);
+  const childPage = { index: 1 };
+  const bboxes = {};
+
+  const folders = resolutions.map((r) => r.folder);
+  for (const folder of folders) {
+    if (!page[folder]) continue;
+    const src = path.join(doc.docDir, folder, page[folder]);
+    bboxes[folder] = await cropRelative(src, piece.rel, path.join(childDir, folder, 'p1.webp'));
+    childPage[folder] = 'p1.webp';
+  }
+
+  const now = new Date().toISOString();
+  const manifest = normalizeManifest({
+    docId: childId,
+    parent: {
+      docId: doc.docId,
+      page: page.index,
+      index: n,
+      label: piece.label,
+      bbox: bboxes.r300 ?? bboxes[folders[folders.length - 1]],
+      bboxes
+    },
+    pages: [childPage],
+    stages: {
+      // Кроп сохраняет масштаб родителя, поэтому DPI папок те же
+      rasterize: {
+        finishedAt: now,
+        source: 'splitter',
+        resolutions: resolutions.filter((r) => childPage[r.folder]).map((r) => ({ dpi: r.dpi, folder: r.folder }))
+      },
+      splitter: { finishedAt: now, source: 'parent', model }
+    }
+  }, childId);
+
+  await fs.ensureDir(childDir);
+  await saveManifest(childDir, manifest);
+  return childId;
+}
+
+/**
+ * Удаляет под-документы, созданные прошлым разбиением страницы.
+ */
+async function removeChildren(doc, page, log) {
+  const removed = await removeChildDocs(path.dirname(doc.docDir), page.splitInto);
+  log(`Page ${page.index}: removed ${removed.join(', ')}`);
+  delete page.splitInto;
+}
+
+async function splitDocument(doc, { config, log, forced }) {
+  const { manifest } = doc;
+  const cfg = splitConfig(config);
+  const resolution = routingFolder(manifest, cfg.resolution);
+
+  // Под-документ уже вырезан из разбитой страницы; с --force его перезаписал бы разбор родителя
+  if (manifest.stages.splitter?.source === 'parent') {
+    return { status: 'skipped', reason: 'sub-document' };
+  }
+
+  manifest.stages.splitter = {
+    startedAt: new Date().toISOString(),
+    model: config.vlm.model,
+    pages: []
+  };
+
+  const children = [];
+
+  for (const page of manifest.pages) {
+    if (!page[resolution]) continue;
+
+    // Уже разбитую страницу повторно не разбираем (у под-документов могут быть свои результаты и правки);
+    // с --force старые под-документы удаляются и страница разбирается заново
+    if (page.splitInto) {
+      if (!forced) {
+        children.push(...page.splitInto);
+        continue;
+      }
+      await removeChildren(doc, page, log);
+    }
+
+    const refPath = path.join(doc.docDir, resolution, page[resolution]);
+    const { width, height } = await sharp(refPath).metadata();
+
+    const answer = await chatJson(config.vlm, { prompt: cfg.prompt, images: [refPath] });
+    const pieces = parseDocuments(answer.json, cfg, width, height);
+
+    const pageLog = {
+      page: page.index,
+      documents: pieces.length,
+      ...callStats(answer),
+      raw: answer.text
+    };
+    manifest.stages.splitter.pages.push(pageLog);
+
+    if (pieces.length < 2) continue;
+
+    // У под-документа нет своего PDF: в ленивом режиме сначала дорисовываем DPI извлечения
+    if (config.rasterize?.lazy) await ensureDpi(doc, await maxExtractionDpi(config), config);
+    const resolutions = manifest.stages.rasterize?.resolutions ?? [];
+
+    page.splitInto = [];
+    for (let n = 1; n <= pieces.length; n++) {
+      const childId = await createChild(doc, page, pieces[n - 1], n, resolutions, config.vlm.model);
+      page.splitInto.push(childId);
+      children.push(childId);
+    }
+
+    log(`Page ${page.index}: ${pieces.length} documents → ${page.splitInto.join(', ')}`);
+  }
+
+  if (children.length > 0) {
+    manifest.split = {
+      children,
+      superseded: manifest.pages.every((p) => p.splitInto)
+    };
+  } else {
+    delete manifest.split;
+  }
+
+  manifest.stages.splitter.finishedAt = new Date().toISOString();
+  log(children.length > 0 ? `Split into ${children.length} docs` : 'No combo pages');
+}
+
+export const stage = {
+  name: 'splitter',
+  scope: 'document',
+  requires: ['manifest:stages.rasterize.finishedAt'],
+  produces: ['manifest:stages.splitter.finishedAt'],
+  concurrency: () => 1,
+  hashConfig: ['split', 'vlm.model'],
+  splits: true,
+  run: splitDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['splitter'], ...forceOptions() }).catch((err) => {
+    console.error('[splitter] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
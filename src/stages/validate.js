@@ -0,0 +1,72 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadDocTypes } from '../lib/config.js';
+import { isMainModule, forceOptions } from '../lib/cli.js';
+import { validateExtraction, summarizeReport } from '../lib/validation.js';
+import { docTypeHashInputs } from '../lib/docTypes.js';
+import { EXTRACTION_FILE } from './extract.js';
+import { NORMALIZED_FILE } from './normalize.js';
+
+export const VALIDATION_FILE = 'validation.json';
+
+/**
+ * Проверяет поля (нормализованные, если стадия normalize отработала),
+ * пишет validation.json и сводку в манифест. Возвращает отчёт.
+ */
+export async function applyValidation(doc, extraction, docType) {
+  const { docDir, manifest } = doc;
+
+  const normalizedPath = path.join(docDir, NORMALIZED_FILE);
+  const source = await fs.pathExists(normalizedPath) ? NORMALIZED_FILE : EXTRACTION_FILE;
+  const { fields } = source === NORMALIZED_FILE ? await fs.readJson(normalizedPath) : extraction;
+
+  const startedAt = new Date().toISOString();
+  const report = validateExtraction(fields, docType);
+
+  await fs.writeJson(path.join(docDir, VALIDATION_FILE), {
+    docId: doc.docId,
+    docType: docType.id,
+    validatedAt: new Date().toISOString(),
+    source,
+    ...report
+  }, { spaces: 2 });
+
+  manifest.stages.validate = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    output: VALIDATION_FILE,
+    source,
+    ...summarizeReport(report)
+  };
+
+  return report;
+}
+
+async function validateDocument(doc, { log }) {
+  const extraction = await fs.readJson(path.join(doc.docDir, EXTRACTION_FILE));
+  const docType = (await loadDocTypes()).get(extraction.docType);
+  if (!docType) {
+    return { status: 'skipped', reason: `docType "${extraction.docType}" is not configured` };
+  }
+
+  const report = await applyValidation(doc, extraction, docType);
+  log(report.valid ? 'Valid' : `Invalid: ${report.errorCount} error(s)`);
+}
+
+export const stage = {
+  name: 'validate',
+  scope: 'document',
+  requires: [EXTRACTION_FILE],
+  produces: [VALIDATION_FILE, 'manifest:stages.validate.finishedAt'],
+  concurrency: () => 4,
+  hashInputs: docTypeHashInputs,
+  run: validateDocument
+};
+
+if (isMainModule(import.meta.url)) {
+  const { runPipeline } = await import('../pipeline.js');
+  runPipeline({ only: ['validate'], ...forceOptions() }).catch((err) => {
+    console.error('[validate] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,219 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig, resolvePath } from './lib/config.js';
+import { isMainModule } from './lib/cli.js';
+import { listIncomingDocuments, safeDocKey } from './stages/assemble-input.js';
+import { runPipeline } from './pipeline.js';
+
+const DEFAULTS = {
+  incomingDir: './incoming',
+  archiveDir: './archive',
+  quarantineDir: './quarantine',
+  // как часто смотреть в incoming
+  pollMs: 2000,
+  // сколько файл/папка должны не меняться, чтобы считаться докопированными
+  quietMs: 5000,
+  // недокачанные/временные файлы: пока они есть, документ не трогаем
+  partialPatterns: ['\\.part$', '\\.crdownload$', '\\.tmp$', '\\.partial$', '^~\\$']
+};
+
+export function watchConfig(config) {
+  return { ...DEFAULTS, ...config.watch };
+}
+
+/**
+ * «Отпечаток» документа в incoming: имя, размер и mtime каждого файла (для папки — рекурсивно).
+ * Пока он меняется, копирование не закончено.
+ */
+async function snapshot(fullPath) {
+  const stat = await fs.stat(fullPath);
+  if (!stat.isDirectory()) return [[path.basename(fullPath), stat.size, stat.mtimeMs]];
+
+  const entries = [];
+  for (const name of (await fs.readdir(fullPath)).sort()) {
+    for (const [rel, size, mtime] of await snapshot(path.join(fullPath, name))) {
+      entries.push([`${path.basename(fullPath)}/${rel}`, size, mtime]);
+    }
+  }
+  return entries;
+}
+
+function hasPartialFiles(entries, patterns) {
+  return entries.some(([rel]) => patterns.some((re) => re.test(path.basename(rel))));
+}
+
+/**
+ * Свободное имя в папке назначения: scan.pdf → scan (2026-10-19T10-00-00).pdf, если занято.
+ */
+async function freeTarget(dir, name) {
+  const target = path.join(dir, name);
+  if (!await fs.pathExists(target)) return target;
+  const { name: base, ext } = path.parse(name);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(dir, `${base} (${stamp})${ext}`);
+}
+
+/**
+ * Ошибки документа и его дочерних документов из сводки runPipeline (только status=failed:
+ * blocked/skipped — следствие пометки на ручную проверку или уже учтённой ошибки).
+ */
+function collectErrors(summary, docId) {
+  const errors = [];
+  for (const [id, stages] of summary) {
+    if (id !== docId && !id.startsWith(`${docId}__`)) continue;
+    for (const [stage, s] of Object.entries(stages)) {
+      if (s.status === 'failed') errors.push({ docId: id, stage, error: s.reason ?? null });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Горячая папка: ждёт, пока документы в incoming перестанут меняться, прогоняет их через
+ * пайплайн (стадии сами ограничивают параллелизм через p-queue) и убирает исходники:
+ * в archive — обработанные, в quarantine — упавшие, рядом с ними `<имя>.error.json`.
+ */
+export async function watchIncoming(options = {}) {
+  const config = options.config ?? await loadConfig();
+  const cfg = watchConfig(config);
+  const incomingDir = resolvePath(config.paths?.incoming ?? cfg.incomingDir);
+  const archiveDir = resolvePath(config.paths?.archive ?? cfg.archiveDir);
+  const quarantineDir = resolvePath(config.paths?.quarantine ?? cfg.quarantineDir);
+  const partial = cfg.partialPatterns.map((p) => new RegExp(p, 'i'));
+  const log = (msg) => console.log(`[watch] ${msg}`);
+
+  await fs.ensureDir(incomingDir);
+
+  // name → { key, since, doc, doneKey? }: key — последний отпечаток, since — с какого момента он не менялся
+  const seen = new Map();
+  let stopping = false;
+  let wake = null;
+
+  const stop = () => {
+    if (stopping) return;
+    stopping = true;
+    log('Stopping after the current batch...');
+    wake?.();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  async function findStable() {
+    const now = Date.now();
+    const docs = await listIncomingDocuments(incomingDir);
+    const names = new Set(docs.map((d) => d.name));
+    for (const name of seen.keys()) {
+      if (!names.has(name)) seen.delete(name);
+    }
+
+    const stable = [];
+    for (const doc of docs) {
+      let entries;
+      try {
+        entries = await snapshot(doc.fullPath);
+      } catch {
+        // файл исчез или ещё недоступен — посмотрим на следующем круге
+        continue;
+      }
+      if (hasPartialFiles(entries, partial)) continue;
+
+      const key = JSON.stringify(entries);
+      const prev = seen.get(doc.name);
+      if (!prev || prev.key !== key) {
+        if (!prev) log(`New: ${doc.name}`);
+        seen.set(doc.name, { key, since: now, doc });
+        continue;
+      }
+      // Не удалось убрать исходник после обработки — ждём, пока он не изменится
+      if (prev.doneKey === key) continue;
+      if (now - prev.since >= cfg.quietMs) stable.push(prev);
+    }
+    return stable;
+  }
+
+  async function moveSource(entry, dir, errors) {
+    await fs.ensureDir(dir);
+    const target = await freeTarget(dir, entry.doc.name);
+    await fs.move(entry.doc.fullPath, target);
+    if (errors) {
+      await fs.writeJson(`${target}.error.json`, {
+        source: entry.doc.name,
+        docId: safeDocKey(entry.doc.name),
+        failedAt: new Date().toISOString(),
+        errors
+      }, { spaces: 2 });
+    }
+    return target;
+  }
+
+  async function processBatch(batch) {
+    const docIds = batch.map((e) => safeDocKey(e.doc.name));
+    log(`Processing ${batch.length} document(s): ${docIds.join(', ')}`);
+
+    let summary = null;
+    let fatal = null;
+    try {
+      summary = await runPipeline({ config, docs: docIds });
+    } catch (err) {
+      fatal = err?.message ?? String(err);
+      log(`Pipeline failed: ${fatal}`);
+    }
+
+    for (const entry of batch) {
+      const docId = safeDocKey(entry.doc.name);
+      try {
+        // Пока шла обработка, в документ докопировали файлы — оставляем его на следующий круг
+        const key = JSON.stringify(await snapshot(entry.doc.fullPath));
+        if (key !== entry.key) {
+          log(`${entry.doc.name} changed during processing, will run again`);
+          continue;
+        }
+
+        const errors = fatal ? [{ docId, stage: null, error: fatal }] : collectErrors(summary, docId);
+        if (errors.length > 0) {
+          const target = await moveSource(entry, quarantineDir, errors);
+          log(`Quarantined: ${entry.doc.name} → ${path.relative(process.cwd(), target)}`);
+        } else {
+          const target = await moveSource(entry, archiveDir);
+          log(`Archived: ${entry.doc.name} → ${path.relative(process.cwd(), target)}`);
+        }
+        seen.delete(entry.doc.name);
+      } catch (err) {
+        entry.doneKey = entry.key;
+        log(`Cannot move ${entry.doc.name}: ${err?.message ?? err}`);
+      }
+    }
+  }
+
+  log(`Watching ${incomingDir} (poll ${cfg.pollMs} ms, quiet ${cfg.quietMs} ms)`);
+
+  while (!stopping) {
+    try {
+      const stable = await findStable();
+      if (stable.length > 0) await processBatch(stable);
+    } catch (err) {
+      log(`Error: ${err?.message ?? err}`);
+    }
+
+    if (stopping) break;
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, cfg.pollMs);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    wake = null;
+  }
+
+  process.off('SIGINT', stop);
+  process.off('SIGTERM', stop);
+  log('Stopped');
+}
+
+if (isMainModule(import.meta.url)) {
+  watchIncoming().catch((err) => {
+    console.error('[watch] Fatal:', err);
+    process.exitCode = 1;
+  });
+}
@@ -1,60 +1,35 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { loadConfig, resolvePath } from './src/lib/config.js';
+import { chat, vlmSettings } from './src/lib/vlm.js';
+import { listStagingDocIds } from './src/lib/staging.js';
 
-const config = await fs.readJson('./config/root.json');
+const config = await loadConfig();
 const { vlm, paths } = config;
 
 async function testVLM() {
-    console.log(`--- Testing VLM Connection: ${vlm.model} ---`);
+    const settings = vlmSettings(vlm);
+    console.log(`--- Testing VLM Connection: ${settings.model} (${settings.provider}, ${settings.baseUrl}) ---`);
 
-    const docs = await fs.readdir(paths.staging);
+    const docs = await listStagingDocIds(resolvePath(paths.staging));
     if (docs.length === 0) return console.error('No docs in staging!');
 
     const testDoc = docs[0];
-    const imagePath = path.join(paths.staging, testDoc, 'r100', 'p1.webp');
+    const imagePath = path.join(resolvePath(paths.staging), testDoc, 'r100', 'p1.webp');
+    if (!await fs.pathExists(imagePath)) return console.error(`No image: ${imagePath}`);
     console.log(`Using image: ${imagePath}`);
 
-    // Читаем файл и переводим в чистый Base64
-    const imageBuffer = await fs.readFile(imagePath);
-    const base64Image = imageBuffer.toString('base64');
-
-    const payload = {
-        model: vlm.model,
-        messages: [
-            {
-                role: "user",
-                content: [
-                    { type: "text", text: "Что это за документ? Ответь одним словом." },
-                    { 
-                        type: "image_url", 
-                        image_url: { 
-                            // Важно: Попробуем формат, который чаще всего принимает LM Studio
-                            url: `data:image/jpeg;base64,${base64Image}` 
-                        } 
-                    }
-                ]
-            }
-        ],
-        temperature: 0.1
-    };
-
     try {
-        const response = await fetch(`${vlm.baseUrl}/chat/completions`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+        const result = await chat(vlm, {
+            prompt: 'Что это за документ? Ответь одним словом.',
+            images: [imagePath]
         });
 
-        const result = await response.json();
-        
-        if (result.error) {
-            console.error('LM Studio Error:', result.error);
-        } else {
-            console.log('--- VLM Response ---');
-            console.log('Answer:', result.choices[0].message.content);
-        }
+        console.log('--- VLM Response ---');
+        console.log('Answer:', result.text);
+        console.log(`Time: ${result.durationMs} ms, attempts: ${result.attempts}, usage:`, result.usage);
     } catch (err) {
-        console.error('Fetch failed:', err.message);
+        console.error('VLM Error:', err.message);
     }
 }
 
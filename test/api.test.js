@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import { startApiServer } from '../src/api.js';
+import { loadConfig } from '../src/lib/config.js';
+import { mergeConfig } from '../src/lib/experiments.js';
+
+test('api: malformed escape in the path is a 400 with the usual error body', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'doc-orchestrator-'));
+  const paths = Object.fromEntries(['incoming', 'staging', 'output'].map((d) => [d, path.join(root, d)]));
+  const api = await startApiServer({ config: mergeConfig(await loadConfig(), { paths }), port: 0 });
+  try {
+    const res = await fetch(`http://127.0.0.1:${api.port}/api/documents/%E0%A4%A`);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Malformed URL path segment/);
+
+    const missing = await fetch(`http://127.0.0.1:${api.port}/api/documents/${encodeURIComponent('нет такого.pdf')}`);
+    assert.equal(missing.status, 404);
+  } finally {
+    await api.close();
+    await fs.remove(root);
+  }
+});
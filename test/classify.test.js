@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import { loadOrCreateManifest } from '../src/lib/manifest.js';
+import { stage as classifyStage } from '../src/stages/classify.js';
+import { stubConfig, withStub, writePageImage } from './helpers.js';
+
+const CLASSIFY = 'Определи тип документа';
+
+// Классификация одного растрированного документа через заглушку с ответом reply
+function classifyWith(reply, prepare = () => {}) {
+  return withStub({ rules: [{ match: CLASSIFY, reply }] }, async (stub) => {
+    const { root, dirs, config } = await stubConfig(stub);
+    try {
+      const docDir = path.join(dirs.staging, 'scan.pdf');
+      await writePageImage(path.join(docDir, 'r100', 'p1.webp'));
+      const manifest = await loadOrCreateManifest(docDir, 'scan.pdf');
+      manifest.pages = [{ index: 1, r100: 'p1.webp' }];
+      manifest.stages.rasterize = { finishedAt: new Date().toISOString() };
+      prepare(manifest);
+
+      const result = await classifyStage.run({ docId: 'scan.pdf', docDir, manifest }, { config, log: () => {} });
+      return { result, manifest, requests: stub.requests.length };
+    } finally {
+      await fs.remove(root);
+    }
+  });
+}
+
+test('classify: confident answer sets docType, alternatives filtered and sorted', async () => {
+  const { manifest, requests } = await classifyWith({
+    type: 'Passport.',
+    confidence: 0.92,
+    alternatives: [
+      { type: 'no_such_type', confidence: 0.5 },
+      { type: 'invoice', confidence: 0.03 },
+      { type: 'passport', confidence: 0.9 },
+      { type: 'marriage_certificate', confidence: 0.05 }
+    ]
+  });
+  assert.equal(requests, 1);
+  assert.equal(manifest.docType, 'passport');
+  const c = manifest.stages.classify;
+  assert.deepEqual([c.candidate, c.confidence, c.lowConfidence], ['passport', 0.92, false]);
+  assert.deepEqual(c.alternatives, [{ type: 'marriage_certificate', confidence: 0.05 }, { type: 'invoice', confidence: 0.03 }]);
+  assert.ok(c.finishedAt);
+});
+
+test('classify: confidence below the threshold gives unknown, candidate kept', async () => {
+  // Уверенность в процентах
+  const { manifest } = await classifyWith({ type: 'invoice', confidence: 40 });
+  assert.equal(manifest.docType, 'unknown');
+  const c = manifest.stages.classify;
+  assert.deepEqual([c.candidate, c.confidence, c.lowConfidence], ['invoice', 0.4, true]);
+});
+
+test('classify: one-word answer without JSON has no confidence', async () => {
+  const { manifest } = await classifyWith('passport');
+  assert.equal(manifest.stages.classify.candidate, 'passport');
+  assert.equal(manifest.stages.classify.confidence, null);
+  assert.equal(manifest.docType, 'unknown');
+
+  const other = await classifyWith('что-то непонятное');
+  assert.equal(other.manifest.stages.classify.candidate, 'unknown');
+  assert.equal(other.manifest.stages.classify.lowConfidence, false);
+});
+
+test('classify: docType from upload or reviewer is not sent to the model', async () => {
+  const upload = await classifyWith({ type: 'invoice', confidence: 1 }, (m) => { m.requestedDocType = 'passport'; });
+  assert.equal(upload.requests, 0);
+  assert.equal(upload.result.status, 'skipped');
+  assert.equal(upload.manifest.docType, 'passport');
+
+  const reviewer = await classifyWith({ type: 'invoice', confidence: 1 }, (m) => { m.humanReview = { docType: 'marriage_certificate' }; });
+  assert.equal(reviewer.requests, 0);
+  assert.match(reviewer.result.reason, /set by reviewer: marriage_certificate/);
+});
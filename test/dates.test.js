@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseAnyDate, parseDate, parseRussianDate } from '../src/lib/dates.js';
+
+test('parseDate: ISO and DD.MM.YYYY, invalid days rejected', () => {
+  assert.deepEqual(parseDate('2001-03-12'), { year: 2001, month: 3, day: 12 });
+  assert.deepEqual(parseDate('12.03.2001'), { year: 2001, month: 3, day: 12 });
+  assert.equal(parseDate('31.02.2001'), null);
+  assert.equal(parseDate('12-03-2001'), null);
+});
+
+test('parseRussianDate: full and abbreviated month names', () => {
+  assert.deepEqual(parseRussianDate('12 марта 2001 г.'), { year: 2001, month: 3, day: 12 });
+  assert.deepEqual(parseRussianDate('«05» мая 2010 года'), { year: 2010, month: 5, day: 5 });
+  assert.deepEqual(parseRussianDate('1 янв. 2020'), { year: 2020, month: 1, day: 1 });
+  assert.deepEqual(parseRussianDate('7 сент 2021'), { year: 2021, month: 9, day: 7 });
+  assert.deepEqual(parseRussianDate('30 Ноября 1999 год'), { year: 1999, month: 11, day: 30 });
+});
+
+test('parseRussianDate: misspelled or unknown month names are rejected', () => {
+  assert.equal(parseRussianDate('3 марш 2020'), null);
+  assert.equal(parseRussianDate('3 мартобря 2020'), null);
+  assert.equal(parseRussianDate('3 ию 2020'), null);
+  assert.equal(parseRussianDate('30 февраля 2020'), null);
+});
+
+test('parseAnyDate: falls back to the written form', () => {
+  assert.deepEqual(parseAnyDate('12 марта 2001 г.'), { year: 2001, month: 3, day: 12 });
+  assert.equal(parseAnyDate('вчера'), null);
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { aggregate, comparators, compareDocument, levenshtein } from '../src/lib/evaluation.js';
+
+test('levenshtein', () => {
+  assert.equal(levenshtein('ИВАНОВ', 'ИВАНОВ'), 0);
+  assert.equal(levenshtein('ИВАНОВ', 'ИВАН0В'), 1);
+  assert.equal(levenshtein('', 'abc'), 3);
+});
+
+test('comparator exact: whitespace is collapsed, case is not', () => {
+  assert.equal(comparators.exact('45  10', ' 45 10 ').match, true);
+  assert.equal(comparators.exact('Иванов', 'ИВАНОВ').match, false);
+});
+
+test('comparator fuzzy: distance or similarity, case and Ё ignored', () => {
+  assert.deepEqual(comparators.fuzzy('Фёдоров', 'ФЕДОРОВ'), { match: true, distance: 0, similarity: 1 });
+  assert.equal(comparators.fuzzy('Иванов', 'Иваноф').match, true);
+  assert.equal(comparators.fuzzy('Иванов', 'Ивонаф').match, false);
+  assert.equal(comparators.fuzzy('Иванов', 'Ивонаф', { maxDistance: 3 }).match, true);
+  // две опечатки в длинном значении: расстояние 2, но сходство выше 0.9
+  assert.equal(comparators.fuzzy('Константинопольская обл.', 'Канстантинопольская абл.').match, true);
+});
+
+test('comparator date: formats compared as dates, unparsed fall back to exact', () => {
+  assert.equal(comparators.date('12.03.2001', '2001-03-12').match, true);
+  assert.equal(comparators.date('12.03.2001', '12 марта 2001 г.').match, true);
+  assert.equal(comparators.date('12.03.2001', '13.03.2001').match, false);
+  assert.equal(comparators.date('весна 2001', 'весна  2001').match, true);
+});
+
+test('comparator number: parsed with tolerance, unparsed fall back to exact', () => {
+  assert.equal(comparators.number('1 234,50', '1234.5').match, true);
+  assert.equal(comparators.number('100,5', '100.50').match, true);
+  assert.equal(comparators.number('100,5', '100.52').match, false);
+  assert.equal(comparators.number('100,5', '100.52', { tolerance: 0.1 }).match, true);
+  assert.equal(comparators.number('н/д', 'н/д').match, true);
+});
+
+test('compareDocument: mode by field type, fieldModes override, empty values', () => {
+  const docType = {
+    id: 'invoice',
+    extraction: { fields: [{ id: 'date', type: 'date' }, { id: 'total', type: 'number' }, { id: 'seller', type: 'string' }] }
+  };
+  const result = compareDocument(
+    { date: '01.02.2024', total: '1 000,00', seller: 'ООО Ромашка', note: '' },
+    { date: '2024-02-01', total: 1000, seller: 'ООО Рамашка', note: null },
+    docType,
+    { fieldModes: { 'invoice.seller': 'fuzzy' } }
+  );
+  assert.deepEqual(Object.fromEntries(Object.entries(result.fields).map(([id, f]) => [id, [f.mode, f.match]])), {
+    date: ['date', true],
+    total: ['number', true],
+    seller: ['fuzzy', true],
+    note: ['exact', true]
+  });
+  assert.equal(result.accuracy, 1);
+});
+
+test('aggregate: precision and recall with missing and extra fields', () => {
+  const field = (expected, actual, match) => ({ expected, actual, match });
+  const docs = [
+    {
+      expectedDocType: 'passport',
+      classificationCorrect: true,
+      total: 4,
+      correct: 2,
+      fields: {
+        surname: field('Иванов', 'Иванов', true),
+        series: field('4510', '4511', false),
+        number: field('123456', null, false),
+        patronymic: field(null, null, true)
+      }
+    },
+    {
+      expectedDocType: 'passport',
+      classificationCorrect: false,
+      total: 2,
+      correct: 1,
+      fields: {
+        surname: field('Петров', 'Петров', true),
+        patronymic: field(null, 'Петрович', false)
+      }
+    }
+  ];
+
+  const { overall, classification, byDocType, byField } = aggregate(docs);
+  // tp: 2 фамилии; fp: неверная серия + лишнее отчество; fn: неверная серия + пропущенный номер
+  assert.deepEqual(overall, {
+    total: 6, correct: 3, tp: 2, fp: 2, fn: 2, accuracy: 0.5, precision: 0.5, recall: 0.5
+  });
+  assert.equal(classification.accuracy, 0.5);
+  assert.equal(byDocType.passport.documents, 2);
+  assert.equal(byDocType.passport.fullyCorrect, 0);
+
+  assert.deepEqual([byField['passport.number'].precision, byField['passport.number'].recall], [null, 0]);
+  assert.deepEqual([byField['passport.patronymic'].precision, byField['passport.patronymic'].recall], [0, null]);
+  assert.deepEqual([byField['passport.surname'].precision, byField['passport.surname'].recall], [1, 1]);
+});
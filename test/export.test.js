@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import { PDFDocument } from 'pdf-lib';
+import { loadConfig } from '../src/lib/config.js';
+import { mergeConfig } from '../src/lib/experiments.js';
+import { loadOrCreateManifest, saveManifest } from '../src/lib/manifest.js';
+import { stage as exportStage } from '../src/stages/export.js';
+import { EXTRACTION_FILE } from '../src/stages/extract.js';
+import { VALIDATION_FILE } from '../src/stages/validate.js';
+import { writeFixturePdf } from './helpers.js';
+
+// Документ в staging, готовый к выгрузке: PDF, извлечение и валидация
+async function stageDocument(stagingDir, docId, fields, { validation = { valid: true, errorCount: 0 } } = {}) {
+  const docDir = path.join(stagingDir, docId);
+  await writeFixturePdf(path.join(docDir, 'input', 'document.pdf'));
+  const manifest = await loadOrCreateManifest(docDir, docId);
+  manifest.pages = [{ index: 1 }];
+  await saveManifest(docDir, manifest);
+  await fs.writeJson(path.join(docDir, EXTRACTION_FILE), { docType: 'passport', fields });
+  if (validation) await fs.writeJson(path.join(docDir, VALIDATION_FILE), { fields: {}, crossChecks: [], ...validation });
+  return docDir;
+}
+
+async function withExport(fn, exportOverrides = { tables: { formats: [] } }) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'doc-orchestrator-'));
+  const paths = { staging: path.join(root, 'staging'), output: path.join(root, 'output') };
+  const config = mergeConfig(await loadConfig(), { paths, export: exportOverrides });
+  const run = async () => (await exportStage.run({ config, stagingDir: paths.staging, log: () => {} })).documents;
+  const results = async () => (await fs.readJson(path.join(paths.output, 'results.json'))).documents;
+  try {
+    await fn({ paths, run, results });
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+test('export: deleted and superseded documents leave results.json with their PDFs', () => withExport(async ({ paths, run, results }) => {
+  await stageDocument(paths.staging, 'a.pdf', { surname: 'Иванов' });
+  const bDir = await stageDocument(paths.staging, 'b.pdf', { surname: 'Петров' });
+  await stageDocument(paths.staging, 'c.pdf', { surname: 'Сидоров' });
+  await run();
+
+  const before = await results();
+  assert.deepEqual(before.map((d) => d.docId), ['a.pdf', 'b.pdf', 'c.pdf']);
+  const fileOf = (docId) => before.find((d) => d.docId === docId).file;
+
+  await fs.remove(path.join(paths.staging, 'a.pdf'));
+  const manifest = await loadOrCreateManifest(bDir, 'b.pdf');
+  manifest.split = { children: ['b.pdf__d1', 'b.pdf__d2'], superseded: true };
+  await saveManifest(bDir, manifest);
+  await run();
+
+  assert.deepEqual((await results()).map((d) => d.docId), ['c.pdf']);
+  assert.equal(await fs.pathExists(path.join(paths.output, fileOf('a.pdf'))), false);
+  assert.equal(await fs.pathExists(path.join(paths.output, fileOf('b.pdf'))), false);
+  assert.equal(await fs.pathExists(path.join(paths.output, fileOf('c.pdf'))), true);
+}));
+
+const IVANOV = { surname: 'Иванов', name: 'Иван', patronymic: 'Иванович', series: '4510', number: '123456' };
+
+test('export: file names from the docType template, collisions get a suffix', () => withExport(async ({ paths, run, results }) => {
+  await stageDocument(paths.staging, 'a.pdf', IVANOV);
+  await stageDocument(paths.staging, 'b.pdf', IVANOV);
+  assert.deepEqual(await run(), [{ docId: 'a.pdf', status: 'done' }, { docId: 'b.pdf', status: 'done' }]);
+
+  const [a, b] = await results();
+  assert.equal(a.file, 'Паспорт_Иванов_ИИ_4510_123456.pdf');
+  assert.equal(b.file, 'Паспорт_Иванов_ИИ_4510_123456__002.pdf');
+  assert.equal(a.docType, 'passport');
+  assert.equal(a.docTypeName, 'Паспорт РФ');
+  assert.equal(a.valid, true);
+  assert.deepEqual(a.fields, IVANOV);
+  assert.deepEqual(a.source, { files: [], pages: [{ page: 1, file: null, sourcePage: 1 }] });
+
+  const pdf = await PDFDocument.load(await fs.readFile(path.join(paths.output, a.file)));
+  assert.equal(pdf.getPageCount(), 1);
+}));
+
+test('export: unchanged documents are skipped, changed fields rename the file', () => withExport(async ({ paths, run, results }) => {
+  const docDir = await stageDocument(paths.staging, 'a.pdf', IVANOV);
+  await run();
+  const before = (await results())[0].file;
+
+  assert.deepEqual(await run(), [{ docId: 'a.pdf', status: 'skipped' }]);
+
+  await fs.writeJson(path.join(docDir, EXTRACTION_FILE), { docType: 'passport', fields: { ...IVANOV, surname: 'Петров' } });
+  assert.deepEqual(await run(), [{ docId: 'a.pdf', status: 'done' }]);
+  const after = (await results())[0].file;
+  assert.equal(after, 'Паспорт_Петров_ИИ_4510_123456.pdf');
+  assert.equal(await fs.pathExists(path.join(paths.output, before)), false);
+  assert.equal(await fs.pathExists(path.join(paths.output, after)), true);
+}));
+
+test('export: blocked without validation, invalid skipped with onlyValid', () => withExport(async ({ paths, run, results }) => {
+  await stageDocument(paths.staging, 'a.pdf', IVANOV, { validation: null });
+  await stageDocument(paths.staging, 'b.pdf', IVANOV, { validation: { valid: false, errorCount: 1 } });
+  await stageDocument(paths.staging, 'c.pdf', IVANOV);
+
+  assert.deepEqual(await run(), [
+    { docId: 'a.pdf', status: 'blocked', error: `missing ${VALIDATION_FILE}` },
+    { docId: 'b.pdf', status: 'skipped', error: 'not valid' },
+    { docId: 'c.pdf', status: 'done' }
+  ]);
+  assert.deepEqual((await results()).map((d) => d.docId), ['c.pdf']);
+}, { onlyValid: true, tables: { formats: [] } }));
+
+test('export: CSV and XLSX tables next to results.json', () => withExport(async ({ paths, run }) => {
+  await stageDocument(paths.staging, 'a.pdf', IVANOV);
+  await run();
+
+  const csv = await fs.readFile(path.join(paths.output, 'passport.csv'), 'utf8');
+  assert.ok(csv.startsWith('\uFEFF'), 'UTF-8 BOM');
+  assert.match(csv, /;Иванов;/);
+  assert.ok(await fs.pathExists(path.join(paths.output, 'results.xlsx')));
+}, {}));
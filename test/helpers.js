@@ -0,0 +1,52 @@
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import sharp from 'sharp';
+import { loadConfig } from '../src/lib/config.js';
+import { mergeConfig } from '../src/lib/experiments.js';
+import { startVlmStub } from '../src/lib/vlm-stub.js';
+
+// Общее для офлайн-тестов: заглушка VLM, PDF-фикстура и конфиг с папками во временном каталоге
+
+export async function withStub(options, fn) {
+  const stub = await startVlmStub(options);
+  try {
+    return await fn(stub);
+  } finally {
+    await stub.close();
+  }
+}
+
+export async function writeFixturePdf(file, { pages = 1, title = 'fixture document' } = {}) {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  for (let p = 0; p < pages; p++) {
+    const page = pdf.addPage([420, 595]);
+    for (let i = 0; i < 20; i++) {
+      page.drawText(`Line ${i + 1} of the ${title}, page ${p + 1}`, { x: 40, y: 540 - i * 24, size: 12, font });
+    }
+  }
+  await fs.outputFile(file, await pdf.save());
+}
+
+// Пустая страница растра (стадии, которым картинка нужна только для запроса к заглушке)
+export async function writePageImage(file, { width = 200, height = 280 } = {}) {
+  await fs.ensureDir(path.dirname(file));
+  await sharp({ create: { width, height, channels: 3, background: '#fff' } }).webp().toFile(file);
+}
+
+/**
+ * Конфиг проекта с папками во временном каталоге и VLM на заглушке.
+ */
+export async function stubConfig(stub, overrides = {}) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'doc-orchestrator-'));
+  const dirs = Object.fromEntries(['incoming', 'staging', 'output', 'archive', 'quarantine']
+    .map((d) => [d, path.join(root, d)]));
+  const config = mergeConfig(await loadConfig(), {
+    ...overrides,
+    paths: dirs,
+    vlm: { baseUrl: stub.baseUrl, retries: 0, timeout: 10000, ...overrides.vlm }
+  });
+  return { root, dirs, config };
+}
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import fs from 'fs-extra';
+import {
+  MANIFEST_SCHEMA_VERSION, ManifestLockError, loadOrCreateManifest, migrateManifest, withManifestLock
+} from '../src/lib/manifest.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'doc-orchestrator-'));
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+test('migration: v0 manifest of the old ingestor', async () => {
+  const docDir = path.join(tmpDir, 'old.pdf');
+  await fs.outputJson(path.join(docDir, 'manifest.json'), {
+    docId: 'old.pdf',
+    source: 'incoming/old.pdf',
+    processedAt: '2024-01-10T10:00:00.000Z',
+    pages: [{ index: 1, r300: 'p1.webp', r100: 'p1.webp' }]
+  });
+
+  const m = await loadOrCreateManifest(docDir, 'old.pdf');
+  assert.equal(m.schemaVersion, MANIFEST_SCHEMA_VERSION);
+  assert.equal(m.createdAt, '2024-01-10T10:00:00.000Z');
+  assert.deepEqual(m.input, { source: 'incoming/old.pdf' });
+  assert.deepEqual(m.stages.rasterize, {
+    finishedAt: '2024-01-10T10:00:00.000Z',
+    source: 'ingestor',
+    resolutions: [{ dpi: 100, folder: 'r100' }, { dpi: 300, folder: 'r300' }]
+  });
+  assert.equal('processedAt' in m, false);
+});
+
+test('migration: v1 stages.split moves to stages.splitter', () => {
+  const m = migrateManifest({
+    schemaVersion: 1,
+    stages: {
+      rasterize: { finishedAt: 't0' },
+      split: { finishedAt: 't1', pages: [{ page: 1, documents: 2 }] }
+    }
+  });
+  assert.equal(m.schemaVersion, 2);
+  assert.deepEqual(m.stages, {
+    rasterize: { finishedAt: 't0' },
+    splitter: { finishedAt: 't1', pages: [{ page: 1, documents: 2 }] }
+  });
+
+  // Без stages.split манифест не меняется, кроме версии
+  assert.deepEqual(migrateManifest({ schemaVersion: 1, stages: { a: {} } }), { schemaVersion: 2, stages: { a: {} } });
+});
+
+test('migration: newer schemaVersion is an error', () => {
+  assert.throws(() => migrateManifest({ schemaVersion: MANIFEST_SCHEMA_VERSION + 1 }), /newer than supported/);
+});
+
+// pid процесса, который уже завершился
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('lock: stale manifest.lock is taken over', async () => {
+  const docDir = path.join(tmpDir, 'stale.pdf');
+  const lockPath = path.join(docDir, 'manifest.lock');
+
+  // Владелец на этом хосте и его процесса нет
+  await fs.outputJson(lockPath, { pid: deadPid(), host: os.hostname(), lockedAt: new Date().toISOString() });
+  assert.equal(await withManifestLock(docDir, () => 'ok', { timeoutMs: 100, retryMs: 10 }), 'ok');
+  assert.equal(await fs.pathExists(lockPath), false);
+
+  // Другой хост: проверить владельца нельзя, берём lock старше staleMs
+  await fs.outputJson(lockPath, { pid: 1, host: 'other-host', lockedAt: '2024-01-01T00:00:00.000Z' });
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  await fs.utimes(lockPath, old, old);
+  assert.equal(await withManifestLock(docDir, () => 'ok', { timeoutMs: 100, retryMs: 10 }), 'ok');
+});
+
+test('lock: live foreign lock times out with ManifestLockError', async () => {
+  const docDir = path.join(tmpDir, 'busy.pdf');
+  const lockPath = path.join(docDir, 'manifest.lock');
+  await fs.outputJson(lockPath, { pid: 4242, host: 'other-host', lockedAt: new Date().toISOString() });
+
+  let ran = false;
+  await assert.rejects(
+    withManifestLock(docDir, () => { ran = true; }, { timeoutMs: 50, retryMs: 10 }),
+    (err) => err instanceof ManifestLockError && err.owner.host === 'other-host' && /locked by pid 4242/.test(err.message)
+  );
+  assert.equal(ran, false);
+  assert.equal(await fs.pathExists(lockPath), true);
+});
+
+test('lock: tasks on one document run one at a time, in order', async () => {
+  const docDir = path.join(tmpDir, 'queue.pdf');
+  const events = [];
+  let active = 0;
+
+  const task = (name, ms) => withManifestLock(docDir, async () => {
+    active++;
+    assert.equal(active, 1, `${name} overlaps another task`);
+    events.push(`${name}:start`);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    events.push(`${name}:end`);
+    active--;
+    return name;
+  });
+
+  // Упавшая задача не держит lock
+  const failing = withManifestLock(docDir, async () => { throw new Error('boom'); });
+  const results = await Promise.allSettled([task('a', 30), failing, task('b', 10), task('c', 0)]);
+
+  assert.deepEqual(results.map((r) => r.value ?? r.reason.message), ['a', 'boom', 'b', 'c']);
+  assert.deepEqual(events, ['a:start', 'a:end', 'b:start', 'b:end', 'c:start', 'c:end']);
+  assert.equal(await fs.pathExists(path.join(docDir, 'manifest.lock')), false);
+});
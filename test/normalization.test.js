@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { operations } from '../src/lib/normalization.js';
+
+test('parse_number: decimal separator', () => {
+  assert.equal(operations.parse_number('1 234,56 руб.'), 1234.56);
+  assert.equal(operations.parse_number('1.5'), 1.5);
+  assert.equal(operations.parse_number('0,125'), 0.125);
+  assert.equal(operations.parse_number('0.125'), 0.125);
+  assert.equal(operations.parse_number('1234'), 1234);
+  assert.equal(operations.parse_number(42), 42);
+});
+
+test('parse_number: both separators', () => {
+  assert.equal(operations.parse_number('1.000,50'), 1000.5);
+  assert.equal(operations.parse_number('1,000.50'), 1000.5);
+  assert.equal(operations.parse_number('12.500.000,75'), 12500000.75);
+  assert.equal(operations.parse_number('12,500,000.75'), 12500000.75);
+});
+
+test('parse_number: repeated separator is grouping', () => {
+  assert.equal(operations.parse_number('12,500,000'), 12500000);
+  assert.equal(operations.parse_number('12.500.000'), 12500000);
+  assert.equal(operations.parse_number('-2.000'), -2000);
+  assert.equal(operations.parse_number('1.000'), 1000);
+});
+
+test('parse_number: ambiguous or malformed input throws', () => {
+  assert.throws(() => operations.parse_number('1,000'), /ambiguous/);
+  assert.throws(() => operations.parse_number('12,50,000'), /cannot parse/);
+  assert.throws(() => operations.parse_number('1.000,000.5'), /cannot parse/);
+  assert.throws(() => operations.parse_number('руб.'), /cannot parse/);
+});
+
+test('round_2_decimals', () => {
+  assert.equal(operations.round_2_decimals('1 234,567'), 1234.57);
+  assert.equal(operations.round_2_decimals(1.005), 1.01);
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import { runPipeline } from '../src/pipeline.js';
+import { stubConfig, withStub, writeFixturePdf } from './helpers.js';
+
+test('pipeline: new source of a split document rebuilds its sub-documents', () => withStub({
+  rules: [
+    { match: 'по часовой стрелке', reply: { rotation: 0 } },
+    { match: 'несколько отдельных документов', reply: { documents: [{ bbox: [0, 0, 1000, 480] }, { bbox: [0, 520, 1000, 1000] }] } }
+  ],
+  fallback: '{}'
+}, async (stub) => {
+  const { root, dirs, config } = await stubConfig(stub);
+  const only = ['assemble-input', 'rasterize', 'segment', 'splitter'];
+  const manifestOf = (docId) => fs.readJson(path.join(dirs.staging, docId, 'manifest.json'));
+  try {
+    await writeFixturePdf(path.join(dirs.incoming, 'combo.pdf'));
+    await runPipeline({ config, only });
+
+    const parent = await manifestOf('combo.pdf');
+    assert.deepEqual(parent.split, { children: ['combo.pdf__p1_1', 'combo.pdf__p1_2'], superseded: true });
+    const firstSplit = (await manifestOf('combo.pdf__p1_1')).stages.splitter.finishedAt;
+
+    // Тот же исходник — под-документы не трогаем
+    await runPipeline({ config, only });
+    assert.equal((await manifestOf('combo.pdf__p1_1')).stages.splitter.finishedAt, firstSplit);
+
+    // Новый исходник: страницы перерисованы, под-документы созданы заново
+    await writeFixturePdf(path.join(dirs.incoming, 'combo.pdf'), { title: 'replaced document' });
+    const summary = await runPipeline({ config, only });
+    assert.equal(summary.get('combo.pdf').rasterize.status, 'done');
+    assert.equal(summary.get('combo.pdf').splitter.status, 'done');
+
+    const rebuilt = await manifestOf('combo.pdf');
+    assert.deepEqual(rebuilt.split.children, ['combo.pdf__p1_1', 'combo.pdf__p1_2']);
+    assert.notEqual(rebuilt.inputHashes.rasterize, parent.inputHashes.rasterize);
+    assert.notEqual((await manifestOf('combo.pdf__p1_1')).stages.splitter.finishedAt, firstSplit);
+  } finally {
+    await fs.remove(root);
+  }
+}));
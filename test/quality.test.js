@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { loadConfig } from '../src/lib/config.js';
+import { normalizeManifest } from '../src/lib/manifest.js';
+import { resolutionForDpi, routingDpi } from '../src/lib/resolutions.js';
+import { stage as qualityStage } from '../src/stages/quality.js';
+
+// Страница с «текстом»: чёрные полосы на белом, чтобы резкость и контраст были выше порогов
+async function writePage(file) {
+  const stripes = Array.from({ length: 40 }, (_, i) => ({
+    input: { create: { width: 600, height: 6, channels: 3, background: '#000' } },
+    left: 100,
+    top: 100 + i * 30
+  }));
+  await fs.ensureDir(path.dirname(file));
+  await sharp({ create: { width: 800, height: 1400, channels: 3, background: '#fff' } })
+    .composite(stripes)
+    .webp()
+    .toFile(file);
+}
+
+test('quality: minDpi applies only to pages with scan DPI metadata', async () => {
+  const config = await loadConfig();
+  const folder = resolutionForDpi(config, await routingDpi(config)).folder;
+  const docDir = await fs.mkdtemp(path.join(os.tmpdir(), 'doc-orchestrator-'));
+  try {
+    await writePage(path.join(docDir, folder, 'p1.webp'));
+    const manifest = normalizeManifest(null, 'scan.pdf');
+    manifest.pages = [
+      { index: 1, [folder]: 'p1.webp' },
+      { index: 2, [folder]: 'p1.webp', sourceDpi: 72 },
+      { index: 3, [folder]: 'p1.webp', sourceDpi: 300 }
+    ];
+    await qualityStage.run({ docId: 'scan.pdf', docDir, manifest }, { config, log: () => {} });
+
+    const [pdfPage, lowDpi, highDpi] = manifest.pages.map((p) => p.quality);
+    assert.equal(pdfPage.dpi, null);
+    assert.deepEqual(pdfPage.issues, []);
+    assert.deepEqual(lowDpi.issues, ['dpi < 150']);
+    assert.deepEqual(highDpi.issues, []);
+    assert.deepEqual(manifest.review.pages, [2]);
+  } finally {
+    await fs.remove(docDir);
+  }
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import { loadDocTypes } from '../src/lib/config.js';
+import { loadOrCreateManifest } from '../src/lib/manifest.js';
+import { EXTRACTION_FILE } from '../src/stages/extract.js';
+import { stage as retryStage } from '../src/stages/retry.js';
+import { applyValidation } from '../src/stages/validate.js';
+import { stubConfig, withStub, writePageImage } from './helpers.js';
+
+// Паспорт после validate: серия и номер не прошли проверку
+async function invalidPassport(stagingDir) {
+  const docId = 'passport.pdf';
+  const docDir = path.join(stagingDir, docId);
+  await writePageImage(path.join(docDir, 'r300', 'p1.webp'));
+
+  const manifest = await loadOrCreateManifest(docDir, docId);
+  manifest.pages = [{ index: 1, r300: 'p1.webp' }];
+  manifest.stages.extract = { resolution: 'r300' };
+
+  const extraction = {
+    docType: 'passport',
+    fields: { surname: 'Иванов', name: 'Иван', series: '45 1O', number: '12345', department_code: '770-001' }
+  };
+  await fs.writeJson(path.join(docDir, EXTRACTION_FILE), extraction);
+  const doc = { docId, docDir, manifest };
+  await applyValidation(doc, extraction, (await loadDocTypes()).get('passport'));
+  return doc;
+}
+
+test('retry: a reply without JSON still closes the attempt', () => withStub({
+  rules: [{ match: 'проверка нашла ошибки', reply: 'не могу разобрать' }]
+}, async (stub) => {
+  const { root, dirs, config } = await stubConfig(stub, { extract: { provenance: false } });
+  try {
+    const doc = await invalidPassport(dirs.staging);
+    const errorCount = doc.manifest.stages.validate.errorCount;
+    await retryStage.run(doc, { config, log: () => {} });
+
+    const { attempts, finalErrorCount, fixed } = doc.manifest.stages.retry;
+    assert.equal(attempts.length, 2);
+    for (const a of attempts) {
+      assert.equal(a.error, 'no JSON');
+      assert.equal(a.errorCountAfter, errorCount);
+      assert.equal(a.valid, false);
+      assert.ok(a.finishedAt >= a.startedAt);
+    }
+    assert.equal(finalErrorCount, errorCount);
+    assert.equal(fixed, false);
+  } finally {
+    await fs.remove(root);
+  }
+}));
+
+test('retry: only the fields with errors are taken from the answer', () => withStub({
+  rules: [{ match: 'проверка нашла ошибки', reply: { surname: 'Сидоров', series: '4510', number: '123456' } }]
+}, async (stub) => {
+  const { root, dirs, config } = await stubConfig(stub, { extract: { provenance: false } });
+  try {
+    const doc = await invalidPassport(dirs.staging);
+    await retryStage.run(doc, { config, log: () => {} });
+
+    // В промпте — ошибки и просьба исправить только их
+    assert.match(stub.requests[0].prompt, /исправь ТОЛЬКО эти поля: series, number/);
+
+    const retry = doc.manifest.stages.retry;
+    assert.equal(retry.fixed, true);
+    assert.equal(retry.finalErrorCount, 0);
+    assert.equal(retry.attempts.length, 1);
+    assert.deepEqual(retry.attempts[0].requestedFields, ['series', 'number']);
+    assert.deepEqual(retry.attempts[0].diff, {
+      series: { from: '45 1O', to: '4510' },
+      number: { from: '12345', to: '123456' }
+    });
+
+    const extraction = await fs.readJson(path.join(doc.docDir, EXTRACTION_FILE));
+    assert.equal(extraction.fields.surname, 'Иванов');
+    assert.equal(extraction.initialFields.series, '45 1O');
+    assert.equal(extraction.retryAttempts, 1);
+    assert.equal(doc.manifest.stages.validate.valid, true);
+
+    // Документ уже валиден — повторять нечего
+    const again = await retryStage.run(doc, { config, log: () => {} });
+    assert.deepEqual(again, { status: 'skipped', reason: 'valid' });
+    assert.equal(stub.requests.length, 1);
+  } finally {
+    await fs.remove(root);
+  }
+}));
+
+test('retry: no budget for the docType', () => withStub({ rules: [] }, async (stub) => {
+  const { root, dirs, config } = await stubConfig(stub, { retry: { byDocType: { passport: 0 } } });
+  try {
+    const doc = await invalidPassport(dirs.staging);
+    assert.deepEqual(await retryStage.run(doc, { config, log: () => {} }), {
+      status: 'skipped', reason: 'no retry budget for passport'
+    });
+    assert.equal(stub.requests.length, 0);
+  } finally {
+    await fs.remove(root);
+  }
+}));
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import { PDFDocument } from 'pdf-lib';
+import { groupPages } from '../src/stages/segment.js';
+import { runPipeline } from '../src/pipeline.js';
+import { stubConfig, withStub, writeFixturePdf } from './helpers.js';
+
+test('groupPages: newDocument or a change of known type starts a group, unknown continues', () => {
+  const groups = groupPages([
+    { page: 1, type: 'unknown', newDocument: true },
+    { page: 2, type: 'passport', newDocument: false },
+    { page: 3, type: 'unknown', newDocument: false },
+    { page: 4, type: 'invoice', newDocument: false },
+    { page: 5, type: 'invoice', newDocument: true }
+  ]);
+  assert.deepEqual(groups, [
+    { type: 'passport', pages: [1, 2, 3] },
+    { type: 'invoice', pages: [4] },
+    { type: 'invoice', pages: [5] }
+  ]);
+});
+
+// Первый прогон: паспорт | счёт | паспорт; прогон с --force: паспорт на двух страницах | счёт
+const SEGMENT_RULES = [
+  { match: 'Это первая страница пачки', reply: { type: 'passport', newDocument: true } },
+  { match: 'определена как: passport', times: 1, reply: { type: 'invoice', newDocument: true } },
+  { match: 'определена как: invoice', times: 1, reply: { type: 'passport', newDocument: true } },
+  { match: 'определена как: passport', times: 1, reply: { type: 'passport', newDocument: false } },
+  { match: 'определена как: passport', reply: { type: 'invoice', newDocument: true } }
+];
+
+test('segment: batch split into sub-documents, kept on re-run, regrouped with --force', () => withStub({
+  rules: SEGMENT_RULES
+}, async (stub) => {
+  const { root, dirs, config } = await stubConfig(stub);
+  const only = ['assemble-input', 'rasterize', 'segment'];
+  const docDir = (docId) => path.join(dirs.staging, docId);
+  const manifestOf = (docId) => fs.readJson(path.join(docDir(docId), 'manifest.json'));
+  const pdfPages = async (docId) => (await PDFDocument.load(
+    await fs.readFile(path.join(docDir(docId), 'input', 'document.pdf'))
+  )).getPageCount();
+
+  try {
+    await writeFixturePdf(path.join(dirs.incoming, 'batch.pdf'), { pages: 3 });
+    await runPipeline({ config, only });
+
+    const parent = await manifestOf('batch.pdf');
+    assert.deepEqual(parent.split, { by: 'segment', children: ['batch.pdf__d1', 'batch.pdf__d2', 'batch.pdf__d3'], superseded: true });
+    assert.deepEqual(parent.stages.segment.groups.map((g) => [g.type, g.pageRange]), [['passport', '1'], ['invoice', '2'], ['passport', '3']]);
+    assert.deepEqual(parent.pages.map((p) => p.splitInto), [['batch.pdf__d1'], ['batch.pdf__d2'], ['batch.pdf__d3']]);
+
+    const child = await manifestOf('batch.pdf__d2');
+    assert.deepEqual(child.parent, { docId: 'batch.pdf', pages: [2], pageRange: '2', segmentType: 'invoice' });
+    assert.equal(child.stages.segment.source, 'parent');
+    assert.equal(await pdfPages('batch.pdf__d2'), 1);
+
+    // Повторный прогон: группы и под-документы остаются, модель не спрашиваем
+    const requests = stub.requests.length;
+    const summary = await runPipeline({ config, only });
+    assert.equal(stub.requests.length, requests);
+    assert.equal(summary.get('batch.pdf').segment.status, 'skipped');
+    assert.equal(summary.get('batch.pdf__d1').segment.status, 'skipped');
+
+    // --force: старые под-документы удалены, лишнего __d3 не остаётся
+    await runPipeline({ config, only: ['segment'], force: ['segment'], forceDocs: ['batch.pdf'] });
+    const regrouped = await manifestOf('batch.pdf');
+    assert.deepEqual(regrouped.stages.segment.groups.map((g) => [g.type, g.pageRange]), [['passport', '1-2'], ['invoice', '3']]);
+    assert.deepEqual(regrouped.split.children, ['batch.pdf__d1', 'batch.pdf__d2']);
+    assert.equal(await fs.pathExists(docDir('batch.pdf__d3')), false);
+    assert.deepEqual((await manifestOf('batch.pdf__d1')).parent.pages, [1, 2]);
+    assert.equal(await pdfPages('batch.pdf__d1'), 2);
+  } finally {
+    await fs.remove(root);
+  }
+}));
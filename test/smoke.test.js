@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import fs from 'fs-extra';
+import { loadConfig } from '../src/lib/config.js';
+import { mergeConfig } from '../src/lib/experiments.js';
+import { chat, VlmError } from '../src/lib/vlm.js';
+import { runPipeline } from '../src/pipeline.js';
+import { NORMALIZED_FILE } from '../src/stages/normalize.js';
+import { withStub, writeFixturePdf } from './helpers.js';
+
+// Офлайн-проверка: заглушка VLM вместо модели, документ генерируется во временной папке
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'doc-orchestrator-'));
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+test('vlm: timeout covers a slow reply', () => withStub({ rules: [{ reply: 'late', delayMs: 500 }] }, async (stub) => {
+  await assert.rejects(
+    chat({ baseUrl: stub.baseUrl, model: 'stub', timeout: 100, retries: 0 }, { prompt: 'x' }),
+    (err) => err instanceof VlmError && /timed out/.test(err.message) && err.retryable
+  );
+}));
+
+test('vlm: retries 5xx and succeeds', () => withStub({
+  rules: [{ status: 503, times: 1 }, { reply: 'ok' }]
+}, async (stub) => {
+  const answer = await chat({ baseUrl: stub.baseUrl, model: 'stub', retries: 2, backoffMs: 10 }, { prompt: 'x' });
+  assert.equal(answer.text, 'ok');
+  assert.equal(answer.attempts, 2);
+  assert.equal(stub.requests.length, 2);
+}));
+
+test('vlm: no retry on 4xx', () => withStub({ rules: [{ status: 400, error: 'bad request' }] }, async (stub) => {
+  await assert.rejects(
+    chat({ baseUrl: stub.baseUrl, model: 'stub', retries: 2, backoffMs: 10 }, { prompt: 'x' }),
+    (err) => err instanceof VlmError && err.status === 400
+  );
+  assert.equal(stub.requests.length, 1);
+}));
+
+test('vlm: requests wait in the queue (concurrency 1)', () => withStub({ rules: [{ reply: 'ok', delayMs: 100 }] }, async (stub) => {
+  const vlm = { baseUrl: stub.baseUrl, model: 'stub', concurrency: 1 };
+  const answers = await Promise.all([1, 2, 3].map(() => chat(vlm, { prompt: 'x' })));
+  const waits = answers.map((a) => a.queueMs).sort((a, b) => a - b);
+  assert.ok(waits[0] < 50, `first request should not wait: ${waits}`);
+  assert.ok(waits[2] >= 180, `third request should wait for two others: ${waits}`);
+}));
+
+test('pipeline: fixture document end to end with the stub', () => withStub({
+  rules: [
+    { match: 'по часовой стрелке', reply: { rotation: 0 } },
+    { match: 'несколько отдельных документов', reply: { documents: [{ bbox: [0, 0, 1000, 1000] }] } },
+    { match: 'Определи тип документа', reply: { type: 'passport', confidence: 0.95 } },
+    { match: 'паспорта РФ', reply: {
+      surname: 'Иванов', name: 'Иван', patronymic: 'Иванович', series: '45 10', number: '123456',
+      birth_date: '12 марта 2001 г.', department_code: '770-001'
+    } }
+  ],
+  fallback: '{}'
+}, async (stub) => {
+  const dirs = Object.fromEntries(['incoming', 'staging', 'output', 'archive', 'quarantine']
+    .map((d) => [d, path.join(tmpDir, d)]));
+  const config = mergeConfig(await loadConfig(), {
+    paths: dirs,
+    vlm: { baseUrl: stub.baseUrl, retries: 0, timeout: 10000 }
+  });
+  await writeFixturePdf(path.join(dirs.incoming, 'fixture.pdf'));
+
+  const summary = await runPipeline({ config });
+  const stages = summary.get('fixture.pdf');
+  assert.ok(stages, 'fixture.pdf is in the summary');
+  const failed = Object.entries(stages).filter(([, s]) => s.status === 'failed');
+  assert.deepEqual(failed, []);
+
+  const manifest = await fs.readJson(path.join(dirs.staging, 'fixture.pdf', 'manifest.json'));
+  assert.equal(manifest.docType, 'passport');
+  const normalized = await fs.readJson(path.join(dirs.staging, 'fixture.pdf', NORMALIZED_FILE));
+  assert.equal(normalized.fields.birth_date, '12.03.2001');
+  assert.equal(normalized.fields.series, '4510');
+
+  // Второй прогон ничего не меняет и в модель не ходит
+  const before = stub.requests.length;
+  await runPipeline({ config });
+  assert.equal(stub.requests.length, before);
+}));
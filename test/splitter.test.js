@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { runPipeline } from '../src/pipeline.js';
+import { stubConfig, withStub, writeFixturePdf } from './helpers.js';
+
+const SPLIT = 'несколько отдельных документов';
+
+test('splitter: combo page cut into sub-documents, kept on re-run, removed with --force', () => withStub({
+  rules: [
+    // Страница 1: два документа (верх и низ) и мелкий кусок ниже minArea; страница 2: один документ
+    {
+      match: SPLIT,
+      times: 1,
+      reply: { documents: [
+        { label: 'паспорт', bbox: [0, 0, 1000, 480] },
+        { label: 'СНИЛС', bbox: [1000, 1000, 0, 520] },
+        { label: 'штамп', bbox: [10, 10, 20, 20] }
+      ] }
+    },
+    { match: SPLIT, reply: { documents: [{ bbox: [0, 0, 1000, 1000] }] } }
+  ]
+}, async (stub) => {
+  const { root, dirs, config } = await stubConfig(stub);
+  const only = ['assemble-input', 'rasterize', 'splitter'];
+  const docDir = (docId) => path.join(dirs.staging, docId);
+  const manifestOf = (docId) => fs.readJson(path.join(docDir(docId), 'manifest.json'));
+
+  try {
+    await writeFixturePdf(path.join(dirs.incoming, 'combo.pdf'), { pages: 2 });
+    await runPipeline({ config, only });
+
+    const parent = await manifestOf('combo.pdf');
+    assert.deepEqual(parent.split, { children: ['combo.pdf__p1_1', 'combo.pdf__p1_2'], superseded: false });
+    assert.deepEqual(parent.pages.map((p) => p.splitInto ?? null), [['combo.pdf__p1_1', 'combo.pdf__p1_2'], null]);
+    assert.deepEqual(parent.stages.splitter.pages.map((p) => p.documents), [2, 1]);
+    assert.equal('split' in parent.stages, false);
+
+    // Нижний кусок: перевёрнутый bbox нормализован, к рамке добавлен отступ
+    const child = await manifestOf('combo.pdf__p1_2');
+    assert.equal(child.parent.docId, 'combo.pdf');
+    assert.equal(child.parent.page, 1);
+    assert.equal(child.parent.label, 'СНИЛС');
+    assert.equal(child.stages.splitter.source, 'parent');
+    const full = await sharp(path.join(docDir('combo.pdf'), 'r100', parent.pages[0].r100)).metadata();
+    const [, top, right, bottom] = child.parent.bboxes.r100;
+    assert.deepEqual([right, bottom], [full.width, full.height]);
+    assert.ok(Math.abs(top - 0.51 * full.height) <= 1, `top ${top}`);
+    const crop = await sharp(path.join(docDir('combo.pdf__p1_2'), 'r100', 'p1.webp')).metadata();
+    assert.equal(crop.height, bottom - top);
+
+    // Повторный прогон: уже разбитую страницу не разбираем
+    const requests = stub.requests.length;
+    const summary = await runPipeline({ config, only });
+    assert.equal(summary.get('combo.pdf').splitter.status, 'skipped');
+    assert.equal(summary.get('combo.pdf__p1_1').splitter.status, 'skipped');
+    assert.equal(stub.requests.length, requests);
+
+    // --force: модель видит один документ — под-документы удалены, разбиения больше нет
+    await runPipeline({ config, only: ['splitter'], force: ['splitter'], forceDocs: ['combo.pdf'] });
+    const reparsed = await manifestOf('combo.pdf');
+    assert.equal(reparsed.split, undefined);
+    assert.equal(reparsed.pages[0].splitInto, undefined);
+    assert.equal(await fs.pathExists(docDir('combo.pdf__p1_1')), false);
+    assert.equal(await fs.pathExists(docDir('combo.pdf__p1_2')), false);
+  } finally {
+    await fs.remove(root);
+  }
+}));
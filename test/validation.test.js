@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ConfigError, compilePattern, loadDocTypes } from '../src/lib/config.js';
+import { crossCheckRegistry, validateExtraction, validateValue } from '../src/lib/validation.js';
+
+const ddmmyyyy = (date) => date.toISOString().slice(0, 10).split('-').reverse().join('.');
+
+test('compilePattern: bad expression is a config error', () => {
+  assert.ok(compilePattern('^\\d{4}$', 'x').test('4510'));
+  assert.throws(() => compilePattern('^(\\d{4}$', 'config/docTypes/t.json: field "series" validation'), (err) => (
+    err instanceof ConfigError && /config\/docTypes\/t\.json: field "series" validation: invalid pattern/.test(err.message)
+  ));
+});
+
+test('loadDocTypes: shipped docTypes compile', async () => {
+  const docTypes = await loadDocTypes();
+  assert.ok(docTypes.has('passport'));
+});
+
+test('validateValue: pattern and validation', () => {
+  assert.deepEqual(validateValue('4510', { id: 'series', type: 'string', validation: '^\\d{4}$' }), []);
+  const errors = validateValue('451', { id: 'series', type: 'string', validation: '^\\d{4}$' });
+  assert.deepEqual(errors.map((e) => e.rule), ['validation']);
+  assert.throws(() => validateValue('1', { id: 'x', type: 'string', pattern: '[' }), ConfigError);
+});
+
+test('cross-check matches: non-empty fields against the pattern', () => {
+  const check = { pattern: '^\\d{3}-\\d{3}$', fields: ['code', 'other', 'empty'] };
+  const errors = crossCheckRegistry.matches(check, { code: '770-001', other: '770001', empty: '' });
+  assert.deepEqual(errors.map((e) => e.field), ['other']);
+});
+
+test('cross-check date_order: dates go forward, empty and invalid dates skipped', () => {
+  const check = { fields: ['birth_date', 'issue_date', 'expiry_date'] };
+  assert.deepEqual(crossCheckRegistry.date_order(check, { birth_date: '01.02.1980', issue_date: '2001-03-12' }), []);
+  assert.deepEqual(crossCheckRegistry.date_order(check, { birth_date: '01.02.1980', issue_date: '01.02.1980' }), []);
+
+  const errors = crossCheckRegistry.date_order(check, { birth_date: '12.03.2001', issue_date: '01.02.1980', expiry_date: 'n/a' });
+  assert.deepEqual(errors.map((e) => e.field), ['issue_date']);
+});
+
+test('cross-check not_in_future', () => {
+  const tomorrow = new Date(Date.now() + 2 * 24 * 3600 * 1000);
+  const check = { fields: ['issue_date', 'birth_date'] };
+  const errors = crossCheckRegistry.not_in_future(check, { issue_date: ddmmyyyy(tomorrow), birth_date: '01.02.1980' });
+  assert.deepEqual(errors.map((e) => e.field), ['issue_date']);
+  assert.deepEqual(crossCheckRegistry.not_in_future(check, { issue_date: ddmmyyyy(new Date()) }), []);
+});
+
+test('cross-check any_of', () => {
+  const check = { fields: ['inn', 'ogrn'] };
+  assert.deepEqual(crossCheckRegistry.any_of(check, { inn: '', ogrn: '1027700132195' }), []);
+  const errors = crossCheckRegistry.any_of(check, { inn: ' ', ogrn: null });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].field, null);
+});
+
+test('validateExtraction: verifier as a cross-check and unknown checks', () => {
+  const docType = {
+    fields: { supplier_inn: { type: 'string' } },
+    validation: {
+      cross_checks: [
+        { name: 'inn', check: 'inn', fields: ['supplier_inn'] },
+        { name: 'typo', check: 'no_such_check', fields: ['supplier_inn'] },
+        { name: 'text only', rule: 'described, not executable' }
+      ]
+    }
+  };
+
+  const report = validateExtraction({ supplier_inn: '7707083894' }, docType);
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.crossChecks.map((c) => c.valid), [false, false, null]);
+  assert.match(report.crossChecks[1].errors[0].message, /Unknown check "no_such_check"/);
+
+  assert.equal(validateExtraction({ supplier_inn: '7707083893' }, docType).crossChecks[0].valid, true);
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  verifyBankAccount, verifyBik, verifyCorrAccount, verifyInn, verifyKpp, verifyOgrn, verifyOgrnip, verifySnils
+} from '../src/lib/verifiers.js';
+
+// Последняя (контрольная) цифра на единицу больше
+const offByOne = (s) => s.slice(0, -1) + ((Number(s.at(-1)) + 1) % 10);
+
+const valid = (result) => assert.deepEqual(result, { valid: true });
+const invalid = (result, reason) => {
+  assert.equal(result.valid, false);
+  assert.match(result.reason, reason);
+};
+
+test('INN: 10 and 12 digits', () => {
+  valid(verifyInn('7707083893'));
+  valid(verifyInn('500100732259'));
+  valid(verifyInn('7707 083 893'));
+  invalid(verifyInn(offByOne('7707083893')), /checksum/);
+  invalid(verifyInn(offByOne('500100732259')), /checksum/);
+  invalid(verifyInn('50010073225'), /10 or 12 digits/);
+});
+
+test('OGRN and OGRNIP', () => {
+  valid(verifyOgrn('1027700132195'));
+  invalid(verifyOgrn(offByOne('1027700132195')), /checksum/);
+  invalid(verifyOgrn('102770013219'), /13 digits/);
+
+  valid(verifyOgrnip('304500116000157'));
+  invalid(verifyOgrnip(offByOne('304500116000157')), /checksum/);
+  invalid(verifyOgrnip('1027700132195'), /15 digits/);
+});
+
+test('SNILS: checksum', () => {
+  valid(verifySnils('112-233-445 95'));
+  invalid(verifySnils('112-233-445 96'), /checksum/);
+  invalid(verifySnils('112-233-445'), /11 digits/);
+});
+
+test('SNILS: numbers up to 001-001-998 are not checked', () => {
+  valid(verifySnils('001-001-998 00'));
+  valid(verifySnils('001-001-998 57'));
+  invalid(verifySnils('001-001-999 57'), /checksum/);
+});
+
+test('SNILS: sum mod 101 of 100 and 0 give control 00', () => {
+  // сумма по весам 9..1: 100 → контрольное 00
+  valid(verifySnils('001-326-679 00'));
+  invalid(verifySnils('001-326-679 01'), /checksum/);
+  // сумма кратна 101 → 00
+  valid(verifySnils('001-508-816 00'));
+  invalid(verifySnils('001-508-816 01'), /checksum/);
+});
+
+test('KPP and BIK format', () => {
+  valid(verifyKpp('773601001'));
+  valid(verifyKpp('7736AB001'));
+  invalid(verifyKpp('77360100'), /NNNNPPNNN/);
+
+  valid(verifyBik('044525225'));
+  invalid(verifyBik('144525225'), /start with 04/);
+  invalid(verifyBik('04452522'), /9 digits/);
+});
+
+test('settlement account: key against the BIK', () => {
+  const ctx = { fields: { bik: '044525225' } };
+  valid(verifyBankAccount('40702810438000034726', ctx));
+  invalid(verifyBankAccount(offByOne('40702810438000034726'), ctx), /control key/);
+  invalid(verifyBankAccount('40702810438000034726', { fields: { bik: '044525974' } }), /control key/);
+  invalid(verifyBankAccount('40702810438000034726', {}), /BIK is required/);
+  // БИК из другого поля (check.bikField) или напрямую
+  valid(verifyBankAccount('40702810438000034726', { check: { bikField: 'bank_bik' }, fields: { bank_bik: '044525225' } }));
+  valid(verifyBankAccount('40702810438000034726', { bik: '044525225' }));
+});
+
+test('correspondent account: key against the BIK', () => {
+  valid(verifyCorrAccount('30101810400000000225', { bik: '044525225' }));
+  valid(verifyCorrAccount('30101810145250000974', { bik: '044525974' }));
+  invalid(verifyCorrAccount(offByOne('30101810400000000225'), { bik: '044525225' }), /control key/);
+  valid(verifyCorrAccount('30101810500000000653', { bik: '044030653' }));
+  // ключ корсчёта зависит от 5-6 цифр БИК (у 044525225 и 044525974 они одинаковые)
+  invalid(verifyCorrAccount('30101810400000000225', { bik: '044030653' }), /control key/);
+  invalid(verifyCorrAccount('3010181040000000022', { bik: '044525225' }), /20 digits/);
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import zlib from 'node:zlib';
+import { createXlsx } from '../src/lib/xlsx.js';
+import { createZip } from '../src/lib/zip.js';
+
+// CRC-32 побитово, независимо от табличной реализации в zip.js
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (const byte of buf) {
+    c ^= byte;
+    for (let k = 0; k < 8; k++) c = c & 1 ? (c >>> 1) ^ 0xEDB88320 : c >>> 1;
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Минимальный разбор ZIP: конец центрального каталога → записи каталога → локальные заголовки.
+ * Заголовки сверяются между собой, данные распаковываются и проверяются по CRC и размеру.
+ */
+function readZip(buf) {
+  const end = buf.length - 22;
+  assert.equal(buf.readUInt32LE(end), 0x06054B50, 'end of central directory');
+  const count = buf.readUInt16LE(end + 10);
+  assert.equal(buf.readUInt16LE(end + 8), count);
+  const cdSize = buf.readUInt32LE(end + 12);
+  const cdOffset = buf.readUInt32LE(end + 16);
+  assert.equal(cdOffset + cdSize, end, 'central directory ends where the end record starts');
+
+  const entries = new Map();
+  let pos = cdOffset;
+  let localEnd = 0;
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(pos), 0x02014B50, 'central directory header');
+    const flags = buf.readUInt16LE(pos + 8);
+    const method = buf.readUInt16LE(pos + 10);
+    const crc = buf.readUInt32LE(pos + 16);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const size = buf.readUInt32LE(pos + 24);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const offset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    assert.equal(flags & 0x0800, 0x0800, `${name}: UTF-8 flag`);
+    assert.equal(method, 8, `${name}: deflate`);
+
+    assert.equal(buf.readUInt32LE(offset), 0x04034B50, `${name}: local header`);
+    assert.equal(buf.readUInt16LE(offset + 6), flags, `${name}: local flags`);
+    assert.equal(buf.readUInt16LE(offset + 8), method, `${name}: local method`);
+    assert.equal(buf.readUInt32LE(offset + 14), crc, `${name}: local CRC`);
+    assert.equal(buf.readUInt32LE(offset + 18), compressedSize, `${name}: local compressed size`);
+    assert.equal(buf.readUInt32LE(offset + 22), size, `${name}: local size`);
+    const localNameLength = buf.readUInt16LE(offset + 26);
+    const dataStart = offset + 30 + localNameLength + buf.readUInt16LE(offset + 28);
+    assert.equal(buf.toString('utf8', offset + 30, offset + 30 + localNameLength), name, `${name}: local name`);
+
+    const data = zlib.inflateRawSync(buf.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(data.length, size, `${name}: size`);
+    assert.equal(crc32(data), crc, `${name}: CRC`);
+    entries.set(name, data);
+    localEnd = Math.max(localEnd, dataStart + compressedSize);
+  }
+  assert.equal(pos, end);
+  assert.equal(localEnd, cdOffset, 'local records end where the central directory starts');
+  return entries;
+}
+
+test('zip: round trip through headers, CRC and deflate', () => {
+  const binary = Buffer.from(Array.from({ length: 70000 }, (_, i) => (i * 31) % 256));
+  const zip = createZip([
+    { name: 'a.txt', data: 'hello' },
+    { name: 'папка/файл.txt', data: 'кириллица' },
+    { name: 'empty', data: '' },
+    { name: 'bin', data: binary }
+  ]);
+
+  const entries = readZip(zip);
+  assert.deepEqual([...entries.keys()], ['a.txt', 'папка/файл.txt', 'empty', 'bin']);
+  assert.equal(entries.get('a.txt').toString(), 'hello');
+  assert.equal(entries.get('папка/файл.txt').toString(), 'кириллица');
+  assert.equal(entries.get('empty').length, 0);
+  assert.deepEqual(entries.get('bin'), binary);
+
+  // Фиксированное время в заголовках: одинаковый вход — побайтно одинаковый архив
+  assert.deepEqual(createZip([{ name: 'a.txt', data: 'hello' }]), createZip([{ name: 'a.txt', data: 'hello' }]));
+});
+
+test('xlsx: package parts, sheet names and cells', () => {
+  const xlsx = createXlsx([
+    {
+      name: 'Паспорт РФ',
+      columns: ['Фамилия', 'Серия', 'Валиден'],
+      rows: [['Иванов & сын', { value: '45 1O', style: 'error' }, true], ['Петров', 4510, false]]
+    },
+    { name: 'a/b:c', columns: ['x'], rows: [] },
+    { name: 'A/B:C', columns: ['x'], rows: [] }
+  ]);
+
+  const entries = readZip(xlsx);
+  assert.deepEqual([...entries.keys()], [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml',
+    'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml', 'xl/worksheets/sheet3.xml'
+  ]);
+
+  const workbook = entries.get('xl/workbook.xml').toString();
+  assert.match(workbook, /<sheet name="Паспорт РФ" sheetId="1" r:id="rId1"\/>/);
+  assert.match(workbook, /<sheet name="a b c" sheetId="2"/);
+  assert.match(workbook, /<sheet name="A B C \(2\)" sheetId="3"/);
+
+  const sheet = entries.get('xl/worksheets/sheet1.xml').toString();
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Фамилия<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Иванов &amp; сын<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2" s="2" t="inlineStr">/);
+  assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c>/);
+  assert.match(sheet, /<c r="B3"><v>4510<\/v><\/c>/);
+  assert.match(sheet, /<autoFilter ref="A1:C3"\/>/);
+});